@@ -0,0 +1,35 @@
+import 'dotenv/config';
+
+// Secret JWT : obligatoire, sauf en développement (NODE_ENV=development) où
+// une valeur par défaut connue est acceptée
+const jwtSecret = (name, developmentValue) => (
+    process.env[name] || (process.env.NODE_ENV === 'development' ? developmentValue : null)
+);
+
+// Configuration de l'application, lue depuis l'environnement (ou un fichier .env)
+const config = {
+    port: Number(process.env.PORT) || 3000,
+    mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/pokemon_database',
+    // URL publique de l'API (ex. https://api.example.com derrière un proxy) ;
+    // à défaut, les URLs absolues sont déduites de chaque requête
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || process.env.API_URL || '').replace(/\/+$/, '') || null,
+    // Nombre de proxys de confiance devant l'API (X-Forwarded-Proto / -Host)
+    trustProxy: Number(process.env.TRUST_PROXY) || 0,
+    // Durée (en jours) pendant laquelle un pokémon supprimé reste restaurable
+    trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    jwt: {
+        accessSecret: jwtSecret('JWT_ACCESS_SECRET', 'dev-access-secret'),
+        refreshSecret: jwtSecret('JWT_REFRESH_SECRET', 'dev-refresh-secret'),
+        accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+        refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    }
+};
+
+// Variables sans lesquelles le serveur refuse de démarrer (les scripts de
+// data/ n'en ont pas besoin) : sans secret JWT, n'importe qui pourrait signer un token
+export const missingServerSettings = () => [
+    !config.jwt.accessSecret && 'JWT_ACCESS_SECRET',
+    !config.jwt.refreshSecret && 'JWT_REFRESH_SECRET'
+].filter(Boolean);
+
+export default config;
@@ -1,9 +1,10 @@
 import mongoose from 'mongoose';
+import config from './config.js';
 
 // Connexion à MongoDB
 const connectDB = async () => {
     try {
-        await mongoose.connect('mongodb://localhost:27017/pokemon_database');
+        await mongoose.connect(config.mongoUri);
         console.log('Connected to MongoDB');
     } catch (error) {
         console.error('MongoDB connection error:', error);
@@ -11,4 +12,4 @@ const connectDB = async () => {
     }
 };
 
-connectDB();
\ No newline at end of file
+export default connectDB;
\ No newline at end of file
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import pokemon from '../schema/pokemon.js';
+import connectDB from '../connect.js';
+import { POKEMONS_DIR, SHINY_DIR, isTempImage, removePokemonImages } from '../utils/images.js';
+
+// Un upload temporaire plus vieux que ça n'appartient plus à aucune requête en cours
+const TEMP_MAX_AGE = 60 * 60 * 1000;
+
+// Ids présents dans assets/pokemons ({id}.png, {id}/ et shiny/{id}.png)
+const listImageIds = async () => {
+    const ids = new Set();
+    const collect = async (dir) => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of await fs.promises.readdir(dir)) {
+            const match = entry.match(/^(\d+)(\.png)?$/);
+            if (match) ids.add(Number(match[1]));
+        }
+    };
+    await collect(POKEMONS_DIR);
+    await collect(SHINY_DIR);
+    return [...ids].sort((a, b) => a - b);
+};
+
+const listStaleTempFiles = async (now) => {
+    const stale = [];
+    for (const entry of await fs.promises.readdir(POKEMONS_DIR)) {
+        if (!isTempImage(entry)) continue;
+        const { mtimeMs } = await fs.promises.stat(path.join(POKEMONS_DIR, entry));
+        if (now - mtimeMs > TEMP_MAX_AGE) stale.push(entry);
+    }
+    return stale;
+};
+
+/**
+ * Recherche les images sans pokémon correspondant en base et les uploads
+ * temporaires abandonnés, puis les supprime (ou les archive).
+ * Avec `reportOnly`, rien n'est modifié sur le disque ; `force` autorise le
+ * nettoyage même si la collection est vide.
+ */
+const cleanupImages = async ({ reportOnly = false, archive = false, force = false } = {}) => {
+    // Les pokémons de la corbeille gardent leurs images jusqu'à la purge
+    const knownIds = new Set(await pokemon.distinct('id').setOptions({ withDeleted: true }));
+    // Base vide (seed pas encore lancé) : toutes les images seraient considérées orphelines
+    if (knownIds.size === 0 && !reportOnly && !force) {
+        throw new Error('The pokemon collection is empty, run the seed first or pass --force');
+    }
+    const orphanIds = (await listImageIds()).filter((id) => !knownIds.has(id));
+    const staleTemp = await listStaleTempFiles(Date.now());
+    const report = { orphans: [], staleTemp, removed: 0 };
+
+    for (const id of orphanIds) {
+        if (reportOnly) {
+            report.orphans.push({ id });
+            continue;
+        }
+        const files = await removePokemonImages(id, { archive });
+        report.orphans.push({ id, files });
+        report.removed += files.length;
+    }
+
+    if (!reportOnly) {
+        for (const file of staleTemp) {
+            await fs.promises.rm(path.join(POKEMONS_DIR, file), { force: true });
+            report.removed++;
+        }
+    }
+
+    return report;
+};
+
+const printReport = (report, { reportOnly, archive }) => {
+    const action = reportOnly ? 'à nettoyer' : (archive ? 'archivées' : 'supprimées');
+    console.log(`Images orphelines ${action} : ${report.orphans.length}`);
+    report.orphans.forEach(({ id }) => console.log(`  - pokémon ${id}`));
+    console.log(`Uploads temporaires abandonnés : ${report.staleTemp.length}`);
+    report.staleTemp.forEach((file) => console.log(`  - ${file}`));
+    if (!reportOnly) console.log(`Fichiers traités : ${report.removed}`);
+};
+
+// Exécuter le nettoyage si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = {
+        reportOnly: process.argv.includes('--report'),
+        archive: process.argv.includes('--archive'),
+        force: process.argv.includes('--force')
+    };
+    try {
+        await connectDB();
+        printReport(await cleanupImages(options), options);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors du nettoyage des images :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default cleanupImages;
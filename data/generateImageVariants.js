@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IMAGE_SIZES, POKEMONS_DIR, processImage, variantPath } from '../utils/images.js';
+
+/**
+ * Génère les variantes (thumbnail, large...) des sprites déjà présents dans
+ * assets/pokemons, par exemple ceux des pokémons seedés. Les variantes
+ * existantes sont conservées sauf avec `force`.
+ */
+const generateImageVariants = async ({ force = false } = {}) => {
+    const report = { generated: 0, skipped: 0, failed: [] };
+    const files = (await fs.promises.readdir(POKEMONS_DIR)).filter((file) => /^\d+\.png$/.test(file));
+    const variants = Object.keys(IMAGE_SIZES).filter((name) => name !== 'default');
+
+    for (const file of files) {
+        const id = path.basename(file, '.png');
+        if (!force && variants.every((name) => fs.existsSync(variantPath(id, name)))) {
+            report.skipped++;
+            continue;
+        }
+
+        try {
+            const rendered = await processImage(await fs.promises.readFile(path.join(POKEMONS_DIR, file)));
+            await fs.promises.mkdir(path.join(POKEMONS_DIR, id), { recursive: true });
+            for (const name of variants) {
+                await fs.promises.writeFile(variantPath(id, name), rendered[name]);
+            }
+            report.generated++;
+        } catch (error) {
+            report.failed.push({ file, error: error.message });
+        }
+    }
+
+    return report;
+};
+
+// Exécuter la génération si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        const report = await generateImageVariants({ force: process.argv.includes('--force') });
+        console.log(`Variantes générées : ${report.generated}, déjà présentes : ${report.skipped}`);
+        report.failed.forEach(({ file, error }) => console.log(`  - ${file} : ${error}`));
+    } catch (error) {
+        console.error('Erreur lors de la génération des variantes :', error.message);
+        process.exit(1);
+    }
+}
+
+export default generateImageVariants;
@@ -0,0 +1,4371 @@
+// Capacités apprises par chaque pokémon dans Rouge/Bleu/Jaune, par id de
+// pokémon : par niveau (le plus bas entre les versions), par CT ou par CS
+const learnsetsList = {
+    "1": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 73, "method": "level", "level": 7 },
+        { "move": 22, "method": "level", "level": 13 },
+        { "move": 77, "method": "level", "level": 20 },
+        { "move": 75, "method": "level", "level": 27 },
+        { "move": 74, "method": "level", "level": 34 },
+        { "move": 79, "method": "level", "level": 41 },
+        { "move": 76, "method": "level", "level": 48 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "2": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 73, "method": "level", "level": 1 },
+        { "move": 22, "method": "level", "level": 13 },
+        { "move": 77, "method": "level", "level": 22 },
+        { "move": 75, "method": "level", "level": 30 },
+        { "move": 74, "method": "level", "level": 38 },
+        { "move": 79, "method": "level", "level": 46 },
+        { "move": 76, "method": "level", "level": 54 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "3": [
+        { "move": 22, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 73, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 22 },
+        { "move": 75, "method": "level", "level": 30 },
+        { "move": 74, "method": "level", "level": 43 },
+        { "move": 79, "method": "level", "level": 55 },
+        { "move": 76, "method": "level", "level": 65 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "4": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 9 },
+        { "move": 43, "method": "level", "level": 15 },
+        { "move": 99, "method": "level", "level": 22 },
+        { "move": 163, "method": "level", "level": 30 },
+        { "move": 53, "method": "level", "level": 38 },
+        { "move": 83, "method": "level", "level": 46 },
+        { "move": 5, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "5": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 15 },
+        { "move": 99, "method": "level", "level": 24 },
+        { "move": 163, "method": "level", "level": 33 },
+        { "move": 53, "method": "level", "level": 42 },
+        { "move": 83, "method": "level", "level": 56 },
+        { "move": 5, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "6": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 99, "method": "level", "level": 24 },
+        { "move": 163, "method": "level", "level": 36 },
+        { "move": 53, "method": "level", "level": 46 },
+        { "move": 83, "method": "level", "level": 55 },
+        { "move": 5, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 19, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "7": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 8 },
+        { "move": 55, "method": "level", "level": 15 },
+        { "move": 44, "method": "level", "level": 22 },
+        { "move": 110, "method": "level", "level": 28 },
+        { "move": 130, "method": "level", "level": 35 },
+        { "move": 56, "method": "level", "level": 42 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "8": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 15 },
+        { "move": 44, "method": "level", "level": 24 },
+        { "move": 110, "method": "level", "level": 31 },
+        { "move": 130, "method": "level", "level": 39 },
+        { "move": 56, "method": "level", "level": 47 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "9": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 24 },
+        { "move": 110, "method": "level", "level": 31 },
+        { "move": 130, "method": "level", "level": 42 },
+        { "move": 56, "method": "level", "level": 52 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "10": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 81, "method": "level", "level": 1 }
+    ],
+    "11": [
+        { "move": 106, "method": "level", "level": 1 }
+    ],
+    "12": [
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 13 },
+        { "move": 78, "method": "level", "level": 14 },
+        { "move": 79, "method": "level", "level": 15 },
+        { "move": 48, "method": "level", "level": 18 },
+        { "move": 18, "method": "level", "level": 23 },
+        { "move": 16, "method": "level", "level": 28 },
+        { "move": 60, "method": "level", "level": 32 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "13": [
+        { "move": 40, "method": "level", "level": 1 },
+        { "move": 81, "method": "level", "level": 1 }
+    ],
+    "14": [
+        { "move": 106, "method": "level", "level": 1 }
+    ],
+    "15": [
+        { "move": 31, "method": "level", "level": 1 },
+        { "move": 116, "method": "level", "level": 16 },
+        { "move": 41, "method": "level", "level": 20 },
+        { "move": 99, "method": "level", "level": 25 },
+        { "move": 42, "method": "level", "level": 30 },
+        { "move": 97, "method": "level", "level": 35 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "16": [
+        { "move": 16, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 5 },
+        { "move": 98, "method": "level", "level": 12 },
+        { "move": 18, "method": "level", "level": 19 },
+        { "move": 17, "method": "level", "level": 28 },
+        { "move": 97, "method": "level", "level": 36 },
+        { "move": 119, "method": "level", "level": 44 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "17": [
+        { "move": 16, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 12 },
+        { "move": 18, "method": "level", "level": 21 },
+        { "move": 17, "method": "level", "level": 31 },
+        { "move": 97, "method": "level", "level": 40 },
+        { "move": 119, "method": "level", "level": 49 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "18": [
+        { "move": 16, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 18, "method": "level", "level": 21 },
+        { "move": 17, "method": "level", "level": 31 },
+        { "move": 97, "method": "level", "level": 44 },
+        { "move": 119, "method": "level", "level": 54 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "19": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 7 },
+        { "move": 158, "method": "level", "level": 14 },
+        { "move": 116, "method": "level", "level": 23 },
+        { "move": 162, "method": "level", "level": 34 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "20": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 158, "method": "level", "level": 14 },
+        { "move": 116, "method": "level", "level": 27 },
+        { "move": 162, "method": "level", "level": 41 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "21": [
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 9 },
+        { "move": 31, "method": "level", "level": 15 },
+        { "move": 119, "method": "level", "level": 22 },
+        { "move": 65, "method": "level", "level": 29 },
+        { "move": 97, "method": "level", "level": 36 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "22": [
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 31, "method": "level", "level": 15 },
+        { "move": 119, "method": "level", "level": 25 },
+        { "move": 65, "method": "level", "level": 34 },
+        { "move": 97, "method": "level", "level": 43 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "23": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 40, "method": "level", "level": 10 },
+        { "move": 44, "method": "level", "level": 17 },
+        { "move": 137, "method": "level", "level": 24 },
+        { "move": 103, "method": "level", "level": 31 },
+        { "move": 51, "method": "level", "level": 38 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "24": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 40, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 17 },
+        { "move": 137, "method": "level", "level": 27 },
+        { "move": 103, "method": "level", "level": 36 },
+        { "move": 51, "method": "level", "level": 47 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "25": [
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 6 },
+        { "move": 86, "method": "level", "level": 8 },
+        { "move": 98, "method": "level", "level": 11 },
+        { "move": 104, "method": "level", "level": 15 },
+        { "move": 21, "method": "level", "level": 20 },
+        { "move": 85, "method": "level", "level": 26 },
+        { "move": 129, "method": "level", "level": 26 },
+        { "move": 97, "method": "level", "level": 33 },
+        { "move": 87, "method": "level", "level": 41 },
+        { "move": 113, "method": "level", "level": 50 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "26": [
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 1 },
+        { "move": 86, "method": "level", "level": 1 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "27": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 10 },
+        { "move": 163, "method": "level", "level": 17 },
+        { "move": 40, "method": "level", "level": 24 },
+        { "move": 129, "method": "level", "level": 31 },
+        { "move": 154, "method": "level", "level": 38 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "28": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 163, "method": "level", "level": 17 },
+        { "move": 40, "method": "level", "level": 27 },
+        { "move": 129, "method": "level", "level": 36 },
+        { "move": 154, "method": "level", "level": 47 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "29": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 10, "method": "level", "level": 8 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 40, "method": "level", "level": 14 },
+        { "move": 39, "method": "level", "level": 21 },
+        { "move": 44, "method": "level", "level": 29 },
+        { "move": 154, "method": "level", "level": 36 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "30": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 40, "method": "level", "level": 14 },
+        { "move": 39, "method": "level", "level": 23 },
+        { "move": 44, "method": "level", "level": 32 },
+        { "move": 154, "method": "level", "level": 41 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "31": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 34, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 40, "method": "level", "level": 14 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "32": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 30, "method": "level", "level": 8 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 40, "method": "level", "level": 14 },
+        { "move": 116, "method": "level", "level": 21 },
+        { "move": 31, "method": "level", "level": 29 },
+        { "move": 32, "method": "level", "level": 36 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "33": [
+        { "move": 30, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 40, "method": "level", "level": 14 },
+        { "move": 116, "method": "level", "level": 23 },
+        { "move": 31, "method": "level", "level": 32 },
+        { "move": 32, "method": "level", "level": 41 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "34": [
+        { "move": 30, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 37, "method": "level", "level": 1 },
+        { "move": 40, "method": "level", "level": 1 },
+        { "move": 24, "method": "level", "level": 12 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "35": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 47, "method": "level", "level": 13 },
+        { "move": 3, "method": "level", "level": 18 },
+        { "move": 107, "method": "level", "level": 24 },
+        { "move": 118, "method": "level", "level": 31 },
+        { "move": 111, "method": "level", "level": 39 },
+        { "move": 113, "method": "level", "level": 48 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "36": [
+        { "move": 3, "method": "level", "level": 1 },
+        { "move": 47, "method": "level", "level": 1 },
+        { "move": 107, "method": "level", "level": 1 },
+        { "move": 118, "method": "level", "level": 1 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "37": [
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 16 },
+        { "move": 46, "method": "level", "level": 21 },
+        { "move": 109, "method": "level", "level": 28 },
+        { "move": 53, "method": "level", "level": 35 },
+        { "move": 83, "method": "level", "level": 42 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "38": [
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 46, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "39": [
+        { "move": 47, "method": "level", "level": 1 },
+        { "move": 1, "method": "level", "level": 9 },
+        { "move": 50, "method": "level", "level": 14 },
+        { "move": 111, "method": "level", "level": 19 },
+        { "move": 3, "method": "level", "level": 24 },
+        { "move": 156, "method": "level", "level": 29 },
+        { "move": 34, "method": "level", "level": 34 },
+        { "move": 38, "method": "level", "level": 39 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "40": [
+        { "move": 3, "method": "level", "level": 1 },
+        { "move": 47, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 111, "method": "level", "level": 1 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "41": [
+        { "move": 141, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 10 },
+        { "move": 44, "method": "level", "level": 15 },
+        { "move": 109, "method": "level", "level": 21 },
+        { "move": 17, "method": "level", "level": 28 },
+        { "move": 114, "method": "level", "level": 36 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "42": [
+        { "move": 44, "method": "level", "level": 1 },
+        { "move": 103, "method": "level", "level": 1 },
+        { "move": 141, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 10 },
+        { "move": 109, "method": "level", "level": 21 },
+        { "move": 17, "method": "level", "level": 32 },
+        { "move": 114, "method": "level", "level": 43 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "43": [
+        { "move": 71, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 15 },
+        { "move": 78, "method": "level", "level": 17 },
+        { "move": 79, "method": "level", "level": 19 },
+        { "move": 51, "method": "level", "level": 24 },
+        { "move": 80, "method": "level", "level": 33 },
+        { "move": 76, "method": "level", "level": 46 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "44": [
+        { "move": 71, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 1 },
+        { "move": 79, "method": "level", "level": 19 },
+        { "move": 51, "method": "level", "level": 28 },
+        { "move": 80, "method": "level", "level": 38 },
+        { "move": 76, "method": "level", "level": 52 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "45": [
+        { "move": 51, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 1 },
+        { "move": 79, "method": "level", "level": 1 },
+        { "move": 80, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 15 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "46": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 13 },
+        { "move": 141, "method": "level", "level": 20 },
+        { "move": 147, "method": "level", "level": 27 },
+        { "move": 163, "method": "level", "level": 34 },
+        { "move": 74, "method": "level", "level": 41 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "47": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 1 },
+        { "move": 141, "method": "level", "level": 1 },
+        { "move": 147, "method": "level", "level": 30 },
+        { "move": 163, "method": "level", "level": 39 },
+        { "move": 74, "method": "level", "level": 48 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "48": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 11 },
+        { "move": 93, "method": "level", "level": 19 },
+        { "move": 77, "method": "level", "level": 22 },
+        { "move": 141, "method": "level", "level": 27 },
+        { "move": 78, "method": "level", "level": 30 },
+        { "move": 60, "method": "level", "level": 35 },
+        { "move": 79, "method": "level", "level": 38 },
+        { "move": 94, "method": "level", "level": 43 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "49": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 141, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 30 },
+        { "move": 60, "method": "level", "level": 38 },
+        { "move": 79, "method": "level", "level": 43 },
+        { "move": 94, "method": "level", "level": 50 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "50": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 15 },
+        { "move": 91, "method": "level", "level": 19 },
+        { "move": 28, "method": "level", "level": 24 },
+        { "move": 163, "method": "level", "level": 31 },
+        { "move": 89, "method": "level", "level": 40 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "51": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 91, "method": "level", "level": 1 },
+        { "move": 28, "method": "level", "level": 24 },
+        { "move": 163, "method": "level", "level": 35 },
+        { "move": 89, "method": "level", "level": 47 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "52": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 12 },
+        { "move": 6, "method": "level", "level": 17 },
+        { "move": 103, "method": "level", "level": 24 },
+        { "move": 154, "method": "level", "level": 33 },
+        { "move": 163, "method": "level", "level": 44 },
+        { "move": 6, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "53": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 103, "method": "level", "level": 1 },
+        { "move": 6, "method": "level", "level": 17 },
+        { "move": 154, "method": "level", "level": 37 },
+        { "move": 163, "method": "level", "level": 51 },
+        { "move": 6, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "54": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 28 },
+        { "move": 50, "method": "level", "level": 31 },
+        { "move": 93, "method": "level", "level": 36 },
+        { "move": 154, "method": "level", "level": 43 },
+        { "move": 56, "method": "level", "level": 52 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "55": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 39 },
+        { "move": 154, "method": "level", "level": 48 },
+        { "move": 56, "method": "level", "level": 59 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "56": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 67, "method": "level", "level": 9 },
+        { "move": 2, "method": "level", "level": 15 },
+        { "move": 154, "method": "level", "level": 21 },
+        { "move": 116, "method": "level", "level": 27 },
+        { "move": 69, "method": "level", "level": 33 },
+        { "move": 37, "method": "level", "level": 39 },
+        { "move": 103, "method": "level", "level": 45 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "57": [
+        { "move": 2, "method": "level", "level": 1 },
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 67, "method": "level", "level": 1 },
+        { "move": 154, "method": "level", "level": 1 },
+        { "move": 116, "method": "level", "level": 27 },
+        { "move": 99, "method": "level", "level": 28 },
+        { "move": 69, "method": "level", "level": 37 },
+        { "move": 103, "method": "level", "level": 45 },
+        { "move": 37, "method": "level", "level": 46 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "58": [
+        { "move": 44, "method": "level", "level": 1 },
+        { "move": 46, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 18 },
+        { "move": 43, "method": "level", "level": 23 },
+        { "move": 36, "method": "level", "level": 30 },
+        { "move": 97, "method": "level", "level": 39 },
+        { "move": 53, "method": "level", "level": 50 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "59": [
+        { "move": 36, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 46, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "60": [
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 16 },
+        { "move": 55, "method": "level", "level": 19 },
+        { "move": 3, "method": "level", "level": 25 },
+        { "move": 34, "method": "level", "level": 31 },
+        { "move": 133, "method": "level", "level": 38 },
+        { "move": 56, "method": "level", "level": 45 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "61": [
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 3, "method": "level", "level": 26 },
+        { "move": 34, "method": "level", "level": 33 },
+        { "move": 133, "method": "level", "level": 41 },
+        { "move": 56, "method": "level", "level": 49 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "62": [
+        { "move": 3, "method": "level", "level": 1 },
+        { "move": 34, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "63": [
+        { "move": 100, "method": "level", "level": 1 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "64": [
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 100, "method": "level", "level": 1 },
+        { "move": 134, "method": "level", "level": 1 },
+        { "move": 60, "method": "level", "level": 27 },
+        { "move": 105, "method": "level", "level": 31 },
+        { "move": 94, "method": "level", "level": 38 },
+        { "move": 115, "method": "level", "level": 42 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "65": [
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 100, "method": "level", "level": 1 },
+        { "move": 134, "method": "level", "level": 1 },
+        { "move": 60, "method": "level", "level": 27 },
+        { "move": 105, "method": "level", "level": 31 },
+        { "move": 94, "method": "level", "level": 38 },
+        { "move": 115, "method": "level", "level": 42 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "66": [
+        { "move": 2, "method": "level", "level": 1 },
+        { "move": 67, "method": "level", "level": 20 },
+        { "move": 43, "method": "level", "level": 25 },
+        { "move": 116, "method": "level", "level": 32 },
+        { "move": 69, "method": "level", "level": 39 },
+        { "move": 66, "method": "level", "level": 46 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "67": [
+        { "move": 2, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 67, "method": "level", "level": 1 },
+        { "move": 116, "method": "level", "level": 36 },
+        { "move": 69, "method": "level", "level": 44 },
+        { "move": 66, "method": "level", "level": 52 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "68": [
+        { "move": 2, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 67, "method": "level", "level": 1 },
+        { "move": 116, "method": "level", "level": 36 },
+        { "move": 69, "method": "level", "level": 44 },
+        { "move": 66, "method": "level", "level": 52 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "69": [
+        { "move": 22, "method": "level", "level": 1 },
+        { "move": 74, "method": "level", "level": 1 },
+        { "move": 35, "method": "level", "level": 13 },
+        { "move": 77, "method": "level", "level": 15 },
+        { "move": 79, "method": "level", "level": 18 },
+        { "move": 78, "method": "level", "level": 21 },
+        { "move": 51, "method": "level", "level": 26 },
+        { "move": 75, "method": "level", "level": 33 },
+        { "move": 21, "method": "level", "level": 42 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "70": [
+        { "move": 22, "method": "level", "level": 1 },
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 74, "method": "level", "level": 1 },
+        { "move": 77, "method": "level", "level": 15 },
+        { "move": 79, "method": "level", "level": 18 },
+        { "move": 78, "method": "level", "level": 23 },
+        { "move": 51, "method": "level", "level": 29 },
+        { "move": 75, "method": "level", "level": 38 },
+        { "move": 21, "method": "level", "level": 49 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "71": [
+        { "move": 51, "method": "level", "level": 1 },
+        { "move": 75, "method": "level", "level": 1 },
+        { "move": 78, "method": "level", "level": 1 },
+        { "move": 79, "method": "level", "level": 1 },
+        { "move": 35, "method": "level", "level": 13 },
+        { "move": 77, "method": "level", "level": 15 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "72": [
+        { "move": 51, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 7 },
+        { "move": 35, "method": "level", "level": 13 },
+        { "move": 40, "method": "level", "level": 18 },
+        { "move": 55, "method": "level", "level": 22 },
+        { "move": 132, "method": "level", "level": 27 },
+        { "move": 112, "method": "level", "level": 33 },
+        { "move": 103, "method": "level", "level": 40 },
+        { "move": 56, "method": "level", "level": 48 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "73": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 1 },
+        { "move": 51, "method": "level", "level": 1 },
+        { "move": 40, "method": "level", "level": 18 },
+        { "move": 55, "method": "level", "level": 22 },
+        { "move": 132, "method": "level", "level": 27 },
+        { "move": 112, "method": "level", "level": 35 },
+        { "move": 103, "method": "level", "level": 43 },
+        { "move": 56, "method": "level", "level": 50 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "74": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 111, "method": "level", "level": 11 },
+        { "move": 88, "method": "level", "level": 16 },
+        { "move": 120, "method": "level", "level": 21 },
+        { "move": 106, "method": "level", "level": 26 },
+        { "move": 89, "method": "level", "level": 31 },
+        { "move": 153, "method": "level", "level": 36 },
+        { "move": 5, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "75": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 111, "method": "level", "level": 1 },
+        { "move": 88, "method": "level", "level": 16 },
+        { "move": 120, "method": "level", "level": 21 },
+        { "move": 106, "method": "level", "level": 29 },
+        { "move": 89, "method": "level", "level": 36 },
+        { "move": 153, "method": "level", "level": 43 },
+        { "move": 5, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "76": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 111, "method": "level", "level": 1 },
+        { "move": 88, "method": "level", "level": 16 },
+        { "move": 120, "method": "level", "level": 21 },
+        { "move": 106, "method": "level", "level": 29 },
+        { "move": 89, "method": "level", "level": 36 },
+        { "move": 153, "method": "level", "level": 43 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "77": [
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 30 },
+        { "move": 23, "method": "level", "level": 32 },
+        { "move": 45, "method": "level", "level": 35 },
+        { "move": 83, "method": "level", "level": 39 },
+        { "move": 36, "method": "level", "level": 43 },
+        { "move": 97, "method": "level", "level": 48 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "78": [
+        { "move": 23, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 83, "method": "level", "level": 39 },
+        { "move": 36, "method": "level", "level": 47 },
+        { "move": 97, "method": "level", "level": 55 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "79": [
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 18 },
+        { "move": 29, "method": "level", "level": 22 },
+        { "move": 45, "method": "level", "level": 27 },
+        { "move": 55, "method": "level", "level": 33 },
+        { "move": 133, "method": "level", "level": 40 },
+        { "move": 94, "method": "level", "level": 48 },
+        { "move": 6, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "80": [
+        { "move": 29, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 27 },
+        { "move": 55, "method": "level", "level": 33 },
+        { "move": 110, "method": "level", "level": 37 },
+        { "move": 133, "method": "level", "level": 44 },
+        { "move": 94, "method": "level", "level": 55 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "81": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 49, "method": "level", "level": 21 },
+        { "move": 84, "method": "level", "level": 25 },
+        { "move": 48, "method": "level", "level": 29 },
+        { "move": 86, "method": "level", "level": 35 },
+        { "move": 129, "method": "level", "level": 41 },
+        { "move": 103, "method": "level", "level": 47 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "82": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 49, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 29 },
+        { "move": 86, "method": "level", "level": 38 },
+        { "move": 129, "method": "level", "level": 46 },
+        { "move": 103, "method": "level", "level": 54 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "83": [
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 7 },
+        { "move": 31, "method": "level", "level": 15 },
+        { "move": 14, "method": "level", "level": 23 },
+        { "move": 97, "method": "level", "level": 31 },
+        { "move": 163, "method": "level", "level": 39 },
+        { "move": 13, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "84": [
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 20 },
+        { "move": 31, "method": "level", "level": 24 },
+        { "move": 65, "method": "level", "level": 30 },
+        { "move": 99, "method": "level", "level": 36 },
+        { "move": 161, "method": "level", "level": 40 },
+        { "move": 97, "method": "level", "level": 44 },
+        { "move": 18, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "85": [
+        { "move": 31, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 65, "method": "level", "level": 30 },
+        { "move": 99, "method": "level", "level": 39 },
+        { "move": 161, "method": "level", "level": 45 },
+        { "move": 97, "method": "level", "level": 51 },
+        { "move": 18, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "86": [
+        { "move": 29, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 30 },
+        { "move": 62, "method": "level", "level": 35 },
+        { "move": 156, "method": "level", "level": 40 },
+        { "move": 36, "method": "level", "level": 45 },
+        { "move": 58, "method": "level", "level": 50 },
+        { "move": 6, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "87": [
+        { "move": 29, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 62, "method": "level", "level": 1 },
+        { "move": 156, "method": "level", "level": 44 },
+        { "move": 36, "method": "level", "level": 50 },
+        { "move": 58, "method": "level", "level": 56 },
+        { "move": 6, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "88": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 139, "method": "level", "level": 30 },
+        { "move": 107, "method": "level", "level": 33 },
+        { "move": 124, "method": "level", "level": 37 },
+        { "move": 106, "method": "level", "level": 42 },
+        { "move": 103, "method": "level", "level": 48 },
+        { "move": 151, "method": "level", "level": 55 },
+        { "move": 34, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "89": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 139, "method": "level", "level": 1 },
+        { "move": 107, "method": "level", "level": 33 },
+        { "move": 124, "method": "level", "level": 37 },
+        { "move": 106, "method": "level", "level": 45 },
+        { "move": 103, "method": "level", "level": 53 },
+        { "move": 151, "method": "level", "level": 60 },
+        { "move": 34, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "90": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 110, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 18 },
+        { "move": 128, "method": "level", "level": 23 },
+        { "move": 62, "method": "level", "level": 30 },
+        { "move": 43, "method": "level", "level": 39 },
+        { "move": 58, "method": "level", "level": 50 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "91": [
+        { "move": 48, "method": "level", "level": 1 },
+        { "move": 62, "method": "level", "level": 1 },
+        { "move": 110, "method": "level", "level": 1 },
+        { "move": 128, "method": "level", "level": 1 },
+        { "move": 131, "method": "level", "level": 50 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "92": [
+        { "move": 101, "method": "level", "level": 1 },
+        { "move": 109, "method": "level", "level": 1 },
+        { "move": 122, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 27 },
+        { "move": 138, "method": "level", "level": 35 },
+        { "move": 72, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "93": [
+        { "move": 101, "method": "level", "level": 1 },
+        { "move": 109, "method": "level", "level": 1 },
+        { "move": 122, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 29 },
+        { "move": 138, "method": "level", "level": 38 },
+        { "move": 72, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "94": [
+        { "move": 101, "method": "level", "level": 1 },
+        { "move": 109, "method": "level", "level": 1 },
+        { "move": 122, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 29 },
+        { "move": 138, "method": "level", "level": 38 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "95": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 103, "method": "level", "level": 1 },
+        { "move": 20, "method": "level", "level": 15 },
+        { "move": 88, "method": "level", "level": 19 },
+        { "move": 99, "method": "level", "level": 25 },
+        { "move": 21, "method": "level", "level": 33 },
+        { "move": 106, "method": "level", "level": 43 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "96": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 12 },
+        { "move": 93, "method": "level", "level": 17 },
+        { "move": 29, "method": "level", "level": 24 },
+        { "move": 139, "method": "level", "level": 29 },
+        { "move": 94, "method": "level", "level": 32 },
+        { "move": 96, "method": "level", "level": 37 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "97": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 50, "method": "level", "level": 1 },
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 29, "method": "level", "level": 24 },
+        { "move": 139, "method": "level", "level": 33 },
+        { "move": 94, "method": "level", "level": 37 },
+        { "move": 96, "method": "level", "level": 43 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "98": [
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 11, "method": "level", "level": 20 },
+        { "move": 12, "method": "level", "level": 25 },
+        { "move": 23, "method": "level", "level": 30 },
+        { "move": 152, "method": "level", "level": 35 },
+        { "move": 106, "method": "level", "level": 40 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "99": [
+        { "move": 11, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 12, "method": "level", "level": 25 },
+        { "move": 23, "method": "level", "level": 34 },
+        { "move": 152, "method": "level", "level": 42 },
+        { "move": 106, "method": "level", "level": 49 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "100": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 103, "method": "level", "level": 1 },
+        { "move": 49, "method": "level", "level": 17 },
+        { "move": 120, "method": "level", "level": 22 },
+        { "move": 113, "method": "level", "level": 29 },
+        { "move": 129, "method": "level", "level": 36 },
+        { "move": 153, "method": "level", "level": 43 },
+        { "move": 36, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "101": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 49, "method": "level", "level": 1 },
+        { "move": 103, "method": "level", "level": 1 },
+        { "move": 120, "method": "level", "level": 22 },
+        { "move": 113, "method": "level", "level": 29 },
+        { "move": 129, "method": "level", "level": 40 },
+        { "move": 153, "method": "level", "level": 50 },
+        { "move": 36, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "102": [
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 140, "method": "level", "level": 1 },
+        { "move": 115, "method": "level", "level": 25 },
+        { "move": 73, "method": "level", "level": 28 },
+        { "move": 78, "method": "level", "level": 32 },
+        { "move": 77, "method": "level", "level": 37 },
+        { "move": 76, "method": "level", "level": 42 },
+        { "move": 79, "method": "level", "level": 48 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 121, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "103": [
+        { "move": 95, "method": "level", "level": 1 },
+        { "move": 140, "method": "level", "level": 1 },
+        { "move": 23, "method": "level", "level": 28 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 121, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "104": [
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 125, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 13 },
+        { "move": 29, "method": "level", "level": 18 },
+        { "move": 43, "method": "level", "level": 25 },
+        { "move": 116, "method": "level", "level": 31 },
+        { "move": 37, "method": "level", "level": 38 },
+        { "move": 155, "method": "level", "level": 43 },
+        { "move": 99, "method": "level", "level": 46 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "105": [
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 116, "method": "level", "level": 1 },
+        { "move": 125, "method": "level", "level": 1 },
+        { "move": 29, "method": "level", "level": 18 },
+        { "move": 37, "method": "level", "level": 41 },
+        { "move": 155, "method": "level", "level": 48 },
+        { "move": 99, "method": "level", "level": 55 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "106": [
+        { "move": 24, "method": "level", "level": 1 },
+        { "move": 96, "method": "level", "level": 1 },
+        { "move": 27, "method": "level", "level": 33 },
+        { "move": 26, "method": "level", "level": 38 },
+        { "move": 116, "method": "level", "level": 43 },
+        { "move": 136, "method": "level", "level": 48 },
+        { "move": 25, "method": "level", "level": 53 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "107": [
+        { "move": 4, "method": "level", "level": 1 },
+        { "move": 97, "method": "level", "level": 1 },
+        { "move": 7, "method": "level", "level": 33 },
+        { "move": 8, "method": "level", "level": 38 },
+        { "move": 9, "method": "level", "level": 43 },
+        { "move": 5, "method": "level", "level": 48 },
+        { "move": 68, "method": "level", "level": 53 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "108": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 1 },
+        { "move": 23, "method": "level", "level": 7 },
+        { "move": 50, "method": "level", "level": 15 },
+        { "move": 111, "method": "level", "level": 23 },
+        { "move": 21, "method": "level", "level": 31 },
+        { "move": 103, "method": "level", "level": 39 },
+        { "move": 5, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "109": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 123, "method": "level", "level": 1 },
+        { "move": 124, "method": "level", "level": 32 },
+        { "move": 108, "method": "level", "level": 37 },
+        { "move": 120, "method": "level", "level": 40 },
+        { "move": 114, "method": "level", "level": 45 },
+        { "move": 153, "method": "level", "level": 48 },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "110": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 123, "method": "level", "level": 1 },
+        { "move": 124, "method": "level", "level": 1 },
+        { "move": 108, "method": "level", "level": 39 },
+        { "move": 120, "method": "level", "level": 43 },
+        { "move": 114, "method": "level", "level": 49 },
+        { "move": 153, "method": "level", "level": 53 },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "111": [
+        { "move": 23, "method": "level", "level": 1 },
+        { "move": 30, "method": "level", "level": 1 },
+        { "move": 31, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 32, "method": "level", "level": 45 },
+        { "move": 43, "method": "level", "level": 50 },
+        { "move": 36, "method": "level", "level": 55 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "112": [
+        { "move": 23, "method": "level", "level": 1 },
+        { "move": 30, "method": "level", "level": 1 },
+        { "move": 31, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 32, "method": "level", "level": 48 },
+        { "move": 43, "method": "level", "level": 55 },
+        { "move": 36, "method": "level", "level": 64 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "113": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 3, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 47, "method": "level", "level": 24 },
+        { "move": 45, "method": "level", "level": 30 },
+        { "move": 107, "method": "level", "level": 38 },
+        { "move": 111, "method": "level", "level": 44 },
+        { "move": 113, "method": "level", "level": 48 },
+        { "move": 38, "method": "level", "level": 54 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 121, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 135, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "114": [
+        { "move": 20, "method": "level", "level": 1 },
+        { "move": 132, "method": "level", "level": 1 },
+        { "move": 71, "method": "level", "level": 27 },
+        { "move": 22, "method": "level", "level": 29 },
+        { "move": 77, "method": "level", "level": 32 },
+        { "move": 78, "method": "level", "level": 36 },
+        { "move": 79, "method": "level", "level": 39 },
+        { "move": 21, "method": "level", "level": 45 },
+        { "move": 74, "method": "level", "level": 48 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "115": [
+        { "move": 4, "method": "level", "level": 1 },
+        { "move": 99, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 26 },
+        { "move": 39, "method": "level", "level": 31 },
+        { "move": 5, "method": "level", "level": 36 },
+        { "move": 43, "method": "level", "level": 41 },
+        { "move": 146, "method": "level", "level": 46 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "116": [
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 108, "method": "level", "level": 19 },
+        { "move": 43, "method": "level", "level": 24 },
+        { "move": 55, "method": "level", "level": 30 },
+        { "move": 97, "method": "level", "level": 37 },
+        { "move": 56, "method": "level", "level": 45 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "117": [
+        { "move": 108, "method": "level", "level": 1 },
+        { "move": 145, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 24 },
+        { "move": 55, "method": "level", "level": 30 },
+        { "move": 97, "method": "level", "level": 41 },
+        { "move": 56, "method": "level", "level": 52 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "118": [
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 19 },
+        { "move": 30, "method": "level", "level": 24 },
+        { "move": 31, "method": "level", "level": 30 },
+        { "move": 127, "method": "level", "level": 37 },
+        { "move": 32, "method": "level", "level": 45 },
+        { "move": 97, "method": "level", "level": 54 },
+        { "move": 32, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "119": [
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 30, "method": "level", "level": 24 },
+        { "move": 31, "method": "level", "level": 30 },
+        { "move": 127, "method": "level", "level": 39 },
+        { "move": 32, "method": "level", "level": 48 },
+        { "move": 97, "method": "level", "level": 54 },
+        { "move": 32, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "120": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 17 },
+        { "move": 106, "method": "level", "level": 22 },
+        { "move": 105, "method": "level", "level": 27 },
+        { "move": 129, "method": "level", "level": 32 },
+        { "move": 107, "method": "level", "level": 37 },
+        { "move": 113, "method": "level", "level": 42 },
+        { "move": 56, "method": "level", "level": 47 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "121": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 106, "method": "level", "level": 1 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "122": [
+        { "move": 93, "method": "level", "level": 1 },
+        { "move": 112, "method": "level", "level": 1 },
+        { "move": 113, "method": "level", "level": 23 },
+        { "move": 3, "method": "level", "level": 31 },
+        { "move": 96, "method": "level", "level": 39 },
+        { "move": 164, "method": "level", "level": 47 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "123": [
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 17 },
+        { "move": 116, "method": "level", "level": 20 },
+        { "move": 104, "method": "level", "level": 24 },
+        { "move": 163, "method": "level", "level": 29 },
+        { "move": 14, "method": "level", "level": 35 },
+        { "move": 97, "method": "level", "level": 42 },
+        { "move": 17, "method": "level", "level": 50 },
+        { "move": 14, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" }
+    ],
+    "124": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 142, "method": "level", "level": 1 },
+        { "move": 122, "method": "level", "level": 18 },
+        { "move": 3, "method": "level", "level": 23 },
+        { "move": 8, "method": "level", "level": 31 },
+        { "move": 34, "method": "level", "level": 39 },
+        { "move": 37, "method": "level", "level": 47 },
+        { "move": 59, "method": "level", "level": 58 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "125": [
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 34 },
+        { "move": 103, "method": "level", "level": 37 },
+        { "move": 9, "method": "level", "level": 42 },
+        { "move": 113, "method": "level", "level": 49 },
+        { "move": 87, "method": "level", "level": 54 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "126": [
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 36 },
+        { "move": 109, "method": "level", "level": 39 },
+        { "move": 7, "method": "level", "level": 43 },
+        { "move": 108, "method": "level", "level": 48 },
+        { "move": 123, "method": "level", "level": 52 },
+        { "move": 53, "method": "level", "level": 55 },
+        { "move": 5, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "127": [
+        { "move": 11, "method": "level", "level": 1 },
+        { "move": 20, "method": "level", "level": 21 },
+        { "move": 69, "method": "level", "level": 25 },
+        { "move": 12, "method": "level", "level": 30 },
+        { "move": 116, "method": "level", "level": 36 },
+        { "move": 106, "method": "level", "level": 43 },
+        { "move": 163, "method": "level", "level": 49 },
+        { "move": 14, "method": "level", "level": 54 },
+        { "move": 14, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "128": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 23, "method": "level", "level": 21 },
+        { "move": 39, "method": "level", "level": 28 },
+        { "move": 43, "method": "level", "level": 35 },
+        { "move": 99, "method": "level", "level": 44 },
+        { "move": 36, "method": "level", "level": 51 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "129": [
+        { "move": 150, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 15 }
+    ],
+    "130": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 1 },
+        { "move": 56, "method": "level", "level": 1 },
+        { "move": 82, "method": "level", "level": 1 },
+        { "move": 63, "method": "level", "level": 52 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "131": [
+        { "move": 45, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 47, "method": "level", "level": 16 },
+        { "move": 54, "method": "level", "level": 20 },
+        { "move": 34, "method": "level", "level": 25 },
+        { "move": 109, "method": "level", "level": 31 },
+        { "move": 58, "method": "level", "level": 38 },
+        { "move": 56, "method": "level", "level": 46 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "132": [
+        { "move": 144, "method": "level", "level": 1 }
+    ],
+    "133": [
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 45, "method": "level", "level": 16 },
+        { "move": 98, "method": "level", "level": 23 },
+        { "move": 44, "method": "level", "level": 30 },
+        { "move": 116, "method": "level", "level": 36 },
+        { "move": 36, "method": "level", "level": 42 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "134": [
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 30 },
+        { "move": 62, "method": "level", "level": 36 },
+        { "move": 54, "method": "level", "level": 42 },
+        { "move": 114, "method": "level", "level": 42 },
+        { "move": 151, "method": "level", "level": 42 },
+        { "move": 56, "method": "level", "level": 52 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "135": [
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 24, "method": "level", "level": 30 },
+        { "move": 42, "method": "level", "level": 36 },
+        { "move": 86, "method": "level", "level": 40 },
+        { "move": 97, "method": "level", "level": 44 },
+        { "move": 87, "method": "level", "level": 52 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "136": [
+        { "move": 28, "method": "level", "level": 1 },
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 39, "method": "level", "level": 1 },
+        { "move": 52, "method": "level", "level": 1 },
+        { "move": 98, "method": "level", "level": 1 },
+        { "move": 44, "method": "level", "level": 30 },
+        { "move": 83, "method": "level", "level": 36 },
+        { "move": 43, "method": "level", "level": 42 },
+        { "move": 123, "method": "level", "level": 42 },
+        { "move": 99, "method": "level", "level": 48 },
+        { "move": 53, "method": "level", "level": 52 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" }
+    ],
+    "137": [
+        { "move": 33, "method": "level", "level": 1 },
+        { "move": 159, "method": "level", "level": 1 },
+        { "move": 160, "method": "level", "level": 1 },
+        { "move": 60, "method": "level", "level": 23 },
+        { "move": 105, "method": "level", "level": 28 },
+        { "move": 97, "method": "level", "level": 35 },
+        { "move": 161, "method": "level", "level": 42 },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "138": [
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 110, "method": "level", "level": 1 },
+        { "move": 30, "method": "level", "level": 34 },
+        { "move": 43, "method": "level", "level": 39 },
+        { "move": 131, "method": "level", "level": 46 },
+        { "move": 56, "method": "level", "level": 53 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "139": [
+        { "move": 30, "method": "level", "level": 1 },
+        { "move": 55, "method": "level", "level": 1 },
+        { "move": 110, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 39 },
+        { "move": 131, "method": "level", "level": 44 },
+        { "move": 56, "method": "level", "level": 49 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "140": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 106, "method": "level", "level": 1 },
+        { "move": 71, "method": "level", "level": 34 },
+        { "move": 163, "method": "level", "level": 39 },
+        { "move": 43, "method": "level", "level": 44 },
+        { "move": 56, "method": "level", "level": 49 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "141": [
+        { "move": 10, "method": "level", "level": 1 },
+        { "move": 71, "method": "level", "level": 1 },
+        { "move": 106, "method": "level", "level": 1 },
+        { "move": 163, "method": "level", "level": 39 },
+        { "move": 43, "method": "level", "level": 46 },
+        { "move": 56, "method": "level", "level": 53 },
+        { "move": 13, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "142": [
+        { "move": 17, "method": "level", "level": 1 },
+        { "move": 97, "method": "level", "level": 1 },
+        { "move": 48, "method": "level", "level": 33 },
+        { "move": 44, "method": "level", "level": 38 },
+        { "move": 36, "method": "level", "level": 45 },
+        { "move": 63, "method": "level", "level": 54 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "143": [
+        { "move": 29, "method": "level", "level": 1 },
+        { "move": 133, "method": "level", "level": 1 },
+        { "move": 156, "method": "level", "level": 1 },
+        { "move": 34, "method": "level", "level": 35 },
+        { "move": 106, "method": "level", "level": 41 },
+        { "move": 38, "method": "level", "level": 48 },
+        { "move": 63, "method": "level", "level": 56 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "144": [
+        { "move": 58, "method": "level", "level": 1 },
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 59, "method": "level", "level": 51 },
+        { "move": 97, "method": "level", "level": 55 },
+        { "move": 54, "method": "level", "level": 60 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "145": [
+        { "move": 65, "method": "level", "level": 1 },
+        { "move": 84, "method": "level", "level": 1 },
+        { "move": 87, "method": "level", "level": 51 },
+        { "move": 97, "method": "level", "level": 55 },
+        { "move": 113, "method": "level", "level": 60 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "146": [
+        { "move": 64, "method": "level", "level": 1 },
+        { "move": 83, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 51 },
+        { "move": 97, "method": "level", "level": 55 },
+        { "move": 143, "method": "level", "level": 60 },
+        { "move": 13, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 19, "method": "hm" }
+    ],
+    "147": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 86, "method": "level", "level": 10 },
+        { "move": 97, "method": "level", "level": 20 },
+        { "move": 21, "method": "level", "level": 30 },
+        { "move": 82, "method": "level", "level": 40 },
+        { "move": 63, "method": "level", "level": 50 },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "148": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 86, "method": "level", "level": 1 },
+        { "move": 97, "method": "level", "level": 20 },
+        { "move": 21, "method": "level", "level": 35 },
+        { "move": 82, "method": "level", "level": 45 },
+        { "move": 63, "method": "level", "level": 55 },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" }
+    ],
+    "149": [
+        { "move": 35, "method": "level", "level": 1 },
+        { "move": 43, "method": "level", "level": 1 },
+        { "move": 86, "method": "level", "level": 1 },
+        { "move": 97, "method": "level", "level": 1 },
+        { "move": 21, "method": "level", "level": 35 },
+        { "move": 82, "method": "level", "level": 45 },
+        { "move": 63, "method": "level", "level": 60 },
+        { "move": 13, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" }
+    ],
+    "150": [
+        { "move": 94, "method": "level", "level": 1 },
+        { "move": 129, "method": "level", "level": 1 },
+        { "move": 112, "method": "level", "level": 63 },
+        { "move": 105, "method": "level", "level": 70 },
+        { "move": 54, "method": "level", "level": 75 },
+        { "move": 133, "method": "level", "level": 81 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ],
+    "151": [
+        { "move": 1, "method": "level", "level": 1 },
+        { "move": 144, "method": "level", "level": 10 },
+        { "move": 5, "method": "level", "level": 20 },
+        { "move": 118, "method": "level", "level": 30 },
+        { "move": 94, "method": "level", "level": 40 },
+        { "move": 5, "method": "tm" },
+        { "move": 6, "method": "tm" },
+        { "move": 13, "method": "tm" },
+        { "move": 14, "method": "tm" },
+        { "move": 18, "method": "tm" },
+        { "move": 25, "method": "tm" },
+        { "move": 32, "method": "tm" },
+        { "move": 34, "method": "tm" },
+        { "move": 36, "method": "tm" },
+        { "move": 38, "method": "tm" },
+        { "move": 55, "method": "tm" },
+        { "move": 58, "method": "tm" },
+        { "move": 59, "method": "tm" },
+        { "move": 61, "method": "tm" },
+        { "move": 63, "method": "tm" },
+        { "move": 66, "method": "tm" },
+        { "move": 68, "method": "tm" },
+        { "move": 69, "method": "tm" },
+        { "move": 72, "method": "tm" },
+        { "move": 76, "method": "tm" },
+        { "move": 82, "method": "tm" },
+        { "move": 85, "method": "tm" },
+        { "move": 86, "method": "tm" },
+        { "move": 87, "method": "tm" },
+        { "move": 89, "method": "tm" },
+        { "move": 90, "method": "tm" },
+        { "move": 91, "method": "tm" },
+        { "move": 92, "method": "tm" },
+        { "move": 94, "method": "tm" },
+        { "move": 99, "method": "tm" },
+        { "move": 100, "method": "tm" },
+        { "move": 102, "method": "tm" },
+        { "move": 104, "method": "tm" },
+        { "move": 115, "method": "tm" },
+        { "move": 117, "method": "tm" },
+        { "move": 118, "method": "tm" },
+        { "move": 120, "method": "tm" },
+        { "move": 121, "method": "tm" },
+        { "move": 126, "method": "tm" },
+        { "move": 129, "method": "tm" },
+        { "move": 130, "method": "tm" },
+        { "move": 135, "method": "tm" },
+        { "move": 138, "method": "tm" },
+        { "move": 143, "method": "tm" },
+        { "move": 149, "method": "tm" },
+        { "move": 153, "method": "tm" },
+        { "move": 156, "method": "tm" },
+        { "move": 157, "method": "tm" },
+        { "move": 161, "method": "tm" },
+        { "move": 164, "method": "tm" },
+        { "move": 15, "method": "hm" },
+        { "move": 19, "method": "hm" },
+        { "move": 57, "method": "hm" },
+        { "move": 70, "method": "hm" },
+        { "move": 148, "method": "hm" }
+    ]
+};
+
+export default learnsetsList;
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import pokemon from '../schema/pokemon.js';
+import connectDB from '../connect.js';
+
+// http://localhost:3000/assets/pokemons/1.png -> /assets/pokemons/1.png
+const ABSOLUTE_ASSET_URL = /^https?:\/\/[^/]+(\/assets\/.*)$/i;
+
+/**
+ * Convertit les images stockées en URL absolue (anciennes versions de l'API
+ * ou du seed) en chemins relatifs. Avec `dryRun`, seul le rapport est produit.
+ */
+const migrateImageUrls = async ({ dryRun = false } = {}) => {
+    const report = { checked: 0, converted: [] };
+    const documents = await pokemon.find({}, { id: 1, image: 1 }, { withDeleted: true }).sort({ id: 1 }).lean();
+
+    for (const doc of documents) {
+        report.checked++;
+        const match = typeof doc.image === 'string' && doc.image.match(ABSOLUTE_ASSET_URL);
+        if (!match) continue;
+
+        report.converted.push({ id: doc.id, from: doc.image, to: match[1] });
+        if (!dryRun) {
+            await pokemon.updateOne({ _id: doc._id }, { $set: { image: match[1] } }, { withDeleted: true });
+        }
+    }
+
+    return report;
+};
+
+// Exécuter la migration si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = { dryRun: process.argv.includes('--dry-run') };
+    try {
+        await connectDB();
+        const report = await migrateImageUrls(options);
+        console.log(`Pokémons vérifiés : ${report.checked}, images ${options.dryRun ? 'à convertir' : 'converties'} : ${report.converted.length}`);
+        report.converted.forEach(({ id, from, to }) => console.log(`  - pokémon ${id} : ${from} -> ${to}`));
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors de la migration des images :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default migrateImageUrls;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import pokemon from '../schema/pokemon.js';
+import connectDB from '../connect.js';
+import pokemonsList from './pokemonsList.js';
+
+/**
+ * Renseigne `origin` sur les pokémons enregistrés avant son ajout (le défaut
+ * "custom" du schéma ne s'applique qu'à la lecture) : les ids du jeu de
+ * données officiel passent en "official", les autres en "custom". Avec
+ * `dryRun`, seul le rapport est produit.
+ */
+const migrateOrigins = async ({ dryRun = false } = {}) => {
+    const officialIds = new Set(pokemonsList.map((entry) => entry.id));
+    const report = { checked: 0, official: [], custom: [] };
+    // Lecture brute : le schéma renverrait le défaut "custom" pour un champ absent
+    const documents = await pokemon.collection.find({ origin: { $exists: false } }, { projection: { id: 1 } }).sort({ id: 1 }).toArray();
+
+    for (const doc of documents) {
+        report.checked++;
+        const origin = officialIds.has(doc.id) ? 'official' : 'custom';
+        report[origin].push(doc.id);
+        if (!dryRun) {
+            const update = origin === 'official' ? { origin, createdBy: null } : { origin };
+            await pokemon.collection.updateOne({ _id: doc._id }, { $set: update });
+        }
+    }
+
+    return report;
+};
+
+// Exécuter la migration si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = { dryRun: process.argv.includes('--dry-run') };
+    try {
+        await connectDB();
+        const report = await migrateOrigins(options);
+        const verb = options.dryRun ? 'à marquer' : 'marqués';
+        console.log(`Pokémons sans origine : ${report.checked}`);
+        console.log(`  ${verb} "official" : ${report.official.length}`);
+        console.log(`  ${verb} "custom"   : ${report.custom.length}${report.custom.length ? ` (ids ${report.custom.join(', ')})` : ''}`);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors de la migration des origines :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default migrateOrigins;
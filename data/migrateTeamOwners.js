@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import team from '../schema/team.js';
+import user from '../schema/user.js';
+import connectDB from '../connect.js';
+
+/**
+ * Les équipes créées avant les comptes ont un propriétaire en texte libre.
+ * Avec `fix`, celles dont le texte correspond à un nom d'utilisateur sont
+ * rattachées à ce compte ; les autres sont listées pour un traitement manuel
+ * (seul un admin peut les modifier ou les supprimer en attendant).
+ */
+const migrateTeamOwners = async ({ fix = false } = {}) => {
+    const report = { checked: 0, matched: [], unmatched: [], fixed: 0 };
+    // Lecture brute : un owner texte ne passe pas le cast en ObjectId du schéma
+    const legacyTeams = await team.collection.find({ owner: { $type: 'string' } }).toArray();
+
+    for (const legacy of legacyTeams) {
+        report.checked++;
+        const owner = await user.findOne({ username: legacy.owner.trim() }, { _id: 1 });
+        if (!owner) {
+            report.unmatched.push({ id: legacy._id, name: legacy.name, owner: legacy.owner });
+            continue;
+        }
+
+        report.matched.push({ id: legacy._id, name: legacy.name, owner: legacy.owner });
+        if (fix) {
+            await team.collection.updateOne({ _id: legacy._id }, { $set: { owner: owner._id } });
+            report.fixed++;
+        }
+    }
+
+    return report;
+};
+
+const printReport = (report, { fix }) => {
+    console.log(`Équipes avec un propriétaire texte : ${report.checked}`);
+    report.matched.forEach(({ id, name, owner }) => {
+        console.log(`  - équipe ${id} "${name}" -> utilisateur ${owner}${fix ? ' (corrigé)' : ''}`);
+    });
+    report.unmatched.forEach(({ id, name, owner }) => {
+        console.log(`  - équipe ${id} "${name}" : aucun utilisateur "${owner}" (correction manuelle requise)`);
+    });
+    if (fix) console.log(`Équipes corrigées : ${report.fixed}`);
+};
+
+// Exécuter la migration si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = { fix: process.argv.includes('--fix') };
+    try {
+        await connectDB();
+        printReport(await migrateTeamOwners(options), options);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors de la migration des équipes :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default migrateTeamOwners;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import pokemon from '../schema/pokemon.js';
+import connectDB from '../connect.js';
+import { MAX_TYPES, TYPES, findType } from '../utils/types.js';
+
+// Analyse les types bruts d'un document et propose une version normalisée
+export const checkTypes = (rawTypes) => {
+    const types = Array.isArray(rawTypes) ? rawTypes : [rawTypes].filter((t) => t !== undefined && t !== null);
+    const issues = Array.isArray(rawTypes) ? [] : ['type is not an array'];
+
+    const unknown = types.filter((type) => !findType(type));
+    if (unknown.length > 0) issues.push(`unknown types: ${unknown.join(', ')}`);
+
+    const nonCanonical = types.filter((type) => findType(type) && !TYPES.includes(type));
+    if (nonCanonical.length > 0) issues.push(`non-canonical spelling: ${nonCanonical.join(', ')}`);
+
+    const normalized = [...new Set(types.map((type) => findType(type)).filter(Boolean))];
+    if (normalized.length < types.length - unknown.length) issues.push('duplicate types');
+    if (types.length === 0) issues.push('no type');
+    if (normalized.length > MAX_TYPES) issues.push(`more than ${MAX_TYPES} types`);
+
+    // Corrigeable automatiquement si tous les types sont reconnus
+    const fixable = unknown.length === 0 && normalized.length >= 1 && normalized.length <= MAX_TYPES;
+    return { issues, fixable, normalized: fixable ? normalized : null };
+};
+
+/**
+ * Liste les pokémons dont le champ `type` ne respecte pas l'enum canonique.
+ * Avec `fix`, les documents corrigeables (casse, alias français, doublons)
+ * sont réécrits ; les autres restent à traiter à la main.
+ */
+const migrateTypes = async ({ fix = false } = {}) => {
+    const report = { checked: 0, conforming: 0, nonConforming: [], fixed: 0 };
+    const documents = await pokemon.find({}, { id: 1, type: 1 }, { withDeleted: true }).sort({ id: 1 }).lean();
+
+    for (const doc of documents) {
+        report.checked++;
+        const { issues, fixable, normalized } = checkTypes(doc.type);
+        if (issues.length === 0) {
+            report.conforming++;
+            continue;
+        }
+
+        report.nonConforming.push({ id: doc.id, type: doc.type, issues, fixable, normalized });
+        if (fix && fixable) {
+            await pokemon.collection.updateOne({ _id: doc._id }, { $set: { type: normalized } });
+            report.fixed++;
+        }
+    }
+
+    return report;
+};
+
+const printReport = (report, { fix }) => {
+    console.log(`Pokémons vérifiés : ${report.checked}, conformes : ${report.conforming}`);
+    report.nonConforming.forEach(({ id, type, issues, fixable, normalized }) => {
+        const action = fixable ? `-> ${JSON.stringify(normalized)}${fix ? ' (corrigé)' : ''}` : '(correction manuelle requise)';
+        console.log(`  - pokémon ${id} ${JSON.stringify(type)} : ${issues.join('; ')} ${action}`);
+    });
+    if (fix) console.log(`Documents corrigés : ${report.fixed}`);
+};
+
+// Exécuter la migration si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const options = { fix: process.argv.includes('--fix') };
+    try {
+        await connectDB();
+        printReport(await migrateTypes(options), options);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors de la migration des types :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default migrateTypes;
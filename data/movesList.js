@@ -0,0 +1,2317 @@
+// Capacités de la 1re génération (numéros officiels 1 à 165) ; type, catégorie,
+// puissance, précision et PP selon les jeux actuels. power = null pour les
+// capacités de statut ou à dégâts fixes, accuracy = null si elle n'échoue jamais
+const movesList = [
+    {
+        "id": 1,
+        "name": {
+            "english": "Pound",
+            "japanese": "はたく",
+            "chinese": "拍击",
+            "french": "Écras'Face"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 2,
+        "name": {
+            "english": "Karate Chop",
+            "japanese": "からてチョップ",
+            "chinese": "空手劈",
+            "french": "Poing-Karaté"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 50,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 3,
+        "name": {
+            "english": "Double Slap",
+            "japanese": "おうふくビンタ",
+            "chinese": "连环巴掌",
+            "french": "Torgnoles"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 85,
+        "pp": 10
+    },
+    {
+        "id": 4,
+        "name": {
+            "english": "Comet Punch",
+            "japanese": "れんぞくパンチ",
+            "chinese": "连续拳",
+            "french": "Poing Comète"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 18,
+        "accuracy": 85,
+        "pp": 15
+    },
+    {
+        "id": 5,
+        "name": {
+            "english": "Mega Punch",
+            "japanese": "メガトンパンチ",
+            "chinese": "百万吨重拳",
+            "french": "Ultimapoing"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 6,
+        "name": {
+            "english": "Pay Day",
+            "japanese": "ネコにこばん",
+            "chinese": "聚宝功",
+            "french": "Jackpot"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 7,
+        "name": {
+            "english": "Fire Punch",
+            "japanese": "ほのおのパンチ",
+            "chinese": "火焰拳",
+            "french": "Poing de Feu"
+        },
+        "type": "Fire",
+        "category": "physical",
+        "power": 75,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 8,
+        "name": {
+            "english": "Ice Punch",
+            "japanese": "れいとうパンチ",
+            "chinese": "冰冻拳",
+            "french": "Poing Glace"
+        },
+        "type": "Ice",
+        "category": "physical",
+        "power": 75,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 9,
+        "name": {
+            "english": "Thunder Punch",
+            "japanese": "かみなりパンチ",
+            "chinese": "雷电拳",
+            "french": "Poing Éclair"
+        },
+        "type": "Electric",
+        "category": "physical",
+        "power": 75,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 10,
+        "name": {
+            "english": "Scratch",
+            "japanese": "ひっかく",
+            "chinese": "抓",
+            "french": "Griffe"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 11,
+        "name": {
+            "english": "Vise Grip",
+            "japanese": "はさむ",
+            "chinese": "夹住",
+            "french": "Force Poigne"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 55,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 12,
+        "name": {
+            "english": "Guillotine",
+            "japanese": "ハサミギロチン",
+            "chinese": "断头钳",
+            "french": "Guillotine"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": null,
+        "accuracy": 30,
+        "pp": 5
+    },
+    {
+        "id": 13,
+        "name": {
+            "english": "Razor Wind",
+            "japanese": "かまいたち",
+            "chinese": "旋风刀",
+            "french": "Coupe-Vent"
+        },
+        "type": "Normal",
+        "category": "special",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 14,
+        "name": {
+            "english": "Swords Dance",
+            "japanese": "つるぎのまい",
+            "chinese": "剑舞",
+            "french": "Danse Lames"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 15,
+        "name": {
+            "english": "Cut",
+            "japanese": "いあいぎり",
+            "chinese": "居合斩",
+            "french": "Coupe"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 50,
+        "accuracy": 95,
+        "pp": 30
+    },
+    {
+        "id": 16,
+        "name": {
+            "english": "Gust",
+            "japanese": "かぜおこし",
+            "chinese": "起风",
+            "french": "Tornade"
+        },
+        "type": "Flying",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 17,
+        "name": {
+            "english": "Wing Attack",
+            "japanese": "つばさでうつ",
+            "chinese": "翅膀攻击",
+            "french": "Cru-Aile"
+        },
+        "type": "Flying",
+        "category": "physical",
+        "power": 60,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 18,
+        "name": {
+            "english": "Whirlwind",
+            "japanese": "ふきとばし",
+            "chinese": "吹飞",
+            "french": "Cyclone"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 19,
+        "name": {
+            "english": "Fly",
+            "japanese": "そらをとぶ",
+            "chinese": "飞翔",
+            "french": "Vol"
+        },
+        "type": "Flying",
+        "category": "physical",
+        "power": 90,
+        "accuracy": 95,
+        "pp": 15
+    },
+    {
+        "id": 20,
+        "name": {
+            "english": "Bind",
+            "japanese": "しめつける",
+            "chinese": "绑紧",
+            "french": "Étreinte"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 21,
+        "name": {
+            "english": "Slam",
+            "japanese": "たたきつける",
+            "chinese": "摔打",
+            "french": "Souplesse"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 75,
+        "pp": 20
+    },
+    {
+        "id": 22,
+        "name": {
+            "english": "Vine Whip",
+            "japanese": "つるのムチ",
+            "chinese": "藤鞭",
+            "french": "Fouet Lianes"
+        },
+        "type": "Grass",
+        "category": "physical",
+        "power": 45,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 23,
+        "name": {
+            "english": "Stomp",
+            "japanese": "ふみつけ",
+            "chinese": "踩踏",
+            "french": "Écrasement"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 24,
+        "name": {
+            "english": "Double Kick",
+            "japanese": "にどげり",
+            "chinese": "二连踢",
+            "french": "Double Pied"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 30,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 25,
+        "name": {
+            "english": "Mega Kick",
+            "japanese": "メガトンキック",
+            "chinese": "百万吨重踢",
+            "french": "Ultimawashi"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 120,
+        "accuracy": 75,
+        "pp": 5
+    },
+    {
+        "id": 26,
+        "name": {
+            "english": "Jump Kick",
+            "japanese": "とびげり",
+            "chinese": "飞踢",
+            "french": "Pied Sauté"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 100,
+        "accuracy": 95,
+        "pp": 10
+    },
+    {
+        "id": 27,
+        "name": {
+            "english": "Rolling Kick",
+            "japanese": "まわしげり",
+            "chinese": "回旋踢",
+            "french": "Mawashi Geri"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 60,
+        "accuracy": 85,
+        "pp": 15
+    },
+    {
+        "id": 28,
+        "name": {
+            "english": "Sand Attack",
+            "japanese": "すなかけ",
+            "chinese": "泼沙",
+            "french": "Jet de Sable"
+        },
+        "type": "Ground",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 29,
+        "name": {
+            "english": "Headbutt",
+            "japanese": "ずつき",
+            "chinese": "头锤",
+            "french": "Coup d'Boule"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 70,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 30,
+        "name": {
+            "english": "Horn Attack",
+            "japanese": "つのでつく",
+            "chinese": "角撞",
+            "french": "Koud'Korne"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 31,
+        "name": {
+            "english": "Fury Attack",
+            "japanese": "みだれづき",
+            "chinese": "乱击",
+            "french": "Furie"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 32,
+        "name": {
+            "english": "Horn Drill",
+            "japanese": "つのドリル",
+            "chinese": "角钻",
+            "french": "Empal'Korne"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": null,
+        "accuracy": 30,
+        "pp": 5
+    },
+    {
+        "id": 33,
+        "name": {
+            "english": "Tackle",
+            "japanese": "たいあたり",
+            "chinese": "撞击",
+            "french": "Charge"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 34,
+        "name": {
+            "english": "Body Slam",
+            "japanese": "のしかかり",
+            "chinese": "泰山压顶",
+            "french": "Plaquage"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 85,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 35,
+        "name": {
+            "english": "Wrap",
+            "japanese": "まきつく",
+            "chinese": "紧束",
+            "french": "Ligotage"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 90,
+        "pp": 20
+    },
+    {
+        "id": 36,
+        "name": {
+            "english": "Take Down",
+            "japanese": "とっしん",
+            "chinese": "猛撞",
+            "french": "Bélier"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 90,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 37,
+        "name": {
+            "english": "Thrash",
+            "japanese": "あばれる",
+            "chinese": "大闹一番",
+            "french": "Mania"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 120,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 38,
+        "name": {
+            "english": "Double-Edge",
+            "japanese": "すてみタックル",
+            "chinese": "舍身冲撞",
+            "french": "Damoclès"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 120,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 39,
+        "name": {
+            "english": "Tail Whip",
+            "japanese": "しっぽをふる",
+            "chinese": "摇尾巴",
+            "french": "Mimi-Queue"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 40,
+        "name": {
+            "english": "Poison Sting",
+            "japanese": "どくばり",
+            "chinese": "毒针",
+            "french": "Dard-Venin"
+        },
+        "type": "Poison",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 41,
+        "name": {
+            "english": "Twineedle",
+            "japanese": "ダブルニードル",
+            "chinese": "双针",
+            "french": "Double Dard"
+        },
+        "type": "Bug",
+        "category": "physical",
+        "power": 25,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 42,
+        "name": {
+            "english": "Pin Missile",
+            "japanese": "ミサイルばり",
+            "chinese": "飞弹针",
+            "french": "Dard-Nuée"
+        },
+        "type": "Bug",
+        "category": "physical",
+        "power": 25,
+        "accuracy": 95,
+        "pp": 20
+    },
+    {
+        "id": 43,
+        "name": {
+            "english": "Leer",
+            "japanese": "にらみつける",
+            "chinese": "瞪眼",
+            "french": "Groz'Yeux"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 44,
+        "name": {
+            "english": "Bite",
+            "japanese": "かみつく",
+            "chinese": "咬住",
+            "french": "Morsure"
+        },
+        "type": "Dark",
+        "category": "physical",
+        "power": 60,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 45,
+        "name": {
+            "english": "Growl",
+            "japanese": "なきごえ",
+            "chinese": "叫声",
+            "french": "Rugissement"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 40
+    },
+    {
+        "id": 46,
+        "name": {
+            "english": "Roar",
+            "japanese": "ほえる",
+            "chinese": "吼叫",
+            "french": "Hurlement"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 47,
+        "name": {
+            "english": "Sing",
+            "japanese": "うたう",
+            "chinese": "唱歌",
+            "french": "Berceuse"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 55,
+        "pp": 15
+    },
+    {
+        "id": 48,
+        "name": {
+            "english": "Supersonic",
+            "japanese": "ちょうおんぱ",
+            "chinese": "超音波",
+            "french": "Ultrason"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 55,
+        "pp": 20
+    },
+    {
+        "id": 49,
+        "name": {
+            "english": "Sonic Boom",
+            "japanese": "ソニックブーム",
+            "chinese": "音爆",
+            "french": "Sonic Boom"
+        },
+        "type": "Normal",
+        "category": "special",
+        "power": null,
+        "accuracy": 90,
+        "pp": 20
+    },
+    {
+        "id": 50,
+        "name": {
+            "english": "Disable",
+            "japanese": "かなしばり",
+            "chinese": "定身法",
+            "french": "Entrave"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 51,
+        "name": {
+            "english": "Acid",
+            "japanese": "ようかいえき",
+            "chinese": "溶解液",
+            "french": "Acide"
+        },
+        "type": "Poison",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 52,
+        "name": {
+            "english": "Ember",
+            "japanese": "ひのこ",
+            "chinese": "火花",
+            "french": "Flammèche"
+        },
+        "type": "Fire",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 53,
+        "name": {
+            "english": "Flamethrower",
+            "japanese": "かえんほうしゃ",
+            "chinese": "喷射火焰",
+            "french": "Lance-Flammes"
+        },
+        "type": "Fire",
+        "category": "special",
+        "power": 90,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 54,
+        "name": {
+            "english": "Mist",
+            "japanese": "しろいきり",
+            "chinese": "白雾",
+            "french": "Brume"
+        },
+        "type": "Ice",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 55,
+        "name": {
+            "english": "Water Gun",
+            "japanese": "みずでっぽう",
+            "chinese": "水枪",
+            "french": "Pistolet à O"
+        },
+        "type": "Water",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 56,
+        "name": {
+            "english": "Hydro Pump",
+            "japanese": "ハイドロポンプ",
+            "chinese": "水炮",
+            "french": "Hydrocanon"
+        },
+        "type": "Water",
+        "category": "special",
+        "power": 110,
+        "accuracy": 80,
+        "pp": 5
+    },
+    {
+        "id": 57,
+        "name": {
+            "english": "Surf",
+            "japanese": "なみのり",
+            "chinese": "冲浪",
+            "french": "Surf"
+        },
+        "type": "Water",
+        "category": "special",
+        "power": 90,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 58,
+        "name": {
+            "english": "Ice Beam",
+            "japanese": "れいとうビーム",
+            "chinese": "冰冻光束",
+            "french": "Laser Glace"
+        },
+        "type": "Ice",
+        "category": "special",
+        "power": 90,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 59,
+        "name": {
+            "english": "Blizzard",
+            "japanese": "ふぶき",
+            "chinese": "暴风雪",
+            "french": "Blizzard"
+        },
+        "type": "Ice",
+        "category": "special",
+        "power": 110,
+        "accuracy": 70,
+        "pp": 5
+    },
+    {
+        "id": 60,
+        "name": {
+            "english": "Psybeam",
+            "japanese": "サイケこうせん",
+            "chinese": "幻象光线",
+            "french": "Rafale Psy"
+        },
+        "type": "Psychic",
+        "category": "special",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 61,
+        "name": {
+            "english": "Bubble Beam",
+            "japanese": "バブルこうせん",
+            "chinese": "泡沫光线",
+            "french": "Bulles d'O"
+        },
+        "type": "Water",
+        "category": "special",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 62,
+        "name": {
+            "english": "Aurora Beam",
+            "japanese": "オーロラビーム",
+            "chinese": "极光束",
+            "french": "Onde Boréale"
+        },
+        "type": "Ice",
+        "category": "special",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 63,
+        "name": {
+            "english": "Hyper Beam",
+            "japanese": "はかいこうせん",
+            "chinese": "破坏光线",
+            "french": "Ultralaser"
+        },
+        "type": "Normal",
+        "category": "special",
+        "power": 150,
+        "accuracy": 90,
+        "pp": 5
+    },
+    {
+        "id": 64,
+        "name": {
+            "english": "Peck",
+            "japanese": "つつく",
+            "chinese": "啄",
+            "french": "Picpic"
+        },
+        "type": "Flying",
+        "category": "physical",
+        "power": 35,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 65,
+        "name": {
+            "english": "Drill Peck",
+            "japanese": "ドリルくちばし",
+            "chinese": "啄钻",
+            "french": "Bec Vrille"
+        },
+        "type": "Flying",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 66,
+        "name": {
+            "english": "Submission",
+            "japanese": "じごくぐるま",
+            "chinese": "地狱翻滚",
+            "french": "Sacrifice"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 80,
+        "pp": 20
+    },
+    {
+        "id": 67,
+        "name": {
+            "english": "Low Kick",
+            "japanese": "けたぐり",
+            "chinese": "踢倒",
+            "french": "Balayage"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 68,
+        "name": {
+            "english": "Counter",
+            "japanese": "カウンター",
+            "chinese": "双倍奉还",
+            "french": "Riposte"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 69,
+        "name": {
+            "english": "Seismic Toss",
+            "japanese": "ちきゅうなげ",
+            "chinese": "地球上投",
+            "french": "Frappe Atlas"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 70,
+        "name": {
+            "english": "Strength",
+            "japanese": "かいりき",
+            "chinese": "怪力",
+            "french": "Force"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 71,
+        "name": {
+            "english": "Absorb",
+            "japanese": "すいとる",
+            "chinese": "吸取",
+            "french": "Vol-Vie"
+        },
+        "type": "Grass",
+        "category": "special",
+        "power": 20,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 72,
+        "name": {
+            "english": "Mega Drain",
+            "japanese": "メガドレイン",
+            "chinese": "超级吸取",
+            "french": "Méga-Sangsue"
+        },
+        "type": "Grass",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 73,
+        "name": {
+            "english": "Leech Seed",
+            "japanese": "やどりぎのタネ",
+            "chinese": "寄生种子",
+            "french": "Vampigraine"
+        },
+        "type": "Grass",
+        "category": "status",
+        "power": null,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 74,
+        "name": {
+            "english": "Growth",
+            "japanese": "せいちょう",
+            "chinese": "生长",
+            "french": "Croissance"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 75,
+        "name": {
+            "english": "Razor Leaf",
+            "japanese": "はっぱカッター",
+            "chinese": "飞叶快刀",
+            "french": "Tranch'Herbe"
+        },
+        "type": "Grass",
+        "category": "physical",
+        "power": 55,
+        "accuracy": 95,
+        "pp": 25
+    },
+    {
+        "id": 76,
+        "name": {
+            "english": "Solar Beam",
+            "japanese": "ソーラービーム",
+            "chinese": "日光束",
+            "french": "Lance-Soleil"
+        },
+        "type": "Grass",
+        "category": "special",
+        "power": 120,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 77,
+        "name": {
+            "english": "Poison Powder",
+            "japanese": "どくのこな",
+            "chinese": "毒粉",
+            "french": "Poudre Toxik"
+        },
+        "type": "Poison",
+        "category": "status",
+        "power": null,
+        "accuracy": 75,
+        "pp": 35
+    },
+    {
+        "id": 78,
+        "name": {
+            "english": "Stun Spore",
+            "japanese": "しびれごな",
+            "chinese": "麻痹粉",
+            "french": "Para-Spore"
+        },
+        "type": "Grass",
+        "category": "status",
+        "power": null,
+        "accuracy": 75,
+        "pp": 30
+    },
+    {
+        "id": 79,
+        "name": {
+            "english": "Sleep Powder",
+            "japanese": "ねむりごな",
+            "chinese": "催眠粉",
+            "french": "Poudre Dodo"
+        },
+        "type": "Grass",
+        "category": "status",
+        "power": null,
+        "accuracy": 75,
+        "pp": 15
+    },
+    {
+        "id": 80,
+        "name": {
+            "english": "Petal Dance",
+            "japanese": "はなびらのまい",
+            "chinese": "花瓣舞",
+            "french": "Danse Fleurs"
+        },
+        "type": "Grass",
+        "category": "special",
+        "power": 120,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 81,
+        "name": {
+            "english": "String Shot",
+            "japanese": "いとをはく",
+            "chinese": "吐丝",
+            "french": "Sécrétion"
+        },
+        "type": "Bug",
+        "category": "status",
+        "power": null,
+        "accuracy": 95,
+        "pp": 40
+    },
+    {
+        "id": 82,
+        "name": {
+            "english": "Dragon Rage",
+            "japanese": "りゅうのいかり",
+            "chinese": "龙之怒",
+            "french": "Draco-Rage"
+        },
+        "type": "Dragon",
+        "category": "special",
+        "power": null,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 83,
+        "name": {
+            "english": "Fire Spin",
+            "japanese": "ほのおのうず",
+            "chinese": "火焰旋涡",
+            "french": "Danse Flammes"
+        },
+        "type": "Fire",
+        "category": "special",
+        "power": 35,
+        "accuracy": 85,
+        "pp": 15
+    },
+    {
+        "id": 84,
+        "name": {
+            "english": "Thunder Shock",
+            "japanese": "でんきショック",
+            "chinese": "电击",
+            "french": "Éclair"
+        },
+        "type": "Electric",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 85,
+        "name": {
+            "english": "Thunderbolt",
+            "japanese": "１０まんボルト",
+            "chinese": "十万伏特",
+            "french": "Tonnerre"
+        },
+        "type": "Electric",
+        "category": "special",
+        "power": 90,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 86,
+        "name": {
+            "english": "Thunder Wave",
+            "japanese": "でんじは",
+            "chinese": "电磁波",
+            "french": "Cage-Éclair"
+        },
+        "type": "Electric",
+        "category": "status",
+        "power": null,
+        "accuracy": 90,
+        "pp": 20
+    },
+    {
+        "id": 87,
+        "name": {
+            "english": "Thunder",
+            "japanese": "かみなり",
+            "chinese": "打雷",
+            "french": "Fatal-Foudre"
+        },
+        "type": "Electric",
+        "category": "special",
+        "power": 110,
+        "accuracy": 70,
+        "pp": 10
+    },
+    {
+        "id": 88,
+        "name": {
+            "english": "Rock Throw",
+            "japanese": "いわおとし",
+            "chinese": "落石",
+            "french": "Jet-Pierres"
+        },
+        "type": "Rock",
+        "category": "physical",
+        "power": 50,
+        "accuracy": 90,
+        "pp": 15
+    },
+    {
+        "id": 89,
+        "name": {
+            "english": "Earthquake",
+            "japanese": "じしん",
+            "chinese": "地震",
+            "french": "Séisme"
+        },
+        "type": "Ground",
+        "category": "physical",
+        "power": 100,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 90,
+        "name": {
+            "english": "Fissure",
+            "japanese": "じわれ",
+            "chinese": "地裂",
+            "french": "Abîme"
+        },
+        "type": "Ground",
+        "category": "physical",
+        "power": null,
+        "accuracy": 30,
+        "pp": 5
+    },
+    {
+        "id": 91,
+        "name": {
+            "english": "Dig",
+            "japanese": "あなをほる",
+            "chinese": "挖洞",
+            "french": "Tunnel"
+        },
+        "type": "Ground",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 92,
+        "name": {
+            "english": "Toxic",
+            "japanese": "どくどく",
+            "chinese": "剧毒",
+            "french": "Toxik"
+        },
+        "type": "Poison",
+        "category": "status",
+        "power": null,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 93,
+        "name": {
+            "english": "Confusion",
+            "japanese": "ねんりき",
+            "chinese": "念力",
+            "french": "Choc Mental"
+        },
+        "type": "Psychic",
+        "category": "special",
+        "power": 50,
+        "accuracy": 100,
+        "pp": 25
+    },
+    {
+        "id": 94,
+        "name": {
+            "english": "Psychic",
+            "japanese": "サイコキネシス",
+            "chinese": "精神强念",
+            "french": "Psyko"
+        },
+        "type": "Psychic",
+        "category": "special",
+        "power": 90,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 95,
+        "name": {
+            "english": "Hypnosis",
+            "japanese": "さいみんじゅつ",
+            "chinese": "催眠术",
+            "french": "Hypnose"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": 60,
+        "pp": 20
+    },
+    {
+        "id": 96,
+        "name": {
+            "english": "Meditate",
+            "japanese": "ヨガのポーズ",
+            "chinese": "瑜伽姿势",
+            "french": "Yoga"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 40
+    },
+    {
+        "id": 97,
+        "name": {
+            "english": "Agility",
+            "japanese": "こうそくいどう",
+            "chinese": "高速移动",
+            "french": "Hâte"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 98,
+        "name": {
+            "english": "Quick Attack",
+            "japanese": "でんこうせっか",
+            "chinese": "电光一闪",
+            "french": "Vive-Attaque"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 99,
+        "name": {
+            "english": "Rage",
+            "japanese": "いかり",
+            "chinese": "愤怒",
+            "french": "Frénésie"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 20,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 100,
+        "name": {
+            "english": "Teleport",
+            "japanese": "テレポート",
+            "chinese": "瞬间移动",
+            "french": "Téléport"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 101,
+        "name": {
+            "english": "Night Shade",
+            "japanese": "ナイトヘッド",
+            "chinese": "黑夜魔影",
+            "french": "Ombre Nocturne"
+        },
+        "type": "Ghost",
+        "category": "special",
+        "power": null,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 102,
+        "name": {
+            "english": "Mimic",
+            "japanese": "ものまね",
+            "chinese": "模仿",
+            "french": "Copie"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 103,
+        "name": {
+            "english": "Screech",
+            "japanese": "いやなおと",
+            "chinese": "刺耳声",
+            "french": "Grincement"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 85,
+        "pp": 40
+    },
+    {
+        "id": 104,
+        "name": {
+            "english": "Double Team",
+            "japanese": "かげぶんしん",
+            "chinese": "影子分身",
+            "french": "Reflet"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 15
+    },
+    {
+        "id": 105,
+        "name": {
+            "english": "Recover",
+            "japanese": "じこさいせい",
+            "chinese": "自我再生",
+            "french": "Soin"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 5
+    },
+    {
+        "id": 106,
+        "name": {
+            "english": "Harden",
+            "japanese": "かたくなる",
+            "chinese": "变硬",
+            "french": "Armure"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 107,
+        "name": {
+            "english": "Minimize",
+            "japanese": "ちいさくなる",
+            "chinese": "变小",
+            "french": "Lilliput"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 108,
+        "name": {
+            "english": "Smokescreen",
+            "japanese": "えんまく",
+            "chinese": "烟幕",
+            "french": "Brouillard"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 109,
+        "name": {
+            "english": "Confuse Ray",
+            "japanese": "あやしいひかり",
+            "chinese": "奇异之光",
+            "french": "Onde Folie"
+        },
+        "type": "Ghost",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 110,
+        "name": {
+            "english": "Withdraw",
+            "japanese": "からにこもる",
+            "chinese": "缩入壳中",
+            "french": "Repli"
+        },
+        "type": "Water",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 40
+    },
+    {
+        "id": 111,
+        "name": {
+            "english": "Defense Curl",
+            "japanese": "まるくなる",
+            "chinese": "变圆",
+            "french": "Boul'Armure"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 40
+    },
+    {
+        "id": 112,
+        "name": {
+            "english": "Barrier",
+            "japanese": "バリアー",
+            "chinese": "屏障",
+            "french": "Bouclier"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 113,
+        "name": {
+            "english": "Light Screen",
+            "japanese": "ひかりのかべ",
+            "chinese": "光墙",
+            "french": "Mur Lumière"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 114,
+        "name": {
+            "english": "Haze",
+            "japanese": "くろいきり",
+            "chinese": "黑雾",
+            "french": "Buée Noire"
+        },
+        "type": "Ice",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 115,
+        "name": {
+            "english": "Reflect",
+            "japanese": "リフレクター",
+            "chinese": "反射壁",
+            "french": "Protection"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 116,
+        "name": {
+            "english": "Focus Energy",
+            "japanese": "きあいだめ",
+            "chinese": "聚气",
+            "french": "Puissance"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 117,
+        "name": {
+            "english": "Bide",
+            "japanese": "がまん",
+            "chinese": "忍耐",
+            "french": "Patience"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 118,
+        "name": {
+            "english": "Metronome",
+            "japanese": "ゆびをふる",
+            "chinese": "挥指",
+            "french": "Métronome"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 119,
+        "name": {
+            "english": "Mirror Move",
+            "japanese": "オウムがえし",
+            "chinese": "鹦鹉学舌",
+            "french": "Mimique"
+        },
+        "type": "Flying",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 120,
+        "name": {
+            "english": "Self-Destruct",
+            "japanese": "じばく",
+            "chinese": "自爆",
+            "french": "Destruction"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 200,
+        "accuracy": 100,
+        "pp": 5
+    },
+    {
+        "id": 121,
+        "name": {
+            "english": "Egg Bomb",
+            "japanese": "タマゴばくだん",
+            "chinese": "炸蛋",
+            "french": "Bombe Œuf"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 100,
+        "accuracy": 75,
+        "pp": 10
+    },
+    {
+        "id": 122,
+        "name": {
+            "english": "Lick",
+            "japanese": "したでなめる",
+            "chinese": "舌舔",
+            "french": "Léchouille"
+        },
+        "type": "Ghost",
+        "category": "physical",
+        "power": 30,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 123,
+        "name": {
+            "english": "Smog",
+            "japanese": "スモッグ",
+            "chinese": "浊雾",
+            "french": "Purédpois"
+        },
+        "type": "Poison",
+        "category": "special",
+        "power": 30,
+        "accuracy": 70,
+        "pp": 20
+    },
+    {
+        "id": 124,
+        "name": {
+            "english": "Sludge",
+            "japanese": "ヘドロこうげき",
+            "chinese": "污泥攻击",
+            "french": "Détritus"
+        },
+        "type": "Poison",
+        "category": "special",
+        "power": 65,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 125,
+        "name": {
+            "english": "Bone Club",
+            "japanese": "ホネこんぼう",
+            "chinese": "骨棒",
+            "french": "Massd'Os"
+        },
+        "type": "Ground",
+        "category": "physical",
+        "power": 65,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 126,
+        "name": {
+            "english": "Fire Blast",
+            "japanese": "だいもんじ",
+            "chinese": "大字爆炎",
+            "french": "Déflagration"
+        },
+        "type": "Fire",
+        "category": "special",
+        "power": 110,
+        "accuracy": 85,
+        "pp": 5
+    },
+    {
+        "id": 127,
+        "name": {
+            "english": "Waterfall",
+            "japanese": "たきのぼり",
+            "chinese": "攀瀑",
+            "french": "Cascade"
+        },
+        "type": "Water",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 128,
+        "name": {
+            "english": "Clamp",
+            "japanese": "からではさむ",
+            "chinese": "贝壳夹击",
+            "french": "Claquoir"
+        },
+        "type": "Water",
+        "category": "physical",
+        "power": 35,
+        "accuracy": 85,
+        "pp": 15
+    },
+    {
+        "id": 129,
+        "name": {
+            "english": "Swift",
+            "japanese": "スピードスター",
+            "chinese": "高速星星",
+            "french": "Météores"
+        },
+        "type": "Normal",
+        "category": "special",
+        "power": 60,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 130,
+        "name": {
+            "english": "Skull Bash",
+            "japanese": "ロケットずつき",
+            "chinese": "火箭头锤",
+            "french": "Coud'Krâne"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 130,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 131,
+        "name": {
+            "english": "Spike Cannon",
+            "japanese": "とげキャノン",
+            "chinese": "尖刺加农炮",
+            "french": "Picanon"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 20,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 132,
+        "name": {
+            "english": "Constrict",
+            "japanese": "からみつく",
+            "chinese": "缠绕",
+            "french": "Constriction"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 10,
+        "accuracy": 100,
+        "pp": 35
+    },
+    {
+        "id": 133,
+        "name": {
+            "english": "Amnesia",
+            "japanese": "ドわすれ",
+            "chinese": "瞬间失忆",
+            "french": "Amnésie"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 134,
+        "name": {
+            "english": "Kinesis",
+            "japanese": "スプーンまげ",
+            "chinese": "折弯汤匙",
+            "french": "Télékinésie"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": 80,
+        "pp": 15
+    },
+    {
+        "id": 135,
+        "name": {
+            "english": "Soft-Boiled",
+            "japanese": "タマゴうみ",
+            "chinese": "生蛋",
+            "french": "E-Coque"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 5
+    },
+    {
+        "id": 136,
+        "name": {
+            "english": "High Jump Kick",
+            "japanese": "とびひざげり",
+            "chinese": "飞膝踢",
+            "french": "Pied Voltige"
+        },
+        "type": "Fighting",
+        "category": "physical",
+        "power": 130,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 137,
+        "name": {
+            "english": "Glare",
+            "japanese": "へびにらみ",
+            "chinese": "大蛇瞪眼",
+            "french": "Regard Médusant"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 138,
+        "name": {
+            "english": "Dream Eater",
+            "japanese": "ゆめくい",
+            "chinese": "食梦",
+            "french": "Dévorêve"
+        },
+        "type": "Psychic",
+        "category": "special",
+        "power": 100,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 139,
+        "name": {
+            "english": "Poison Gas",
+            "japanese": "どくガス",
+            "chinese": "毒瓦斯",
+            "french": "Gaz Toxik"
+        },
+        "type": "Poison",
+        "category": "status",
+        "power": null,
+        "accuracy": 90,
+        "pp": 40
+    },
+    {
+        "id": 140,
+        "name": {
+            "english": "Barrage",
+            "japanese": "たまなげ",
+            "chinese": "投球",
+            "french": "Pilonnage"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 15,
+        "accuracy": 85,
+        "pp": 20
+    },
+    {
+        "id": 141,
+        "name": {
+            "english": "Leech Life",
+            "japanese": "きゅうけつ",
+            "chinese": "吸血",
+            "french": "Vampirisme"
+        },
+        "type": "Bug",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 142,
+        "name": {
+            "english": "Lovely Kiss",
+            "japanese": "あくまのキッス",
+            "chinese": "恶魔之吻",
+            "french": "Grobisou"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 75,
+        "pp": 10
+    },
+    {
+        "id": 143,
+        "name": {
+            "english": "Sky Attack",
+            "japanese": "ゴッドバード",
+            "chinese": "神鸟猛击",
+            "french": "Piqué"
+        },
+        "type": "Flying",
+        "category": "physical",
+        "power": 140,
+        "accuracy": 90,
+        "pp": 5
+    },
+    {
+        "id": 144,
+        "name": {
+            "english": "Transform",
+            "japanese": "へんしん",
+            "chinese": "变身",
+            "french": "Morphing"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 145,
+        "name": {
+            "english": "Bubble",
+            "japanese": "あわ",
+            "chinese": "泡沫",
+            "french": "Écume"
+        },
+        "type": "Water",
+        "category": "special",
+        "power": 40,
+        "accuracy": 100,
+        "pp": 30
+    },
+    {
+        "id": 146,
+        "name": {
+            "english": "Dizzy Punch",
+            "japanese": "ピヨピヨパンチ",
+            "chinese": "迷昏拳",
+            "french": "Uppercut"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 70,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 147,
+        "name": {
+            "english": "Spore",
+            "japanese": "キノコのほうし",
+            "chinese": "蘑菇孢子",
+            "french": "Spore"
+        },
+        "type": "Grass",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 148,
+        "name": {
+            "english": "Flash",
+            "japanese": "フラッシュ",
+            "chinese": "闪光",
+            "french": "Flash"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 149,
+        "name": {
+            "english": "Psywave",
+            "japanese": "サイコウェーブ",
+            "chinese": "精神波",
+            "french": "Vague Psy"
+        },
+        "type": "Psychic",
+        "category": "special",
+        "power": null,
+        "accuracy": 100,
+        "pp": 15
+    },
+    {
+        "id": 150,
+        "name": {
+            "english": "Splash",
+            "japanese": "はねる",
+            "chinese": "跃起",
+            "french": "Trempette"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 40
+    },
+    {
+        "id": 151,
+        "name": {
+            "english": "Acid Armor",
+            "japanese": "とける",
+            "chinese": "溶化",
+            "french": "Acidarmure"
+        },
+        "type": "Poison",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 20
+    },
+    {
+        "id": 152,
+        "name": {
+            "english": "Crabhammer",
+            "japanese": "クラブハンマー",
+            "chinese": "蟹钳锤",
+            "french": "Pince-Masse"
+        },
+        "type": "Water",
+        "category": "physical",
+        "power": 100,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 153,
+        "name": {
+            "english": "Explosion",
+            "japanese": "だいばくはつ",
+            "chinese": "大爆炸",
+            "french": "Explosion"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 250,
+        "accuracy": 100,
+        "pp": 5
+    },
+    {
+        "id": 154,
+        "name": {
+            "english": "Fury Swipes",
+            "japanese": "みだれひっかき",
+            "chinese": "乱抓",
+            "french": "Combo-Griffe"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 18,
+        "accuracy": 80,
+        "pp": 15
+    },
+    {
+        "id": 155,
+        "name": {
+            "english": "Bonemerang",
+            "japanese": "ホネブーメラン",
+            "chinese": "骨头回力镖",
+            "french": "Osmerang"
+        },
+        "type": "Ground",
+        "category": "physical",
+        "power": 50,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 156,
+        "name": {
+            "english": "Rest",
+            "japanese": "ねむる",
+            "chinese": "睡觉",
+            "french": "Repos"
+        },
+        "type": "Psychic",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 5
+    },
+    {
+        "id": 157,
+        "name": {
+            "english": "Rock Slide",
+            "japanese": "いわなだれ",
+            "chinese": "岩崩",
+            "french": "Éboulement"
+        },
+        "type": "Rock",
+        "category": "physical",
+        "power": 75,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 158,
+        "name": {
+            "english": "Hyper Fang",
+            "japanese": "ひっさつまえば",
+            "chinese": "必杀门牙",
+            "french": "Croc de Mort"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 80,
+        "accuracy": 90,
+        "pp": 15
+    },
+    {
+        "id": 159,
+        "name": {
+            "english": "Sharpen",
+            "japanese": "かくばる",
+            "chinese": "棱角化",
+            "french": "Affûtage"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 160,
+        "name": {
+            "english": "Conversion",
+            "japanese": "テクスチャー",
+            "chinese": "纹理",
+            "french": "Conversion"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 30
+    },
+    {
+        "id": 161,
+        "name": {
+            "english": "Tri Attack",
+            "japanese": "トライアタック",
+            "chinese": "三重攻击",
+            "french": "Triplattaque"
+        },
+        "type": "Normal",
+        "category": "special",
+        "power": 80,
+        "accuracy": 100,
+        "pp": 10
+    },
+    {
+        "id": 162,
+        "name": {
+            "english": "Super Fang",
+            "japanese": "いかりのまえば",
+            "chinese": "愤怒门牙",
+            "french": "Croc Fatal"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": null,
+        "accuracy": 90,
+        "pp": 10
+    },
+    {
+        "id": 163,
+        "name": {
+            "english": "Slash",
+            "japanese": "きりさく",
+            "chinese": "劈开",
+            "french": "Tranche"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 70,
+        "accuracy": 100,
+        "pp": 20
+    },
+    {
+        "id": 164,
+        "name": {
+            "english": "Substitute",
+            "japanese": "みがわり",
+            "chinese": "替身",
+            "french": "Clonage"
+        },
+        "type": "Normal",
+        "category": "status",
+        "power": null,
+        "accuracy": null,
+        "pp": 10
+    },
+    {
+        "id": 165,
+        "name": {
+            "english": "Struggle",
+            "japanese": "わるあがき",
+            "chinese": "挣扎",
+            "french": "Lutte"
+        },
+        "type": "Normal",
+        "category": "physical",
+        "power": 50,
+        "accuracy": null,
+        "pp": 1
+    }
+]
+
+export default movesList;
\ No newline at end of file
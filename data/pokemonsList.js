@@ -1,7 +1,3 @@
-import dotenv from 'dotenv';
-
-dotenv.config();
-
 const pokemonsList = [
     {
         "id": 1,
@@ -23,7 +19,47 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/1.png`     
+        "abilities": [
+            {
+                "name": {
+                    "english": "Overgrow",
+                    "japanese": "しんりょく",
+                    "chinese": "茂盛",
+                    "french": "Engrais"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.7,
+        "weight": 6.9,
+        "category": {
+            "english": "Seed Pokémon",
+            "japanese": "たねポケモン",
+            "chinese": "种子宝可梦",
+            "french": "Pokémon Graine"
+        },
+        "flavorText": {
+            "english": "A strange seed was planted on its back at birth. The plant sprouts and grows with this Pokémon.",
+            "japanese": "生まれたときから背中に不思議なタネが植えてあって体とともに育つという。",
+            "french": "Il a une étrange graine plantée sur son dos. Elle grandit avec lui depuis sa naissance."
+        },
+        "evolutions": [
+            {
+                "id": 2,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/1.png"
     },
     {
         "id": 2,
@@ -45,7 +81,47 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/2.png` 
+        "abilities": [
+            {
+                "name": {
+                    "english": "Overgrow",
+                    "japanese": "しんりょく",
+                    "chinese": "茂盛",
+                    "french": "Engrais"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 13,
+        "category": {
+            "english": "Seed Pokémon",
+            "japanese": "たねポケモン",
+            "chinese": "种子宝可梦",
+            "french": "Pokémon Graine"
+        },
+        "flavorText": {
+            "english": "There is a plant bulb on its back. When it absorbs nutrients, the bulb is said to blossom into a large flower.",
+            "japanese": "つぼみが背中についていて養分を吸収していくと大きな花が咲くという。",
+            "french": "Il y a un bulbe sur son dos. On dit que s’il absorbe assez de nutriments, ce bulbe se transforme en une jolie fleur."
+        },
+        "evolutions": [
+            {
+                "id": 3,
+                "method": "level",
+                "level": 32
+            }
+        ],
+        "image": "/assets/pokemons/2.png"
     },
     {
         "id": 3,
@@ -67,7 +143,40 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/3.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Overgrow",
+                    "japanese": "しんりょく",
+                    "chinese": "茂盛",
+                    "french": "Engrais"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2,
+        "weight": 100,
+        "category": {
+            "english": "Seed Pokémon",
+            "japanese": "たねポケモン",
+            "chinese": "种子宝可梦",
+            "french": "Pokémon Graine"
+        },
+        "flavorText": {
+            "english": "By spreading the broad petals of its flower and catching the sun’s rays, it fills its body with power.",
+            "japanese": "大きな花びらを広げ太陽の光を浴びていると体に元気がみなぎっていく。",
+            "french": "Ses pétales lui servent à capter la lumière du soleil. Il peut ainsi en canaliser l’énergie."
+        },
+        "image": "/assets/pokemons/3.png"
     },
     {
         "id": 4,
@@ -88,7 +197,47 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/4.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Blaze",
+                    "japanese": "もうか",
+                    "chinese": "猛火",
+                    "french": "Brasier"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Solar Power",
+                    "japanese": "サンパワー",
+                    "chinese": "太阳之力",
+                    "french": "Force Soleil"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 8.5,
+        "category": {
+            "english": "Lizard Pokémon",
+            "japanese": "とかげポケモン",
+            "chinese": "蜥蜴宝可梦",
+            "french": "Pokémon Lézard"
+        },
+        "flavorText": {
+            "english": "The flame on its tail indicates Charmander’s life force. If it is healthy, the flame burns brightly.",
+            "japanese": "尻尾の炎はヒトカゲの生命力の証。元気だとさかんに燃えさかる。",
+            "french": "La flamme sur sa queue représente l’énergie vitale de Salamèche. Quand il est vigoureux, elle brûle plus fort."
+        },
+        "evolutions": [
+            {
+                "id": 5,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/4.png"
     },
     {
         "id": 5,
@@ -109,7 +258,47 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/5.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Blaze",
+                    "japanese": "もうか",
+                    "chinese": "猛火",
+                    "french": "Brasier"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Solar Power",
+                    "japanese": "サンパワー",
+                    "chinese": "太阳之力",
+                    "french": "Force Soleil"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 19,
+        "category": {
+            "english": "Flame Pokémon",
+            "japanese": "かえんポケモン",
+            "chinese": "火焰宝可梦",
+            "french": "Pokémon Flamme"
+        },
+        "flavorText": {
+            "english": "It lashes about with its tail to knock down its foe. It then tears up the fallen opponent with sharp claws.",
+            "japanese": "尻尾を振り回して相手をなぎ倒し鋭いツメでズタズタにひきさいてしまう。",
+            "french": "Il se sert de sa queue pour faire tomber ses adversaires. Une fois qu’ils sont au sol, il les lacère de ses griffes acérées."
+        },
+        "evolutions": [
+            {
+                "id": 6,
+                "method": "level",
+                "level": 36
+            }
+        ],
+        "image": "/assets/pokemons/5.png"
     },
     {
         "id": 6,
@@ -131,7 +320,40 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/6.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Blaze",
+                    "japanese": "もうか",
+                    "chinese": "猛火",
+                    "french": "Brasier"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Solar Power",
+                    "japanese": "サンパワー",
+                    "chinese": "太阳之力",
+                    "french": "Force Soleil"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 90.5,
+        "category": {
+            "english": "Flame Pokémon",
+            "japanese": "かえんポケモン",
+            "chinese": "火焰宝可梦",
+            "french": "Pokémon Flamme"
+        },
+        "flavorText": {
+            "english": "When expelling a blast of superhot fire, the red flame at the tip of its tail burns more intensely.",
+            "japanese": "口から灼熱の炎を吐き出すとき尻尾の先はより赤く激しく燃え上がる。",
+            "french": "Quand il crache son souffle brûlant, la flamme au bout de sa queue s’embrase."
+        },
+        "image": "/assets/pokemons/6.png"
     },
     {
         "id": 7,
@@ -152,7 +374,47 @@ const pokemonsList = [
             "SpecialDefense": 64,
             "Speed": 43
         },
-        "image": `${process.env.API_URL}/assets/pokemons/7.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Torrent",
+                    "japanese": "げきりゅう",
+                    "chinese": "激流",
+                    "french": "Torrent"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rain Dish",
+                    "japanese": "あめうけざら",
+                    "chinese": "雨盘",
+                    "french": "Cuvette"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 9,
+        "category": {
+            "english": "Tiny Turtle Pokémon",
+            "japanese": "かめのこポケモン",
+            "chinese": "小龟宝可梦",
+            "french": "Pokémon Minitortue"
+        },
+        "flavorText": {
+            "english": "It shelters itself in its shell, then strikes back with spouts of water at every opportunity.",
+            "japanese": "甲羅に閉じこもり身を守る。相手のすきを見逃さず水を噴き出して反撃する。",
+            "french": "Il se réfugie dans sa carapace et réplique en éclaboussant l’ennemi à la première occasion."
+        },
+        "evolutions": [
+            {
+                "id": 8,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/7.png"
     },
     {
         "id": 8,
@@ -173,7 +435,47 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 58
         },
-        "image": `${process.env.API_URL}/assets/pokemons/8.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Torrent",
+                    "japanese": "げきりゅう",
+                    "chinese": "激流",
+                    "french": "Torrent"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rain Dish",
+                    "japanese": "あめうけざら",
+                    "chinese": "雨盘",
+                    "french": "Cuvette"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 22.5,
+        "category": {
+            "english": "Turtle Pokémon",
+            "japanese": "かめポケモン",
+            "chinese": "龟宝可梦",
+            "french": "Pokémon Tortue"
+        },
+        "flavorText": {
+            "english": "When tapped, this Pokémon will pull in its head, but its tail will still stick out a little bit.",
+            "japanese": "ポカンと頭をたたかれるとき甲羅に引っこんで避ける。でもちょっとだけ尻尾が出ているよ。",
+            "french": "Attaqué, il cache sa tête dans sa carapace, mais son corps trop gros ne peut y tenir en entier."
+        },
+        "evolutions": [
+            {
+                "id": 9,
+                "method": "level",
+                "level": 36
+            }
+        ],
+        "image": "/assets/pokemons/8.png"
     },
     {
         "id": 9,
@@ -194,7 +496,40 @@ const pokemonsList = [
             "SpecialDefense": 105,
             "Speed": 78
         },
-        "image": `${process.env.API_URL}/assets/pokemons/9.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Torrent",
+                    "japanese": "げきりゅう",
+                    "chinese": "激流",
+                    "french": "Torrent"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rain Dish",
+                    "japanese": "あめうけざら",
+                    "chinese": "雨盘",
+                    "french": "Cuvette"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 85.5,
+        "category": {
+            "english": "Shellfish Pokémon",
+            "japanese": "こうらポケモン",
+            "chinese": "甲壳宝可梦",
+            "french": "Pokémon Carapace"
+        },
+        "flavorText": {
+            "english": "It crushes its foe under its heavy body to cause fainting. In a pinch, it will withdraw inside its shell.",
+            "japanese": "体が重たくのしかかって相手を気絶させる。ピンチのときは殻に隠れる。",
+            "french": "Il écrase ses adversaires de tout son poids pour leur faire perdre connaissance. Il rentre dans sa carapace s’il se sent en danger."
+        },
+        "image": "/assets/pokemons/9.png"
     },
     {
         "id": 10,
@@ -215,7 +550,48 @@ const pokemonsList = [
             "SpecialDefense": 20,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/10.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shield Dust",
+                    "japanese": "りんぷん",
+                    "chinese": "鳞粉",
+                    "french": "Écran Poudre"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 2.9,
+        "category": {
+            "english": "Worm Pokémon",
+            "japanese": "いもむしポケモン",
+            "chinese": "虫宝宝宝可梦",
+            "french": "Pokémon Ver"
+        },
+        "flavorText": {
+            "english": "For protection, it releases a horrible stench from the antennae on its head to drive away enemies.",
+            "japanese": "頭の触覚から強烈なにおいを出して敵を追い払い身を守る。",
+            "chinese": "或许是想要尽快长大，它的食欲非常旺盛，每天能吃掉１００片叶子。",
+            "french": "Pour se protéger, il émet un gaz puant par ses antennes, qui fait fuir ses ennemis audacieux."
+        },
+        "evolutions": [
+            {
+                "id": 11,
+                "method": "level",
+                "level": 7
+            }
+        ],
+        "image": "/assets/pokemons/10.png"
     },
     {
         "id": 11,
@@ -236,7 +612,39 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/11.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shed Skin",
+                    "japanese": "だっぴ",
+                    "chinese": "蜕皮",
+                    "french": "Mue"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 0.7,
+        "weight": 9.9,
+        "category": {
+            "english": "Cocoon Pokémon",
+            "japanese": "さなぎポケモン",
+            "chinese": "蛹宝可梦",
+            "french": "Pokémon Cocon"
+        },
+        "flavorText": {
+            "english": "A steel-hard shell protects its tender body. It quietly endures hardships while awaiting evolution.",
+            "japanese": "鋼鉄のように硬い殻でやわらかい中身を守っている。進化するまでじっと耐えている。",
+            "chinese": "壳里面是黏糊糊的液体。为了准备迎接进化，正在不断地更新体内的细胞。",
+            "french": "Son corps frêle est protégé par sa carapace d’acier. Il encaisse les coups durs en attendant d’évoluer."
+        },
+        "evolutions": [
+            {
+                "id": 12,
+                "method": "level",
+                "level": 10
+            }
+        ],
+        "image": "/assets/pokemons/11.png"
     },
     {
         "id": 12,
@@ -258,7 +666,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/12.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Compound Eyes",
+                    "japanese": "ふくがん",
+                    "chinese": "复眼",
+                    "french": "Œil Composé"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Tinted Lens",
+                    "japanese": "いろめがね",
+                    "chinese": "有色眼镜",
+                    "french": "Lentiteintée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 32,
+        "category": {
+            "english": "Butterfly Pokémon",
+            "japanese": "ちょうちょポケモン",
+            "chinese": "蝴蝶宝可梦",
+            "french": "Pokémon Papillon"
+        },
+        "flavorText": {
+            "english": "It loves the honey of flowers and can locate flower patches that have even tiny amounts of pollen.",
+            "japanese": "花のミツが大好物。わずかな花粉で花畑の場所を探し出すことができる。",
+            "chinese": "翅膀上覆盖着的鳞粉有剧毒。如果发现有鸟宝可梦要袭击绿毛虫，就会撒出鳞粉将它赶跑。",
+            "french": "Il raffole du nectar des fleurs. Il est capable de repérer la plus petite quantité de pollen."
+        },
+        "image": "/assets/pokemons/12.png"
     },
     {
         "id": 13,
@@ -280,7 +722,47 @@ const pokemonsList = [
             "SpecialDefense": 20,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/13.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shield Dust",
+                    "japanese": "りんぷん",
+                    "chinese": "鳞粉",
+                    "french": "Écran Poudre"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 3.2,
+        "category": {
+            "english": "Hairy Bug Pokémon",
+            "japanese": "けむしポケモン",
+            "chinese": "毛毛虫宝可梦",
+            "french": "Pokémon Insectopic"
+        },
+        "flavorText": {
+            "english": "Often found in forests and grasslands. It has a sharp, toxic barb of around two inches on top of its head.",
+            "japanese": "森や草地に多く生息。頭の先に５センチぐらいの小さく鋭い毒針を持つ。",
+            "french": "On trouve souvent ce Pokémon dans les forêts et les hautes herbes. L’aiguillon de 5 cm sur sa tête contient un venin très toxique."
+        },
+        "evolutions": [
+            {
+                "id": 14,
+                "method": "level",
+                "level": 7
+            }
+        ],
+        "image": "/assets/pokemons/13.png"
     },
     {
         "id": 14,
@@ -302,7 +784,38 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/14.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shed Skin",
+                    "japanese": "だっぴ",
+                    "chinese": "蜕皮",
+                    "french": "Mue"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 0.6,
+        "weight": 10,
+        "category": {
+            "english": "Cocoon Pokémon",
+            "japanese": "さなぎポケモン",
+            "chinese": "蛹宝可梦",
+            "french": "Pokémon Cocon"
+        },
+        "flavorText": {
+            "english": "Almost incapable of moving, this Pokémon can only harden its shell to protect itself when it is in danger.",
+            "japanese": "自分ではほとんど動けないが危ないときは硬くなって身を守っているようだ。",
+            "french": "Incapable de se déplacer de lui-même, il se défend en durcissant sa carapace."
+        },
+        "evolutions": [
+            {
+                "id": 15,
+                "method": "level",
+                "level": 10
+            }
+        ],
+        "image": "/assets/pokemons/14.png"
     },
     {
         "id": 15,
@@ -324,7 +837,40 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 75
         },
-        "image": `${process.env.API_URL}/assets/pokemons/15.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swarm",
+                    "japanese": "むしのしらせ",
+                    "chinese": "虫之预感",
+                    "french": "Essaim"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sniper",
+                    "japanese": "スナイパー",
+                    "chinese": "狙击手",
+                    "french": "Sniper"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 29.5,
+        "category": {
+            "english": "Poison Bee Pokémon",
+            "japanese": "どくばちポケモン",
+            "chinese": "毒蜂宝可梦",
+            "french": "Pokémon Guêpoison"
+        },
+        "flavorText": {
+            "english": "It has three poisonous stingers on its forelegs and its tail. They are used to jab its enemy repeatedly.",
+            "japanese": "両手とお尻にある３本の毒針で相手を刺して刺して刺しまくって攻撃する。",
+            "french": "Il se sert de ses trois aiguillons empoisonnés pour attaquer sans relâche ses adversaires."
+        },
+        "image": "/assets/pokemons/15.png"
     },
     {
         "id": 16,
@@ -346,7 +892,47 @@ const pokemonsList = [
             "SpecialDefense": 35,
             "Speed": 56
         },
-        "image": `${process.env.API_URL}/assets/pokemons/16.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Big Pecks",
+                    "japanese": "はとむね",
+                    "chinese": "健壮胸肌",
+                    "french": "Cœur de Coq"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 1.8,
+        "category": {
+            "english": "Tiny Bird Pokémon",
+            "japanese": "ことりポケモン",
+            "chinese": "小鸟宝可梦",
+            "french": "Pokémon Minoiseau"
+        },
+        "flavorText": {
+            "english": "A common sight in forests and woods. It flaps its wings at ground level to kick up blinding sand.",
+            "japanese": "森や林に多く分布。地上でも激しくはばたいて砂をかけたりする。",
+            "french": "On l’aperçoit souvent dans les forêts. Avec ses ailes, il brasse l’air près du sol pour projeter du sable."
+        },
+        "evolutions": [
+            {
+                "id": 17,
+                "method": "level",
+                "level": 18
+            }
+        ],
+        "image": "/assets/pokemons/16.png"
     },
     {
         "id": 17,
@@ -368,7 +954,47 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 71
         },
-        "image": `${process.env.API_URL}/assets/pokemons/17.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Big Pecks",
+                    "japanese": "はとむね",
+                    "chinese": "健壮胸肌",
+                    "french": "Cœur de Coq"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 30,
+        "category": {
+            "english": "Bird Pokémon",
+            "japanese": "とりポケモン",
+            "chinese": "鸟宝可梦",
+            "french": "Pokémon Oiseau"
+        },
+        "flavorText": {
+            "english": "The claws on its feet are well developed. It can carry prey such as an Exeggcute to its nest over 60 miles away.",
+            "japanese": "足のツメが発達している。エサのタマタマをつかんで１００キロ先の巣まで運ぶ。",
+            "french": "Grâce à ses griffes très puissantes, il est capable de transporter des Noeunoeuf vers un nid éloigné de plus de 100 km."
+        },
+        "evolutions": [
+            {
+                "id": 18,
+                "method": "level",
+                "level": 36
+            }
+        ],
+        "image": "/assets/pokemons/17.png"
     },
     {
         "id": 18,
@@ -390,7 +1016,40 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 101
         },
-        "image": `${process.env.API_URL}/assets/pokemons/18.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Big Pecks",
+                    "japanese": "はとむね",
+                    "chinese": "健壮胸肌",
+                    "french": "Cœur de Coq"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 39.5,
+        "category": {
+            "english": "Bird Pokémon",
+            "japanese": "とりポケモン",
+            "chinese": "鸟宝可梦",
+            "french": "Pokémon Oiseau"
+        },
+        "flavorText": {
+            "english": "When hunting, it skims the surface of water at high speed to pick off unwary prey such as Magikarp.",
+            "japanese": "エサを探すとき水面すれすれを滑るように飛んでコイキングなどをわしづかみにする。",
+            "french": "Il survole la surface de l’eau pour repérer une proie et plonge en piqué pour l’attraper."
+        },
+        "image": "/assets/pokemons/18.png"
     },
     {
         "id": 19,
@@ -411,7 +1070,48 @@ const pokemonsList = [
             "SpecialDefense": 35,
             "Speed": 72
         },
-        "image": `${process.env.API_URL}/assets/pokemons/19.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 3.5,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "Living wherever there is food available, it ceaselessly scavenges for edibles the entire day.",
+            "japanese": "食べるものがあるところならどこにだって生息する。１日中エサを探している。",
+            "chinese": "门牙会终生生长。但要是长得太长，就会因无法进食而饿死。",
+            "french": "Vivant là où se trouve la nourriture, ce charognard passe ses journées à la rechercher."
+        },
+        "evolutions": [
+            {
+                "id": 20,
+                "method": "level",
+                "level": 20
+            }
+        ],
+        "image": "/assets/pokemons/19.png"
     },
     {
         "id": 20,
@@ -432,7 +1132,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 97
         },
-        "image": `${process.env.API_URL}/assets/pokemons/20.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.7,
+        "weight": 18.5,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "It whittles its constantly growing fangs by gnawing on hard things. It can chew apart cinder walls.",
+            "japanese": "伸び続ける前歯を削るため硬いものをかじる習性。ブロック塀もかじって壊す。",
+            "chinese": "据说会用后脚上小小的蹼泅水渡海，穿越岛屿来躲避敌人的追击。",
+            "french": "Il grignote sans cesse pour apaiser la poussée de ses crocs. Il peut transpercer un mur de parpaings."
+        },
+        "image": "/assets/pokemons/20.png"
     },
     {
         "id": 21,
@@ -454,7 +1188,48 @@ const pokemonsList = [
             "SpecialDefense": 31,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/21.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sniper",
+                    "japanese": "スナイパー",
+                    "chinese": "狙击手",
+                    "french": "Sniper"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 2,
+        "category": {
+            "english": "Tiny Bird Pokémon",
+            "japanese": "ことりポケモン",
+            "chinese": "小鸟宝可梦",
+            "french": "Pokémon Minoiseau"
+        },
+        "flavorText": {
+            "english": "Very protective of its territory, it flaps its short wings busily to dart around at high speed.",
+            "japanese": "自分のテリトリーを守るため短い羽をはばたかせて忙しく飛び回っている。",
+            "chinese": "生性鲁莽，只要是为了保护自己的领地，即便对手是大型宝可梦，也仍会冲向对手。",
+            "french": "Très protecteur de son territoire, il bat vite des ailes pour se déplacer à toute allure."
+        },
+        "evolutions": [
+            {
+                "id": 22,
+                "method": "level",
+                "level": 20
+            }
+        ],
+        "image": "/assets/pokemons/21.png"
     },
     {
         "id": 22,
@@ -476,7 +1251,41 @@ const pokemonsList = [
             "SpecialDefense": 61,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/22.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sniper",
+                    "japanese": "スナイパー",
+                    "chinese": "狙击手",
+                    "french": "Sniper"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 38,
+        "category": {
+            "english": "Beak Pokémon",
+            "japanese": "くちばしポケモン",
+            "chinese": "鸟嘴宝可梦",
+            "french": "Pokémon Bec-Oiseau"
+        },
+        "flavorText": {
+            "english": "With its huge and magnificent wings, it can keep aloft without ever having to land for rest.",
+            "japanese": "大きな翼で大空を飛び続けることができる。１回も降りなくても平気だ。",
+            "chinese": "在大嘴雀的领地上拿着食物走动可是相当危险的。食物转眼间就会被抢走。",
+            "french": "Ses ailes géantes lui permettent de voler sur de longues distances sans qu’il ait besoin de se reposer."
+        },
+        "image": "/assets/pokemons/22.png"
     },
     {
         "id": 23,
@@ -497,7 +1306,48 @@ const pokemonsList = [
             "SpecialDefense": 54,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/23.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2,
+        "weight": 6.9,
+        "category": {
+            "english": "Snake Pokémon",
+            "japanese": "へびポケモン",
+            "chinese": "蛇宝可梦",
+            "french": "Pokémon Serpent"
+        },
+        "flavorText": {
+            "english": "The older it gets, the longer it grows. At night, it wraps its long body around tree branches to rest.",
+            "japanese": "育つほどにどんどん長くなる。そして夜中は木の枝にグルグルと絡まって休む。",
+            "chinese": "甚至可以通过让颚脱位来吞食比自己更大的猎物。进食后就会蜷缩起身体进行休息。",
+            "french": "Plus il est âgé, plus son corps est long. Il se love autour des arbres pour se reposer."
+        },
+        "evolutions": [
+            {
+                "id": 24,
+                "method": "level",
+                "level": 22
+            }
+        ],
+        "image": "/assets/pokemons/23.png"
     },
     {
         "id": 24,
@@ -518,7 +1368,41 @@ const pokemonsList = [
             "SpecialDefense": 79,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/24.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 3.5,
+        "weight": 65,
+        "category": {
+            "english": "Cobra Pokémon",
+            "japanese": "コブラポケモン",
+            "chinese": "眼镜蛇宝可梦",
+            "french": "Pokémon Cobra"
+        },
+        "flavorText": {
+            "english": "The pattern on its belly appears to be a frightening face. Weak foes will flee just at the sight of the pattern.",
+            "japanese": "お腹の模様が怖い顔に見える。弱い敵はその模様を見ただけで逃げ出してしまう。",
+            "chinese": "根据最新的研究显示，它们腹部的花纹有着２０种以上不同的图案。",
+            "french": "Les motifs sur son corps ressemblent à un visage menaçant. Les adversaires les plus craintifs fuient à la seule vue de ce Pokémon."
+        },
+        "image": "/assets/pokemons/24.png"
     },
     {
         "id": 25,
@@ -539,7 +1423,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/25.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Static",
+                    "japanese": "せいでんき",
+                    "chinese": "静电",
+                    "french": "Statik"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 6,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "It raises its tail to check its surroundings. The tail is sometimes struck by lightning in this pose.",
+            "japanese": "尻尾を立ててまわりの様子を探っているとときどき雷が尻尾に落ちてくる。",
+            "chinese": "有积存电力的特质。在皮卡丘群居的森林里会落雷不断，十分危险。",
+            "french": "Il élève sa queue pour surveiller les environs. Elle attire souvent la foudre dans cette position."
+        },
+        "evolutions": [
+            {
+                "id": 26,
+                "method": "stone",
+                "item": "Thunder Stone"
+            }
+        ],
+        "image": "/assets/pokemons/25.png"
     },
     {
         "id": 26,
@@ -560,7 +1485,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 110
         },
-        "image": `${process.env.API_URL}/assets/pokemons/26.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Static",
+                    "japanese": "せいでんき",
+                    "chinese": "静电",
+                    "french": "Statik"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 30,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "When its electricity builds, its muscles are stimulated, and it becomes more aggressive than usual.",
+            "japanese": "電気がたまってくると筋肉が刺激されいつもより攻撃的になってしまう。",
+            "chinese": "随着电力在体内的积聚，它会越发地具有攻击性。也有说法讲到其实电力就是它的压力。",
+            "french": "Quand il se charge en électricité, ses muscles se contractent et il devient plus agressif."
+        },
+        "image": "/assets/pokemons/26.png"
     },
     {
         "id": 27,
@@ -581,7 +1540,48 @@ const pokemonsList = [
             "SpecialDefense": 30,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/27.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Rush",
+                    "japanese": "すなかき",
+                    "chinese": "拨沙",
+                    "french": "Baigne Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 12,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "It burrows and lives underground. If threatened, it curls itself up into a ball for protection.",
+            "japanese": "地面に穴を掘って住む。自分に危険が迫るとまるくなって身を守る。",
+            "chinese": "栖息在雨量稀少的土地上。遇到危险就会蜷缩起身体，并以此来保护自己柔弱的腹部。",
+            "french": "Il s’enterre et vit dans les sous-sols. S’il se sent menacé, il se met en boule pour se protéger."
+        },
+        "evolutions": [
+            {
+                "id": 28,
+                "method": "level",
+                "level": 22
+            }
+        ],
+        "image": "/assets/pokemons/27.png"
     },
     {
         "id": 28,
@@ -602,7 +1602,41 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/28.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Rush",
+                    "japanese": "すなかき",
+                    "chinese": "拨沙",
+                    "french": "Baigne Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 29.5,
+        "category": {
+            "english": "Mouse Pokémon",
+            "japanese": "ねずみポケモン",
+            "chinese": "鼠宝可梦",
+            "french": "Pokémon Souris"
+        },
+        "flavorText": {
+            "english": "If it digs at an incredible pace, it may snap off its spikes and claws. They grow back in a day.",
+            "japanese": "すごい勢いで地面を掘るとトゲやツメが折れてしまうが次の日には生えそろっている。",
+            "chinese": "爪子和角经常会折断。折断的爪子和角会被制作成用来耕作土地的用具。",
+            "french": "Il creuse si vite qu’il peut briser ses épines et ses griffes. Mais elles repoussent en une journée."
+        },
+        "image": "/assets/pokemons/28.png"
     },
     {
         "id": 29,
@@ -623,7 +1657,47 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 41
         },
-        "image": `${process.env.API_URL}/assets/pokemons/29.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 7,
+        "category": {
+            "english": "Poison Pin Pokémon",
+            "japanese": "どくばりポケモン",
+            "chinese": "毒针宝可梦",
+            "french": "Pokémon Vénépic"
+        },
+        "flavorText": {
+            "english": "Although small, its venomous barbs render this Pokémon dangerous. The female has smaller horns.",
+            "japanese": "体は小さくても毒針を持つため注意が必要だ。メスのほうがツノが小さい。",
+            "french": "Ce Pokémon est hérissé de dards empoisonnés. Les femelles ont une corne plus petite."
+        },
+        "evolutions": [
+            {
+                "id": 30,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/29.png"
     },
     {
         "id": 30,
@@ -644,7 +1718,47 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 56
         },
-        "image": `${process.env.API_URL}/assets/pokemons/30.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 20,
+        "category": {
+            "english": "Poison Pin Pokémon",
+            "japanese": "どくばりポケモン",
+            "chinese": "毒针宝可梦",
+            "french": "Pokémon Vénépic"
+        },
+        "flavorText": {
+            "english": "The female has a gentle temperament. It emits ultrasonic cries that have the power to befuddle foes.",
+            "japanese": "メスなので性格は温厚。口から出す超音波は相手をまどわす力がある。",
+            "french": "La femelle a un tempérament doux. Elle émet des cris ultrasoniques capables de déstabiliser ses ennemis."
+        },
+        "evolutions": [
+            {
+                "id": 31,
+                "method": "stone",
+                "item": "Moon Stone"
+            }
+        ],
+        "image": "/assets/pokemons/30.png"
     },
     {
         "id": 31,
@@ -666,7 +1780,40 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 76
         },
-        "image": `${process.env.API_URL}/assets/pokemons/31.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sheer Force",
+                    "japanese": "ちからずく",
+                    "chinese": "强行",
+                    "french": "Sans Limite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 60,
+        "category": {
+            "english": "Drill Pokémon",
+            "japanese": "ドリルポケモン",
+            "chinese": "钻锥宝可梦",
+            "french": "Pokémon Perceur"
+        },
+        "flavorText": {
+            "english": "It uses its scaly, rugged body to seal the entrance of its nest and protect its young from predators.",
+            "japanese": "ウロコで覆われた頑丈な体で巣穴の入り口をふさぎ敵から子供たちを守る。",
+            "french": "Il se sert de son corps lourdement protégé pour empêcher les prédateurs d’accéder à son nid."
+        },
+        "image": "/assets/pokemons/31.png"
     },
     {
         "id": 32,
@@ -687,7 +1834,47 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/32.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 9,
+        "category": {
+            "english": "Poison Pin Pokémon",
+            "japanese": "どくばりポケモン",
+            "chinese": "毒针宝可梦",
+            "french": "Pokémon Vénépic"
+        },
+        "flavorText": {
+            "english": "It scans its surroundings by raising its ears out of the grass. Its toxic horn is for protection.",
+            "japanese": "草むらの上に耳だけ出してまわりの気配を探る。猛毒のツノで身を守る。",
+            "french": "Il jauge le terrain en laissant ses oreilles dépasser de l’herbe. Il se défend avec sa corne toxique."
+        },
+        "evolutions": [
+            {
+                "id": 33,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/32.png"
     },
     {
         "id": 33,
@@ -708,7 +1895,47 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/33.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hustle",
+                    "japanese": "はりきり",
+                    "chinese": "活力",
+                    "french": "Agitation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 19.5,
+        "category": {
+            "english": "Poison Pin Pokémon",
+            "japanese": "どくばりポケモン",
+            "chinese": "毒针宝可梦",
+            "french": "Pokémon Vénépic"
+        },
+        "flavorText": {
+            "english": "It raises its big ears to check its surroundings. If it senses anything, it attacks immediately.",
+            "japanese": "発達した耳を立ててまわりの気配を探る。なにかあるとすぐに飛びかかる。",
+            "french": "Il dresse ses oreilles à l’affût d’un bruit suspect et attaque toute menace se rapprochant de lui."
+        },
+        "evolutions": [
+            {
+                "id": 34,
+                "method": "stone",
+                "item": "Moon Stone"
+            }
+        ],
+        "image": "/assets/pokemons/33.png"
     },
     {
         "id": 34,
@@ -730,7 +1957,40 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/34.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sheer Force",
+                    "japanese": "ちからずく",
+                    "chinese": "强行",
+                    "french": "Sans Limite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 62,
+        "category": {
+            "english": "Drill Pokémon",
+            "japanese": "ドリルポケモン",
+            "chinese": "钻锥宝可梦",
+            "french": "Pokémon Perceur"
+        },
+        "flavorText": {
+            "english": "It is recognized by its rock-hard hide and its extended horn. Be careful with the horn, as it contains venom.",
+            "japanese": "石のように硬い皮膚と長く伸びたツノが特徴。ツノには毒もあるので注意。",
+            "french": "On le reconnaît facilement grâce à sa peau dure comme de la pierre ainsi qu’à sa grosse corne pleine de poison."
+        },
+        "image": "/assets/pokemons/34.png"
     },
     {
         "id": 35,
@@ -751,7 +2011,47 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/35.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Cute Charm",
+                    "japanese": "メロメロボディ",
+                    "chinese": "迷人之躯",
+                    "french": "Joli Sourire"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Friend Guard",
+                    "japanese": "フレンドガード",
+                    "chinese": "友情防守"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 7.5,
+        "category": {
+            "english": "Fairy Pokémon",
+            "japanese": "ようせいポケモン",
+            "chinese": "妖精宝可梦",
+            "french": "Pokémon Fée"
+        },
+        "flavorText": {
+            "english": "It is said that happiness will come to those who see a gathering of Clefairy dancing under a full moon.",
+            "japanese": "満月の夜ピッピが集まってダンスを踊る様子を見ると幸せになれると言われている。",
+            "chinese": "虽然深受人们的喜爱，但由于数量稀少故而十分珍贵。如果随便把它带出来炫耀，就会被小偷盯上哦。",
+            "french": "On dit que ceux qui voient danser un groupe de Mélofée sous la pleine lune connaîtront un grand bonheur."
+        },
+        "evolutions": [
+            {
+                "id": 36,
+                "method": "stone",
+                "item": "Moon Stone"
+            }
+        ],
+        "image": "/assets/pokemons/35.png"
     },
     {
         "id": 36,
@@ -772,7 +2072,41 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/36.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Cute Charm",
+                    "japanese": "メロメロボディ",
+                    "chinese": "迷人之躯",
+                    "french": "Joli Sourire"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unaware",
+                    "japanese": "てんねん",
+                    "chinese": "纯朴",
+                    "french": "Inconscient"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 40,
+        "category": {
+            "english": "Fairy Pokémon",
+            "japanese": "ようせいポケモン",
+            "chinese": "妖精宝可梦",
+            "french": "Pokémon Fée"
+        },
+        "flavorText": {
+            "english": "Its hearing is so acute it can hear a pin drop over half a mile away. It lives on quiet mountains.",
+            "japanese": "１キロ先で落ちた針の音も聞き分ける優れた耳を持つ。静かな山奥に住んでいる。",
+            "chinese": "连１公里外针落地的声音都能听到，所以它生活在鲜有人或宝可梦出入的深山里。",
+            "french": "Il aime le calme des montagnes. Son ouïe exceptionnelle entendrait une aiguille tomber à 1 km."
+        },
+        "image": "/assets/pokemons/36.png"
     },
     {
         "id": 37,
@@ -793,7 +2127,48 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/37.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Flash Fire",
+                    "japanese": "もらいび",
+                    "chinese": "引火",
+                    "french": "Torche"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Drought",
+                    "japanese": "ひでり",
+                    "chinese": "日照",
+                    "french": "Sécheresse"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 9.9,
+        "category": {
+            "english": "Fox Pokémon",
+            "japanese": "きつねポケモン",
+            "chinese": "狐狸宝可梦",
+            "french": "Pokémon Renard"
+        },
+        "flavorText": {
+            "english": "When it is born, it has just one snow-white tail. The tail splits from its tip as it grows older.",
+            "japanese": "生まれたとき尻尾は真っ白で１本しかない。育つとやがて先が分かれて尻尾が増える。",
+            "chinese": "因漂亮的尾巴而深受人们喜爱。但是，如果不经常给其梳理毛发，很快就会变得全是毛球。",
+            "french": "Il n’a qu’une seule queue à la naissance. Sa queue se divise à la pointe au fil des ans."
+        },
+        "evolutions": [
+            {
+                "id": 38,
+                "method": "stone",
+                "item": "Fire Stone"
+            }
+        ],
+        "image": "/assets/pokemons/37.png"
     },
     {
         "id": 38,
@@ -814,7 +2189,41 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/38.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Flash Fire",
+                    "japanese": "もらいび",
+                    "chinese": "引火",
+                    "french": "Torche"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Drought",
+                    "japanese": "ひでり",
+                    "chinese": "日照",
+                    "french": "Sécheresse"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 19.9,
+        "category": {
+            "english": "Fox Pokémon",
+            "japanese": "きつねポケモン",
+            "chinese": "狐狸宝可梦",
+            "french": "Pokémon Renard"
+        },
+        "flavorText": {
+            "english": "It has nine long tails and fur that gleams gold. It is said to live for 1,000 years.",
+            "japanese": "黄金に輝く体毛と９本の長い尻尾を持つ。１０００年は生きると言われる。",
+            "chinese": "性格执拗，爱记仇。一旦遭到它的怨恨，它便会在１０００年间不断作祟，连对方的子孙都不放过。",
+            "french": "Il a neuf longues queues et une fourrure qui brille comme de l’or. On dit qu’il peut vivre 1 000 ans."
+        },
+        "image": "/assets/pokemons/38.png"
     },
     {
         "id": 39,
@@ -836,7 +2245,47 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 20
         },
-        "image": `${process.env.API_URL}/assets/pokemons/39.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Cute Charm",
+                    "japanese": "メロメロボディ",
+                    "chinese": "迷人之躯",
+                    "french": "Joli Sourire"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Friend Guard",
+                    "japanese": "フレンドガード",
+                    "chinese": "友情防守"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 5.5,
+        "category": {
+            "english": "Balloon Pokémon",
+            "japanese": "ふうせんポケモン",
+            "chinese": "气球宝可梦",
+            "french": "Pokémon Bouboule"
+        },
+        "flavorText": {
+            "english": "It captivates foes with its huge, round eyes, then lulls them to sleep by singing a soothing melody.",
+            "japanese": "まるくて大きい瞳で誘いこみ心地よい歌を歌い相手を眠らせる。",
+            "chinese": "可以在百货商店的寝具区买到收录有胖丁那神奇摇篮曲的ＣＤ。",
+            "french": "Il hypnotise ses ennemis grâce à ses grands yeux avant de les plonger dans un profond sommeil en chantant une douce mélopée."
+        },
+        "evolutions": [
+            {
+                "id": 40,
+                "method": "stone",
+                "item": "Moon Stone"
+            }
+        ],
+        "image": "/assets/pokemons/39.png"
     },
     {
         "id": 40,
@@ -858,7 +2307,41 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/40.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Cute Charm",
+                    "japanese": "メロメロボディ",
+                    "chinese": "迷人之躯",
+                    "french": "Joli Sourire"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Frisk",
+                    "japanese": "おみとおし",
+                    "chinese": "察觉",
+                    "french": "Fouille"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 12,
+        "category": {
+            "english": "Balloon Pokémon",
+            "japanese": "ふうせんポケモン",
+            "chinese": "气球宝可梦",
+            "french": "Pokémon Bouboule"
+        },
+        "flavorText": {
+            "english": "Their fur feels so good that if two of them snuggle together, they won’t want to be separated.",
+            "japanese": "２匹寄り添いあうとお互いの毛皮が気持ち良すぎて離れられなくなってしまう。",
+            "chinese": "富有弹性的身体和细腻的毛皮很受人们的喜爱。抱着它睡会感觉很惬意。",
+            "french": "Leur fourrure est si douce que s’ils se font des câlins, ils ne voudront plus se séparer."
+        },
+        "image": "/assets/pokemons/40.png"
     },
     {
         "id": 41,
@@ -880,7 +2363,48 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/41.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Infiltrator",
+                    "japanese": "すりぬけ",
+                    "chinese": "穿透",
+                    "french": "Infiltration"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 7.5,
+        "category": {
+            "english": "Bat Pokémon",
+            "japanese": "こうもりポケモン",
+            "chinese": "蝙蝠宝可梦",
+            "french": "Pokémon Chovsouris"
+        },
+        "flavorText": {
+            "english": "Even though it has no eyes, it can sense obstacles using ultrasonic waves it emits from its mouth.",
+            "japanese": "口から出す超音波で両目がなくてもまわりの障害物を察知できる。",
+            "chinese": "因为没有眼珠，所以无法视物。会从口中发出超音波来探测周围的情况。",
+            "french": "Bien que dépourvu d’yeux, il repère les obstacles grâce aux ultrasons émis par sa gueule."
+        },
+        "evolutions": [
+            {
+                "id": 42,
+                "method": "level",
+                "level": 22
+            }
+        ],
+        "image": "/assets/pokemons/41.png"
     },
     {
         "id": 42,
@@ -902,7 +2426,41 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/42.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Infiltrator",
+                    "japanese": "すりぬけ",
+                    "chinese": "穿透",
+                    "french": "Infiltration"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 55,
+        "category": {
+            "english": "Bat Pokémon",
+            "japanese": "こうもりポケモン",
+            "chinese": "蝙蝠宝可梦",
+            "french": "Pokémon Chovsouris"
+        },
+        "flavorText": {
+            "english": "Once it bites, it will not stop draining energy from the victim even if it gets too heavy to fly.",
+            "japanese": "かみついたら最後。死ぬほど血を吸いまくるので重たくなって自分で飛べなくなることもある。",
+            "chinese": "因为它肚子太饿而去咬了钢属性宝可梦，所以偶尔会看见缺了牙的大嘴蝠。",
+            "french": "Il mord son adversaire et absorbe toute son énergie, même s’il devient trop lourd pour voler."
+        },
+        "image": "/assets/pokemons/42.png"
     },
     {
         "id": 43,
@@ -924,7 +2482,47 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/43.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 5.4,
+        "category": {
+            "english": "Weed Pokémon",
+            "japanese": "ざっそうポケモン",
+            "chinese": "杂草宝可梦",
+            "french": "Pokémon Racine"
+        },
+        "flavorText": {
+            "english": "During the day, it stays in the cold underground to avoid the sun. It grows by bathing in moonlight.",
+            "japanese": "昼間は太陽を避けるため冷たい地面に潜っている。月の光を浴びて育つ。",
+            "french": "Le jour, il reste en sous-sol et évite le soleil. Il grandit en se baignant au clair de lune."
+        },
+        "evolutions": [
+            {
+                "id": 44,
+                "method": "level",
+                "level": 21
+            }
+        ],
+        "image": "/assets/pokemons/43.png"
     },
     {
         "id": 44,
@@ -946,7 +2544,47 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/44.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Stench",
+                    "japanese": "あくしゅう",
+                    "chinese": "恶臭",
+                    "french": "Puanteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 8.6,
+        "category": {
+            "english": "Weed Pokémon",
+            "japanese": "ざっそうポケモン",
+            "chinese": "杂草宝可梦",
+            "french": "Pokémon Racine"
+        },
+        "flavorText": {
+            "english": "Smells incredibly foul! However, around one out of a thousand people enjoy sniffing its nose-bending stink.",
+            "japanese": "猛烈なクサさ！それなのに１０００人に１人ぐらいこれを好んでかぐ人がいる。",
+            "french": "Il sent très mauvais ! Mais une personne sur 1 000 aime la puanteur de son corps nauséabond."
+        },
+        "evolutions": [
+            {
+                "id": 45,
+                "method": "stone",
+                "item": "Leaf Stone"
+            }
+        ],
+        "image": "/assets/pokemons/44.png"
     },
     {
         "id": 45,
@@ -968,7 +2606,40 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/45.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Effect Spore",
+                    "japanese": "ほうし",
+                    "chinese": "孢子",
+                    "french": "Pose Spore"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 18.6,
+        "category": {
+            "english": "Flower Pokémon",
+            "japanese": "フラワーポケモン",
+            "chinese": "花宝可梦",
+            "french": "Pokémon Fleur"
+        },
+        "flavorText": {
+            "english": "The larger its petals, the more toxic pollen it contains. Its big head is heavy and hard to hold up.",
+            "japanese": "花びらが大きいほどたくさん花粉を出すが頭が重たくて疲れてしまうという。",
+            "french": "Plus ses pétales sont grands, plus ils contiennent de pollen toxique."
+        },
+        "image": "/assets/pokemons/45.png"
     },
     {
         "id": 46,
@@ -990,7 +2661,48 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 25
         },
-        "image": `${process.env.API_URL}/assets/pokemons/46.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Effect Spore",
+                    "japanese": "ほうし",
+                    "chinese": "孢子",
+                    "french": "Pose Spore"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 5.4,
+        "category": {
+            "english": "Mushroom Pokémon",
+            "japanese": "きのこポケモン",
+            "chinese": "蘑菇宝可梦",
+            "french": "Pokémon Champignon"
+        },
+        "flavorText": {
+            "english": "Growing out of the bug’s back are mushrooms called tochukaso. The mushrooms grow with the bug host.",
+            "japanese": "虫の背中に生えているのは冬虫夏草というキノコ。育つとキノコも大きくなる。",
+            "chinese": "可能是湿气不够，也可能是营养不足，反正阿罗拉的派拉斯背上的蘑菇都长得不怎么样。",
+            "french": "Sur le dos de ce Pokémon se trouvent des champignons appelés tochukaso. Ils se développent au même rythme que leur hôte."
+        },
+        "evolutions": [
+            {
+                "id": 47,
+                "method": "level",
+                "level": 24
+            }
+        ],
+        "image": "/assets/pokemons/46.png"
     },
     {
         "id": 47,
@@ -1012,7 +2724,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/47.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Effect Spore",
+                    "japanese": "ほうし",
+                    "chinese": "孢子",
+                    "french": "Pose Spore"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 29.5,
+        "category": {
+            "english": "Mushroom Pokémon",
+            "japanese": "きのこポケモン",
+            "chinese": "蘑菇宝可梦",
+            "french": "Pokémon Champignon"
+        },
+        "flavorText": {
+            "english": "A mushroom grown larger than the host’s body controls Parasect. It scatters poisonous spores.",
+            "japanese": "体よりも大きなキノコがパラセクトを操っている。毒の胞子をばらまく。",
+            "chinese": "底下的虫子基本上死了，真正的本体是背上的蘑菇。如果蘑菇掉下来，它就不会动了。",
+            "french": "Un champignon parasite plus gros que Parasect contrôle son corps. Il répand des spores empoisonnées."
+        },
+        "image": "/assets/pokemons/47.png"
     },
     {
         "id": 48,
@@ -1034,7 +2780,47 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/48.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Compound Eyes",
+                    "japanese": "ふくがん",
+                    "chinese": "复眼",
+                    "french": "Œil Composé"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 30,
+        "category": {
+            "english": "Insect Pokémon",
+            "japanese": "こんちゅうポケモン",
+            "chinese": "昆虫宝可梦",
+            "french": "Pokémon Vermine"
+        },
+        "flavorText": {
+            "english": "Its big eyes are actually clusters of tiny eyes. At night, its kind is drawn by light.",
+            "japanese": "小さな目がたくさん集まって大きな目になっている。夜になると明かりに集まる。",
+            "french": "Ses grands yeux sont en fait des amas d’yeux minuscules. La nuit, il est attiré par la lumière."
+        },
+        "evolutions": [
+            {
+                "id": 49,
+                "method": "level",
+                "level": 31
+            }
+        ],
+        "image": "/assets/pokemons/48.png"
     },
     {
         "id": 49,
@@ -1056,7 +2842,40 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/49.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shield Dust",
+                    "japanese": "りんぷん",
+                    "chinese": "鳞粉",
+                    "french": "Écran Poudre"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Wonder Skin",
+                    "japanese": "ミラクルスキン",
+                    "chinese": "奇迹皮肤",
+                    "french": "Peau Miracle"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 12.5,
+        "category": {
+            "english": "Poison Moth Pokémon",
+            "japanese": "どくがポケモン",
+            "chinese": "毒蛾宝可梦",
+            "french": "Pokémon Papipoison"
+        },
+        "flavorText": {
+            "english": "The scales it scatters will paralyze anyone who touches them, making that person unable to stand.",
+            "japanese": "ばらまかれたりんぷんに触れると体の感覚がおかしくなってまっすぐ立っていられなくなる。",
+            "french": "Les écailles qu’il sème ont le pouvoir de paralyser totalement un ennemi."
+        },
+        "image": "/assets/pokemons/49.png"
     },
     {
         "id": 50,
@@ -1077,7 +2896,48 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 95
         },
-        "image": `${process.env.API_URL}/assets/pokemons/50.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Force",
+                    "japanese": "すなのちから",
+                    "chinese": "沙之力",
+                    "french": "Force Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.2,
+        "weight": 0.8,
+        "category": {
+            "english": "Mole Pokémon",
+            "japanese": "もぐらポケモン",
+            "chinese": "鼹鼠宝可梦",
+            "french": "Pokémon Taupe"
+        },
+        "flavorText": {
+            "english": "Lives about one yard underground where it feeds on plant roots. It sometimes appears aboveground.",
+            "japanese": "地下１メートルくらいを掘りすすみ木の根っこなどをかじって生きる。たまに地上に顔を出す。",
+            "chinese": "会在地下挖掘隧道移动。由于讨厌光线，所以会在太阳落山后来到地上。",
+            "french": "Il vit à 1 m sous la terre et se nourrit de racines. Il apparaît rarement à la surface."
+        },
+        "evolutions": [
+            {
+                "id": 51,
+                "method": "level",
+                "level": 26
+            }
+        ],
+        "image": "/assets/pokemons/50.png"
     },
     {
         "id": 51,
@@ -1098,7 +2958,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 120
         },
-        "image": `${process.env.API_URL}/assets/pokemons/51.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Force",
+                    "japanese": "すなのちから",
+                    "chinese": "沙之力",
+                    "french": "Force Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.7,
+        "weight": 33.3,
+        "category": {
+            "english": "Mole Pokémon",
+            "japanese": "もぐらポケモン",
+            "chinese": "鼹鼠宝可梦",
+            "french": "Pokémon Taupe"
+        },
+        "flavorText": {
+            "english": "In battle, it digs through the ground and strikes the unsuspecting foe from an unexpected direction.",
+            "japanese": "地中を掘りすすんで相手が油断しているところを別の場所から攻撃する。",
+            "chinese": "三胞胎的感情一直很好，但在极少数情况下，也会为哪个脑袋先进食而激烈争吵。",
+            "french": "Au combat, il s’enfouit sous terre pour pouvoir frapper ses adversaires depuis n’importe quelle direction."
+        },
+        "image": "/assets/pokemons/51.png"
     },
     {
         "id": 52,
@@ -1119,7 +3013,48 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/52.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Pickup",
+                    "japanese": "ものひろい",
+                    "chinese": "捡拾",
+                    "french": "Ramassage"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 4.2,
+        "category": {
+            "english": "Scratch Cat Pokémon",
+            "japanese": "ばけねこポケモン",
+            "chinese": "妖怪猫宝可梦",
+            "french": "Pokémon Chadégout"
+        },
+        "flavorText": {
+            "english": "It is nocturnal in nature. If it spots something shiny, its eyes glitter brightly.",
+            "japanese": "夜中に行動する習性。キラキラ光るものを見つけると負けないくらい瞳が輝く。",
+            "chinese": "如果去垃圾场的话，就能看到它和黑暗鸦为争夺发光的东西而激烈打斗的景象。",
+            "french": "Son regard s’anime à la vue d’un objet brillant. C’est un Pokémon nocturne."
+        },
+        "evolutions": [
+            {
+                "id": 53,
+                "method": "level",
+                "level": 28
+            }
+        ],
+        "image": "/assets/pokemons/52.png"
     },
     {
         "id": 53,
@@ -1140,7 +3075,41 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 115
         },
-        "image": `${process.env.API_URL}/assets/pokemons/53.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Limber",
+                    "japanese": "じゅうなん",
+                    "chinese": "柔软",
+                    "french": "Échauffement"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 32,
+        "category": {
+            "english": "Classy Cat Pokémon",
+            "japanese": "シャムネコポケモン",
+            "chinese": "暹罗猫宝可梦",
+            "french": "Pokémon Chadeville"
+        },
+        "flavorText": {
+            "english": "Although its fur has many admirers, it is tough to raise as a pet because of its fickle meanness.",
+            "japanese": "毛並みが美しくペットにしたがる人も多いがすぐひっかいたりするので手強いぞ。",
+            "chinese": "虽然额头上的宝石颜色和阿罗拉猫老大的不一样，但成分却没什么两样。",
+            "french": "Très apprécié pour sa fourrure, il est difficile à apprivoiser en raison de son caractère rétif."
+        },
+        "image": "/assets/pokemons/53.png"
     },
     {
         "id": 54,
@@ -1161,7 +3130,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/54.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 19.6,
+        "category": {
+            "english": "Duck Pokémon",
+            "japanese": "あひるポケモン",
+            "chinese": "鸭宝可梦",
+            "french": "Pokémon Canard"
+        },
+        "flavorText": {
+            "english": "It is constantly wracked by a headache. When the headache turns intense, it begins using mysterious powers.",
+            "japanese": "いつも頭痛に悩まされている。この頭痛が激しくなると不思議な力を使いはじめる。",
+            "chinese": "使用念力会头痛，所以平时会尽量不做任何事，就在发呆中度过哦。",
+            "french": "Ce Pokémon a tout le temps la migraine. Quand la douleur devient insupportable, il se met à utiliser ses pouvoirs psy."
+        },
+        "evolutions": [
+            {
+                "id": 55,
+                "method": "level",
+                "level": 33
+            }
+        ],
+        "image": "/assets/pokemons/54.png"
     },
     {
         "id": 55,
@@ -1182,7 +3192,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/55.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 76.6,
+        "category": {
+            "english": "Duck Pokémon",
+            "japanese": "あひるポケモン",
+            "chinese": "鸭宝可梦",
+            "french": "Pokémon Canard"
+        },
+        "flavorText": {
+            "english": "It appears by waterways at dusk. It may use telekinetic powers if its forehead glows mysteriously.",
+            "japanese": "夕暮れ水辺に姿をみせる。額があやしく光るとき神通力を使いこなすという。",
+            "chinese": "即便是游得很快的鱼宝可梦，它也能用定身法定住其行动，并轻易地进行捕捉。",
+            "french": "Il apparaît dans les étendues d’eau au crépuscule. Si son front brille, il se sert de sa télékinésie."
+        },
+        "image": "/assets/pokemons/55.png"
     },
     {
         "id": 56,
@@ -1203,7 +3247,48 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/56.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Vital Spirit",
+                    "japanese": "やるき",
+                    "chinese": "干劲",
+                    "french": "Esprit Vital"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Defiant",
+                    "japanese": "まけんき",
+                    "chinese": "不服输",
+                    "french": "Acharné"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 28,
+        "category": {
+            "english": "Pig Monkey Pokémon",
+            "japanese": "ぶたざるポケモン",
+            "chinese": "猪猴宝可梦",
+            "french": "Pokémon Porsinge"
+        },
+        "flavorText": {
+            "english": "It’s unsafe to approach if it gets violently enraged for no reason and can’t distinguish friends from foes.",
+            "japanese": "意味もなく怒って暴れ出すと仲間の区別もつかなくなるので近寄るのは非常に危険だ。",
+            "chinese": "该宝可梦会因一点小事而立刻动怒。由于不会积累压力，所以能活相当长的时间。",
+            "french": "Il ne peut dissocier ses amis de ses ennemis et a tendance à enrager lorsqu’on l’approche."
+        },
+        "evolutions": [
+            {
+                "id": 57,
+                "method": "level",
+                "level": 28
+            }
+        ],
+        "image": "/assets/pokemons/56.png"
     },
     {
         "id": 57,
@@ -1224,7 +3309,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 95
         },
-        "image": `${process.env.API_URL}/assets/pokemons/57.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Vital Spirit",
+                    "japanese": "やるき",
+                    "chinese": "干劲",
+                    "french": "Esprit Vital"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Defiant",
+                    "japanese": "まけんき",
+                    "chinese": "不服输",
+                    "french": "Acharné"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 32,
+        "category": {
+            "english": "Pig Monkey Pokémon",
+            "japanese": "ぶたざるポケモン",
+            "chinese": "猪猴宝可梦",
+            "french": "Pokémon Porsinge"
+        },
+        "flavorText": {
+            "english": "It stops being angry only when nobody else is around. To view this moment is very difficult.",
+            "japanese": "まわりにだれもいないときだけは怒るのをやめている。しかしそれを見るのは難しい。",
+            "chinese": "它不会原谅激怒它的人或宝可梦，会持续地追击对方。就算把对方揍得无法动弹也依然不会原谅对方。",
+            "french": "Sa fureur prend fin quand il n’a plus personne à frapper. Il est difficile d’en être témoin."
+        },
+        "image": "/assets/pokemons/57.png"
     },
     {
         "id": 58,
@@ -1245,7 +3364,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/58.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Justified",
+                    "japanese": "せいぎのこころ",
+                    "chinese": "正义之心",
+                    "french": "Cœur Noble"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.7,
+        "weight": 19,
+        "category": {
+            "english": "Puppy Pokémon",
+            "japanese": "こいぬポケモン",
+            "chinese": "小狗宝可梦",
+            "french": "Pokémon Chiot"
+        },
+        "flavorText": {
+            "english": "Very friendly and faithful to people. It will try to repel enemies by barking and biting.",
+            "japanese": "人懐こく誠実な性格。敵にはほえてかみつき追い払おうとする。",
+            "chinese": "熟悉后便会与人亲近，但野生的卡蒂狗会和岩狗狗就领地而展开激烈的争夺。",
+            "french": "Ce Pokémon est particulièrement affectueux et loyal. Il aboie et il mord pour se débarrasser de ses adversaires."
+        },
+        "evolutions": [
+            {
+                "id": 59,
+                "method": "stone",
+                "item": "Fire Stone"
+            }
+        ],
+        "image": "/assets/pokemons/58.png"
     },
     {
         "id": 59,
@@ -1266,7 +3426,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 95
         },
-        "image": `${process.env.API_URL}/assets/pokemons/59.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Justified",
+                    "japanese": "せいぎのこころ",
+                    "chinese": "正义之心",
+                    "french": "Cœur Noble"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.9,
+        "weight": 155,
+        "category": {
+            "english": "Legendary Pokémon",
+            "japanese": "でんせつポケモン",
+            "chinese": "传说宝可梦",
+            "french": "Pokémon Légendaire"
+        },
+        "flavorText": {
+            "english": "A Pokémon that has long been admired for its beauty. It runs agilely as if on wings.",
+            "japanese": "昔から多くの人を虜にした美しいポケモン。飛ぶように軽やかに走る。",
+            "chinese": "流传着这样一个传说。很久以前，它曾经和某位武将一起并肩战斗并治理国家。",
+            "french": "Un Pokémon très recherché pour sa grâce légendaire. Il court avec tellement d’agilité qu’on dirait qu’il vole."
+        },
+        "image": "/assets/pokemons/59.png"
     },
     {
         "id": 60,
@@ -1287,7 +3481,48 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/60.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Water Absorb",
+                    "japanese": "ちょすい",
+                    "chinese": "储水",
+                    "french": "Absorb Eau"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 12.4,
+        "category": {
+            "english": "Tadpole Pokémon",
+            "japanese": "おたまポケモン",
+            "chinese": "蝌蚪宝可梦",
+            "french": "Pokémon Têtard"
+        },
+        "flavorText": {
+            "english": "Its slick black skin is thin and damp. A part of its internal organs can be seen through the skin as a spiral pattern.",
+            "japanese": "スベスベした黒い皮膚は薄く湿っている。内臓の一部が透けて渦巻状に見える。",
+            "chinese": "虽然危险，却向往登上陆地。因为它还只能晃晃悠悠地走路，所以被敌人发现后会慌忙逃入水中。",
+            "french": "Sa peau est humide, lisse et surtout très fine. La forme en spirale sur son ventre est en fait une partie de ses organes internes que l’on peut apercevoir."
+        },
+        "evolutions": [
+            {
+                "id": 61,
+                "method": "level",
+                "level": 25
+            }
+        ],
+        "image": "/assets/pokemons/60.png"
     },
     {
         "id": 61,
@@ -1308,7 +3543,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/61.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Water Absorb",
+                    "japanese": "ちょすい",
+                    "chinese": "储水",
+                    "french": "Absorb Eau"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 20,
+        "category": {
+            "english": "Tadpole Pokémon",
+            "japanese": "おたまポケモン",
+            "chinese": "蝌蚪宝可梦",
+            "french": "Pokémon Têtard"
+        },
+        "flavorText": {
+            "english": "It can live in or out of water. When out of water, it constantly sweats to keep its body slimy.",
+            "japanese": "陸でも水中でも暮らせる。地上ではいつも汗をかき皮膚をぬめぬめさせている。",
+            "chinese": "虽然已经能在陆地上生活，但还是栖息在有大量鱼宝可梦可捕食的水中。",
+            "french": "Ce Pokémon amphibie transpire continuellement quand il est hors de l’eau afin d’hydrater son corps."
+        },
+        "evolutions": [
+            {
+                "id": 62,
+                "method": "stone",
+                "item": "Water Stone"
+            }
+        ],
+        "image": "/assets/pokemons/61.png"
     },
     {
         "id": 62,
@@ -1330,7 +3606,41 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/62.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Water Absorb",
+                    "japanese": "ちょすい",
+                    "chinese": "储水",
+                    "french": "Absorb Eau"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 54,
+        "category": {
+            "english": "Tadpole Pokémon",
+            "japanese": "おたまポケモン",
+            "chinese": "蝌蚪宝可梦",
+            "french": "Pokémon Têtard"
+        },
+        "flavorText": {
+            "english": "With its extremely tough muscles, it can keep swimming in the Pacific Ocean without resting.",
+            "japanese": "強靭な筋肉を持つ。太平洋を休むことなく泳ぎ続けることができるのだ。",
+            "chinese": "虽然在水宝可梦中是属于游泳健将那一类的，但平时却生活在陆地上。",
+            "french": "Il possède de sacrés biscoteaux. Il peut parcourir sans relâche l’océan Pacifique."
+        },
+        "image": "/assets/pokemons/62.png"
     },
     {
         "id": 63,
@@ -1351,7 +3661,48 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/63.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Synchronize",
+                    "japanese": "シンクロ",
+                    "chinese": "同步",
+                    "french": "Synchro"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Magic Guard",
+                    "japanese": "マジックガード",
+                    "chinese": "魔法防守",
+                    "french": "Garde Magik"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 19.5,
+        "category": {
+            "english": "Psi Pokémon",
+            "japanese": "ねんりきポケモン",
+            "chinese": "念力宝可梦",
+            "french": "Pokémon Psy"
+        },
+        "flavorText": {
+            "english": "It sleeps for 18 hours a day. It uses a variety of extrasensory powers even while asleep.",
+            "japanese": "１日１８時間は寝ている。眠ってるあいだでもさまざまな超能力を使う。",
+            "chinese": "即使是在睡梦中也会使用各种超能力，所以分辨不出它是不是醒着。",
+            "french": "Il dort 18 h par jour. Il peut utiliser de nombreux pouvoirs psy, même pendant son sommeil."
+        },
+        "evolutions": [
+            {
+                "id": 64,
+                "method": "level",
+                "level": 16
+            }
+        ],
+        "image": "/assets/pokemons/63.png"
     },
     {
         "id": 64,
@@ -1372,7 +3723,47 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 105
         },
-        "image": `${process.env.API_URL}/assets/pokemons/64.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Synchronize",
+                    "japanese": "シンクロ",
+                    "chinese": "同步",
+                    "french": "Synchro"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Magic Guard",
+                    "japanese": "マジックガード",
+                    "chinese": "魔法防守",
+                    "french": "Garde Magik"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 56.5,
+        "category": {
+            "english": "Psi Pokémon",
+            "japanese": "ねんりきポケモン",
+            "chinese": "念力宝可梦",
+            "french": "Pokémon Psy"
+        },
+        "flavorText": {
+            "english": "When it uses its psychic power, it emits strong alpha waves that can ruin precision devices.",
+            "japanese": "超能力を発揮すると強いアルファ波を出して精密機械を壊してしまう。",
+            "chinese": "会盯着银汤匙来增强并放出精神力量。用金汤匙好像就不行。",
+            "french": "Son pouvoir psychique émet des ondes alpha qui brouillent les appareils électroniques."
+        },
+        "evolutions": [
+            {
+                "id": 65,
+                "method": "trade"
+            }
+        ],
+        "image": "/assets/pokemons/64.png"
     },
     {
         "id": 65,
@@ -1393,7 +3784,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 120
         },
-        "image": `${process.env.API_URL}/assets/pokemons/65.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Synchronize",
+                    "japanese": "シンクロ",
+                    "chinese": "同步",
+                    "french": "Synchro"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Magic Guard",
+                    "japanese": "マジックガード",
+                    "chinese": "魔法防守",
+                    "french": "Garde Magik"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 48,
+        "category": {
+            "english": "Psi Pokémon",
+            "japanese": "ねんりきポケモン",
+            "chinese": "念力宝可梦",
+            "french": "Pokémon Psy"
+        },
+        "flavorText": {
+            "english": "Its brain cells multiply continually until it dies. As a result, it remembers everything.",
+            "japanese": "脳細胞はいつも分裂して死ぬまで増え続けるのであらゆることを覚えておける。",
+            "chinese": "手中的汤匙是胡地用超能力生成的。每把汤匙都是这世上独一无二的。",
+            "french": "Ses cellules cérébrales se multiplient jusqu’à sa mort. Il se souvient donc de tout."
+        },
+        "image": "/assets/pokemons/65.png"
     },
     {
         "id": 66,
@@ -1414,7 +3839,48 @@ const pokemonsList = [
             "SpecialDefense": 35,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/66.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Guts",
+                    "japanese": "こんじょう",
+                    "chinese": "毅力",
+                    "french": "Cran"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Steadfast",
+                    "japanese": "ふくつのこころ",
+                    "chinese": "不屈之心",
+                    "french": "Impassible"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 19.5,
+        "category": {
+            "english": "Superpower Pokémon",
+            "japanese": "かいりきポケモン",
+            "chinese": "怪力宝可梦",
+            "french": "Pokémon Colosse"
+        },
+        "flavorText": {
+            "english": "It hefts a Graveler repeatedly to strengthen its entire body. It uses every type of martial arts.",
+            "japanese": "ゴローンを何度も上げ下ろしして全身の筋肉を鍛える。あらゆる格闘技を使う。",
+            "chinese": "在和伙伴们的锻炼中获得了自信和肌肉后，就会去向幕下力士挑战。",
+            "french": "Il muscle son corps en soulevant régulièrement un Gravalanch. Il est rompu à tous les arts martiaux."
+        },
+        "evolutions": [
+            {
+                "id": 67,
+                "method": "level",
+                "level": 28
+            }
+        ],
+        "image": "/assets/pokemons/66.png"
     },
     {
         "id": 67,
@@ -1435,7 +3901,47 @@ const pokemonsList = [
             "SpecialDefense": 60,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/67.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Guts",
+                    "japanese": "こんじょう",
+                    "chinese": "毅力",
+                    "french": "Cran"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Steadfast",
+                    "japanese": "ふくつのこころ",
+                    "chinese": "不屈之心",
+                    "french": "Impassible"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 70.5,
+        "category": {
+            "english": "Superpower Pokémon",
+            "japanese": "かいりきポケモン",
+            "chinese": "怪力宝可梦",
+            "french": "Pokémon Colosse"
+        },
+        "flavorText": {
+            "english": "Its muscular body is so powerful, it must wear a power-save belt to be able to regulate its motions.",
+            "japanese": "すごく強靭な肉体なのでパワーセーブベルトをつけて強さを制御している。",
+            "chinese": "如果遇到了真正的强敌，就会解开腰上的力量限制腰带，并使出全力。",
+            "french": "Son corps est si puissant qu’il lui faut une ceinture de force pour équilibrer ses mouvements."
+        },
+        "evolutions": [
+            {
+                "id": 68,
+                "method": "trade"
+            }
+        ],
+        "image": "/assets/pokemons/67.png"
     },
     {
         "id": 68,
@@ -1456,7 +3962,41 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/68.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Guts",
+                    "japanese": "こんじょう",
+                    "chinese": "毅力",
+                    "french": "Cran"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Steadfast",
+                    "japanese": "ふくつのこころ",
+                    "chinese": "不屈之心",
+                    "french": "Impassible"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 130,
+        "category": {
+            "english": "Superpower Pokémon",
+            "japanese": "かいりきポケモン",
+            "chinese": "怪力宝可梦",
+            "french": "Pokémon Colosse"
+        },
+        "flavorText": {
+            "english": "Its four ruggedly developed arms can launch a flurry of 1,000 punches in just two seconds.",
+            "japanese": "発達した４本の腕は２秒間に１０００発のパンチを繰り出すことができる。",
+            "chinese": "会用４只手臂捉住对手，并将其勒成一个复杂的形状。人称怪力式固定技。",
+            "french": "Ses deux paires de bras permettent à Mackogneur d’envoyer une série de 1 000 coups de poing en 2 s."
+        },
+        "image": "/assets/pokemons/68.png"
     },
     {
         "id": 69,
@@ -1478,7 +4018,47 @@ const pokemonsList = [
             "SpecialDefense": 30,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/69.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Gluttony",
+                    "japanese": "くいしんぼう",
+                    "chinese": "贪吃鬼",
+                    "french": "Gloutonnerie"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.7,
+        "weight": 4,
+        "category": {
+            "english": "Flower Pokémon",
+            "japanese": "フラワーポケモン",
+            "chinese": "花宝可梦",
+            "french": "Pokémon Fleur"
+        },
+        "flavorText": {
+            "english": "Even though its body is extremely skinny, it is blindingly fast when catching its prey.",
+            "japanese": "ひょろっとした体つきだが獲物を捕らえるときの動きは目にもとまらないほど素早い。",
+            "french": "Même si son corps est très frêle, ce Pokémon est extrêmement rapide quand il attaque ses adversaires."
+        },
+        "evolutions": [
+            {
+                "id": 70,
+                "method": "level",
+                "level": 21
+            }
+        ],
+        "image": "/assets/pokemons/69.png"
     },
     {
         "id": 70,
@@ -1500,7 +4080,47 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/70.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Gluttony",
+                    "japanese": "くいしんぼう",
+                    "chinese": "贪吃鬼",
+                    "french": "Gloutonnerie"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 6.4,
+        "category": {
+            "english": "Flycatcher Pokémon",
+            "japanese": "ハエとりポケモン",
+            "chinese": "捕蝇宝可梦",
+            "french": "Pokémon Carnivore"
+        },
+        "flavorText": {
+            "english": "The leafy parts act as cutters for slashing foes. It spits a fluid that dissolves everything.",
+            "japanese": "葉っぱの部分はカッターになって相手を切り裂く。口からはなんでも溶かす液体を吐く。",
+            "french": "Ses membres en forme de feuilles permettent à Boustiflor de trancher ses adversaires. Il crache un fluide capable de tout dissoudre."
+        },
+        "evolutions": [
+            {
+                "id": 71,
+                "method": "stone",
+                "item": "Leaf Stone"
+            }
+        ],
+        "image": "/assets/pokemons/70.png"
     },
     {
         "id": 71,
@@ -1522,7 +4142,40 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/71.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Gluttony",
+                    "japanese": "くいしんぼう",
+                    "chinese": "贪吃鬼",
+                    "french": "Gloutonnerie"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 15.5,
+        "category": {
+            "english": "Flycatcher Pokémon",
+            "japanese": "ハエとりポケモン",
+            "chinese": "捕蝇宝可梦",
+            "french": "Pokémon Carnivore"
+        },
+        "flavorText": {
+            "english": "Said to live in huge colonies deep in jungles, although no one has ever returned from there.",
+            "japanese": "ジャングルの奥地にウツボットばかりいる地帯があって行ったら２度と帰ってこれない。",
+            "french": "On dit qu’il vit en colonie dans la jungle, mais personne n’en est jamais revenu vivant pour le confirmer."
+        },
+        "image": "/assets/pokemons/71.png"
     },
     {
         "id": 72,
@@ -1544,7 +4197,48 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/72.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Clear Body",
+                    "japanese": "クリアボディ",
+                    "chinese": "恒净之躯",
+                    "french": "Corps Sain"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rain Dish",
+                    "japanese": "あめうけざら",
+                    "chinese": "雨盘",
+                    "french": "Cuvette"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 45.5,
+        "category": {
+            "english": "Jellyfish Pokémon",
+            "japanese": "くらげポケモン",
+            "chinese": "水母宝可梦",
+            "french": "Pokémon Mollusque"
+        },
+        "flavorText": {
+            "english": "Its body is virtually composed of water. It shoots strange beams from its crystal-like eyes.",
+            "japanese": "体のほとんどが水分。水晶のような目玉から不思議なビームを発射する。",
+            "chinese": "会漂浮在海边寻找猎物。虽然有毒的触手也会断掉，但过一段时间就会重新长出来。",
+            "french": "Son corps est principalement composé d’eau. Ses yeux cristallins projettent d’étranges rayons."
+        },
+        "evolutions": [
+            {
+                "id": 73,
+                "method": "level",
+                "level": 30
+            }
+        ],
+        "image": "/assets/pokemons/72.png"
     },
     {
         "id": 73,
@@ -1566,7 +4260,41 @@ const pokemonsList = [
             "SpecialDefense": 120,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/73.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Clear Body",
+                    "japanese": "クリアボディ",
+                    "chinese": "恒净之躯",
+                    "french": "Corps Sain"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rain Dish",
+                    "japanese": "あめうけざら",
+                    "chinese": "雨盘",
+                    "french": "Cuvette"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 55,
+        "category": {
+            "english": "Jellyfish Pokémon",
+            "japanese": "くらげポケモン",
+            "chinese": "水母宝可梦",
+            "french": "Pokémon Mollusque"
+        },
+        "flavorText": {
+            "english": "The tentacles are normally kept short. On hunts, they are extended to ensnare and immobilize prey.",
+            "japanese": "触手は普段短くて獲物を刺すときに長く伸びて絡みつくのだ。",
+            "chinese": "从红色珠子中发出超音波使猎物变得虚弱后，就会用８０根触手缠住对手。",
+            "french": "Ses tentacules sont rétractés au repos. En situation de chasse, ils s’allongent pour prendre ses proies au piège."
+        },
+        "image": "/assets/pokemons/73.png"
     },
     {
         "id": 74,
@@ -1588,7 +4316,48 @@ const pokemonsList = [
             "SpecialDefense": 30,
             "Speed": 20
         },
-        "image": `${process.env.API_URL}/assets/pokemons/74.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 20,
+        "category": {
+            "english": "Rock Pokémon",
+            "japanese": "がんせきポケモン",
+            "chinese": "岩石宝可梦",
+            "french": "Pokémon Roche"
+        },
+        "flavorText": {
+            "english": "Found in fields and mountains. Mistaking them for boulders, people often step or trip on them.",
+            "japanese": "草原や山に生息する。石ころに似ていて気がつかず踏んだりつまずいたりしてしまう。",
+            "chinese": "活了很久的小拳石在身上的角被磨平后会变得圆滚滚的。性格也非常的冷静平稳。",
+            "french": "Il vit dans les plaines ou les montagnes. On le confond souvent avec un petit caillou."
+        },
+        "evolutions": [
+            {
+                "id": 75,
+                "method": "level",
+                "level": 25
+            }
+        ],
+        "image": "/assets/pokemons/74.png"
     },
     {
         "id": 75,
@@ -1610,7 +4379,47 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/75.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 105,
+        "category": {
+            "english": "Rock Pokémon",
+            "japanese": "がんせきポケモン",
+            "chinese": "岩石宝可梦",
+            "french": "Pokémon Roche"
+        },
+        "flavorText": {
+            "english": "With a free and uncaring nature, it doesn’t mind if pieces break off while it rolls down mountains.",
+            "japanese": "山から転がり落ちるとき体のあちこちが取れても気にしない豪快な性格。",
+            "chinese": "会爬上山崖前往山顶。到达山顶后，会立刻沿着来时的山路滚下去。",
+            "french": "D’une nature téméraire, il se moque de perdre des parties de son corps quand il dévale les pentes."
+        },
+        "evolutions": [
+            {
+                "id": 76,
+                "method": "trade"
+            }
+        ],
+        "image": "/assets/pokemons/75.png"
     },
     {
         "id": 76,
@@ -1632,7 +4441,41 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/76.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sand Veil",
+                    "japanese": "すながくれ",
+                    "chinese": "沙隐",
+                    "french": "Voile Sable"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 300,
+        "category": {
+            "english": "Megaton Pokémon",
+            "japanese": "メガトンポケモン",
+            "chinese": "重量级宝可梦",
+            "french": "Pokémon Titanesque"
+        },
+        "flavorText": {
+            "english": "It tumbles down mountains, leaving grooves from peak to base. Stay clear of these grooves.",
+            "japanese": "山頂からふもとまで続く溝はゴローニャが転がり落ちる通り道なので要注意。",
+            "chinese": "年老后就不会蜕皮了。活过了漫长岁月的隆隆岩身上的外皮会长满苔藓变成绿色。",
+            "french": "À force de dévaler les falaises, il a creusé de larges sillons. Mieux vaut ne pas s’en approcher."
+        },
+        "image": "/assets/pokemons/76.png"
     },
     {
         "id": 77,
@@ -1653,7 +4496,47 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/77.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Flame Body",
+                    "japanese": "ほのおのからだ",
+                    "chinese": "火焰之躯",
+                    "french": "Corps Ardent"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 30,
+        "category": {
+            "english": "Fire Horse Pokémon",
+            "japanese": "ひのうまポケモン",
+            "chinese": "火马宝可梦",
+            "french": "Pokémon Cheval Feu"
+        },
+        "flavorText": {
+            "english": "As a newborn, it can barely stand. However, through galloping, its legs are made tougher and faster.",
+            "japanese": "生まれたばかりでは立つのがやっと。だが走るほどに足腰は鍛えられて速度が増していく。",
+            "french": "Chancelantes à la naissance, ses pattes deviennent très vite sûres et solides à force de galoper."
+        },
+        "evolutions": [
+            {
+                "id": 78,
+                "method": "level",
+                "level": 40
+            }
+        ],
+        "image": "/assets/pokemons/77.png"
     },
     {
         "id": 78,
@@ -1674,7 +4557,40 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 105
         },
-        "image": `${process.env.API_URL}/assets/pokemons/78.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Flame Body",
+                    "japanese": "ほのおのからだ",
+                    "chinese": "火焰之躯",
+                    "french": "Corps Ardent"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 95,
+        "category": {
+            "english": "Fire Horse Pokémon",
+            "japanese": "ひのうまポケモン",
+            "chinese": "火马宝可梦",
+            "french": "Pokémon Cheval Feu"
+        },
+        "flavorText": {
+            "english": "Very competitive, this Pokémon will chase anything that moves fast in the hopes of racing it.",
+            "japanese": "速く動く物体を見ると競争したくなり猛烈なスピードで追いかけはじめる。",
+            "french": "Doté d’un esprit de compétition, il poursuit toute créature rapide pour faire la course."
+        },
+        "image": "/assets/pokemons/78.png"
     },
     {
         "id": 79,
@@ -1696,7 +4612,48 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 15
         },
-        "image": `${process.env.API_URL}/assets/pokemons/79.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Oblivious",
+                    "japanese": "どんかん",
+                    "chinese": "迟钝",
+                    "french": "Benêt"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Regenerator",
+                    "japanese": "さいせいりょく",
+                    "chinese": "再生力",
+                    "french": "Régé-Force"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 36,
+        "category": {
+            "english": "Dopey Pokémon",
+            "japanese": "まぬけポケモン",
+            "chinese": "憨憨宝可梦",
+            "french": "Pokémon Crétin"
+        },
+        "flavorText": {
+            "english": "It is always vacantly lost in thought, but no one knows what it is thinking about. It is good at fishing with its tail.",
+            "japanese": "いつもボーッとしていてなにを考えているかわからない。尻尾でエサを釣るのが得意。",
+            "chinese": "有传说讲呆呆兽打哈欠就会下雨，所以据说有些地方会供奉呆呆兽。",
+            "french": "Ramoloss semble toujours perdu dans ses pensées, mais personne ne sait vraiment à quoi il pense. Il adore pêcher en utilisant sa queue."
+        },
+        "evolutions": [
+            {
+                "id": 80,
+                "method": "level",
+                "level": 37
+            }
+        ],
+        "image": "/assets/pokemons/79.png"
     },
     {
         "id": 80,
@@ -1718,7 +4675,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/80.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Oblivious",
+                    "japanese": "どんかん",
+                    "chinese": "迟钝",
+                    "french": "Benêt"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Regenerator",
+                    "japanese": "さいせいりょく",
+                    "chinese": "再生力",
+                    "french": "Régé-Force"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 78.5,
+        "category": {
+            "english": "Hermit Crab Pokémon",
+            "japanese": "やどかりポケモン",
+            "chinese": "寄居蟹宝可梦",
+            "french": "Pokémon Symbiose"
+        },
+        "flavorText": {
+            "english": "An attached Shellder won’t let go because of the tasty flavor that oozes out of its tail.",
+            "japanese": "くっついているシェルダーは尻尾からにじみ出るうま味が欲しくてずっと離れない。",
+            "chinese": "基本上一直在发呆。当尾巴被切断，大舌贝脱落后，它就会变回呆呆兽。",
+            "french": "Le Kokiyas accroché à sa queue est friand de ce qu’il dévore et ne veut pas lâcher prise."
+        },
+        "image": "/assets/pokemons/80.png"
     },
     {
         "id": 81,
@@ -1740,7 +4731,48 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/81.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Magnet Pull",
+                    "japanese": "じりょく",
+                    "chinese": "磁力",
+                    "french": "Magnépiège"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Analytic",
+                    "japanese": "アナライズ",
+                    "chinese": "分析",
+                    "french": "Analyste"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 6,
+        "category": {
+            "english": "Magnet Pokémon",
+            "japanese": "じしゃくポケモン",
+            "chinese": "磁铁宝可梦",
+            "french": "Pokémon Magnétique"
+        },
+        "flavorText": {
+            "english": "The units at the sides of its body generate antigravity energy to keep it aloft in the air.",
+            "japanese": "左右のユニットから重力をさえぎる力を出すので空中に浮かべる。",
+            "chinese": "因为它时常会引发停电，所以有些发电厂会发出小磁怪讨厌的电波。",
+            "french": "Les parties sur les côtés de son corps génèrent une énergie lui permettant de léviter."
+        },
+        "evolutions": [
+            {
+                "id": 82,
+                "method": "level",
+                "level": 30
+            }
+        ],
+        "image": "/assets/pokemons/81.png"
     },
     {
         "id": 82,
@@ -1762,7 +4794,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/82.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Magnet Pull",
+                    "japanese": "じりょく",
+                    "chinese": "磁力",
+                    "french": "Magnépiège"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Analytic",
+                    "japanese": "アナライズ",
+                    "chinese": "分析",
+                    "french": "Analyste"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 60,
+        "category": {
+            "english": "Magnet Pokémon",
+            "japanese": "じしゃくポケモン",
+            "chinese": "磁铁宝可梦",
+            "french": "Pokémon Magnétique"
+        },
+        "flavorText": {
+            "english": "A linked cluster formed of several Magnemite. It discharges powerful magnetic waves at high voltage.",
+            "japanese": "複数のコイルが連結して強力な磁力線と高電圧を放射する。",
+            "chinese": "会发出神秘的电波，在三合一磁怪栖息的地方，精密机器会发生故障。",
+            "french": "Ce Pokémon est composé de plusieurs Magnéti. Il est capable de projeter de puissantes décharges magnétiques à haute tension."
+        },
+        "image": "/assets/pokemons/82.png"
     },
     {
         "id": 83,
@@ -1784,7 +4850,40 @@ const pokemonsList = [
             "SpecialDefense": 62,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/83.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Defiant",
+                    "japanese": "まけんき",
+                    "chinese": "不服输",
+                    "french": "Acharné"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 15,
+        "category": {
+            "english": "Wild Duck Pokémon",
+            "japanese": "かるがもポケモン",
+            "chinese": "黄嘴鸭宝可梦",
+            "french": "Pokémon Canard Fou"
+        },
+        "flavorText": {
+            "english": "The plant stalk it holds is its weapon. The stalk is used like a sword to cut all sorts of things.",
+            "japanese": "持っている茎は大切な武器でもあり刀を振るようにいろんなものを切ることができる。",
+            "french": "Il utilise le légume qu’il tient comme s’il s’agissait d’une épée."
+        },
+        "image": "/assets/pokemons/83.png"
     },
     {
         "id": 84,
@@ -1806,7 +4905,47 @@ const pokemonsList = [
             "SpecialDefense": 35,
             "Speed": 75
         },
-        "image": `${process.env.API_URL}/assets/pokemons/84.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Tangled Feet",
+                    "japanese": "ちどりあし",
+                    "chinese": "蹒跚",
+                    "french": "Pieds Confus"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 39.2,
+        "category": {
+            "english": "Twin Bird Pokémon",
+            "japanese": "ふたごどりポケモン",
+            "chinese": "两头鸟宝可梦",
+            "french": "Pokémon Duoiseau"
+        },
+        "flavorText": {
+            "english": "A two-headed Pokémon that was discovered as a sudden mutation. It runs at a pace of over 60 miles per hour.",
+            "japanese": "突然変異で見つかった２つの頭を持つポケモン。時速１００キロで走る。",
+            "french": "Ce Pokémon à deux têtes est le résultat d’une soudaine mutation. Il peut courir jusqu’à 100 km/h."
+        },
+        "evolutions": [
+            {
+                "id": 85,
+                "method": "level",
+                "level": 31
+            }
+        ],
+        "image": "/assets/pokemons/84.png"
     },
     {
         "id": 85,
@@ -1828,7 +4967,40 @@ const pokemonsList = [
             "SpecialDefense": 60,
             "Speed": 110
         },
-        "image": `${process.env.API_URL}/assets/pokemons/85.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Tangled Feet",
+                    "japanese": "ちどりあし",
+                    "chinese": "蹒跚",
+                    "french": "Pieds Confus"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.8,
+        "weight": 85.2,
+        "category": {
+            "english": "Triple Bird Pokémon",
+            "japanese": "みつごどりポケモン",
+            "chinese": "三头鸟宝可梦",
+            "french": "Pokémon Trioiseau"
+        },
+        "flavorText": {
+            "english": "An enemy that takes its eyes off any of the three heads--even for a second--will get pecked severely.",
+            "japanese": "３つの頭が見ている前でわずかでもすきを見せるとクチバシで激しくつつかれる。",
+            "french": "Un ennemi ne faisant pas attention à l’une des trois têtes pendant une seconde se fait picorer."
+        },
+        "image": "/assets/pokemons/85.png"
     },
     {
         "id": 86,
@@ -1849,7 +5021,48 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/86.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Thick Fat",
+                    "japanese": "あついしぼう",
+                    "chinese": "厚脂肪",
+                    "french": "Isograisse"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Ice Body",
+                    "japanese": "アイスボディ",
+                    "chinese": "冰冻之躯",
+                    "french": "Corps Gel"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 90,
+        "category": {
+            "english": "Sea Lion Pokémon",
+            "japanese": "あしかポケモン",
+            "chinese": "海狮宝可梦",
+            "french": "Pokémon Otarie"
+        },
+        "flavorText": {
+            "english": "A Pokémon that lives on icebergs. It swims in the sea using the point on its head to break up ice.",
+            "japanese": "氷山で暮らすポケモン。頭のとがったでっぱりで氷を割って海を泳ぐ。",
+            "chinese": "人们一直以为它只生活在寒冷的海域。它出现在阿罗拉的原因是个谜。",
+            "french": "Un habitant des icebergs. En mer, il utilise la corne sur sa tête pour briser la banquise."
+        },
+        "evolutions": [
+            {
+                "id": 87,
+                "method": "level",
+                "level": 34
+            }
+        ],
+        "image": "/assets/pokemons/86.png"
     },
     {
         "id": 87,
@@ -1871,7 +5084,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/87.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Thick Fat",
+                    "japanese": "あついしぼう",
+                    "chinese": "厚脂肪",
+                    "french": "Isograisse"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Ice Body",
+                    "japanese": "アイスボディ",
+                    "chinese": "冰冻之躯",
+                    "french": "Corps Gel"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 120,
+        "category": {
+            "english": "Sea Lion Pokémon",
+            "japanese": "あしかポケモン",
+            "chinese": "海狮宝可梦",
+            "french": "Pokémon Otarie"
+        },
+        "flavorText": {
+            "english": "Its body is covered with a pure white fur. The colder the weather, the more active it becomes.",
+            "japanese": "全身が真っ白な毛で覆われている。寒さに強くむしろ寒いほど元気になる。",
+            "chinese": "能以８节的速度在海里游动，并搜寻能当做猎物的宝可梦。特别喜欢吃弱丁鱼。",
+            "french": "Son corps est recouvert d’une fourrure d’un blanc pur. Plus il fait froid, et plus ce Pokémon est actif."
+        },
+        "image": "/assets/pokemons/87.png"
     },
     {
         "id": 88,
@@ -1892,7 +5139,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 25
         },
-        "image": `${process.env.API_URL}/assets/pokemons/88.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Stench",
+                    "japanese": "あくしゅう",
+                    "chinese": "恶臭",
+                    "french": "Puanteur"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Poison Touch",
+                    "japanese": "どくしゅ",
+                    "chinese": "毒手",
+                    "french": "Toxitouche"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 30,
+        "category": {
+            "english": "Sludge Pokémon",
+            "japanese": "ヘドロポケモン",
+            "chinese": "污泥宝可梦",
+            "french": "Pokémon Dégueu"
+        },
+        "flavorText": {
+            "english": "Sludge exposed to X-rays from the moon transformed into Grimer. It loves feeding on filthy things.",
+            "japanese": "月からのエックス線を浴びたヘドロがベトベターに変化した。汚いものが大好物。",
+            "chinese": "诞生于海底的污泥。在干净的地方，它就会因体内的细菌无法增长而死去。",
+            "french": "Tadmorv est né d’un tas de déchets exposé aux rayons X lunaires. Ce Pokémon adore se nourrir de choses dégoûtantes."
+        },
+        "evolutions": [
+            {
+                "id": 89,
+                "method": "level",
+                "level": 38
+            }
+        ],
+        "image": "/assets/pokemons/88.png"
     },
     {
         "id": 89,
@@ -1913,7 +5201,41 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/89.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Stench",
+                    "japanese": "あくしゅう",
+                    "chinese": "恶臭",
+                    "french": "Puanteur"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Poison Touch",
+                    "japanese": "どくしゅ",
+                    "chinese": "毒手",
+                    "french": "Toxitouche"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 30,
+        "category": {
+            "english": "Sludge Pokémon",
+            "japanese": "ヘドロポケモン",
+            "chinese": "污泥宝可梦",
+            "french": "Pokémon Dégueu"
+        },
+        "flavorText": {
+            "english": "They love to gather in smelly areas where sludge accumulates, making the stench around them worse.",
+            "japanese": "ヘドロがたまるくさい場所を好んで集まってくるのであたりはいっそうくさくなる。",
+            "chinese": "食物变少数量也会急剧减少。为了防止它灭绝，人们开始了制造人工污泥池。",
+            "french": "Il recherche les endroits sales où il y a des ordures pour y établir son habitat puant et infect."
+        },
+        "image": "/assets/pokemons/89.png"
     },
     {
         "id": 90,
@@ -1934,7 +5256,48 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/90.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shell Armor",
+                    "japanese": "シェルアーマー",
+                    "chinese": "硬壳盔甲",
+                    "french": "Coque Armure"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Overcoat",
+                    "japanese": "ぼうじん",
+                    "chinese": "防尘",
+                    "french": "Envelocape"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 4,
+        "category": {
+            "english": "Bivalve Pokémon",
+            "japanese": "２まいがいポケモン",
+            "chinese": "双壳贝宝可梦",
+            "french": "Pokémon Bivalve"
+        },
+        "flavorText": {
+            "english": "Its hard shell repels any kind of attack. It is vulnerable only when its shell is open.",
+            "japanese": "硬い殻はどんな攻撃も跳ね返す。開いたときに中を攻撃されると弱い。",
+            "chinese": "虽然留在壳里的沙子终会变成珍珠，但会因为碍事而被它吐掉。",
+            "french": "Protégé par une carapace très résistante, il est vulnérable quand celle-ci s’ouvre."
+        },
+        "evolutions": [
+            {
+                "id": 91,
+                "method": "stone",
+                "item": "Water Stone"
+            }
+        ],
+        "image": "/assets/pokemons/90.png"
     },
     {
         "id": 91,
@@ -1956,7 +5319,41 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/91.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shell Armor",
+                    "japanese": "シェルアーマー",
+                    "chinese": "硬壳盔甲",
+                    "french": "Coque Armure"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Overcoat",
+                    "japanese": "ぼうじん",
+                    "chinese": "防尘",
+                    "french": "Envelocape"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 132.5,
+        "category": {
+            "english": "Bivalve Pokémon",
+            "japanese": "２まいがいポケモン",
+            "chinese": "双壳贝宝可梦",
+            "french": "Pokémon Bivalve"
+        },
+        "flavorText": {
+            "english": "Cloyster that live in seas with harsh tidal currents grow large, sharp spikes on their shells.",
+            "japanese": "潮の流れが激しい海に生息しているパルシェンの殻のトゲは大きく鋭い。",
+            "chinese": "拥有非常坚硬的外壳。外壳上的伤痕会逐渐隆起，长成大大的尖刺。",
+            "french": "Les Crustabri vivant dans des mers aux courants forts développent des dards sur leur coquille."
+        },
+        "image": "/assets/pokemons/91.png"
     },
     {
         "id": 92,
@@ -1978,7 +5375,39 @@ const pokemonsList = [
             "SpecialDefense": 35,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/92.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Levitate",
+                    "japanese": "ふゆう",
+                    "chinese": "飘浮",
+                    "french": "Lévitation"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 1.3,
+        "weight": 0.1,
+        "category": {
+            "english": "Gas Pokémon",
+            "japanese": "ガスじょうポケモン",
+            "chinese": "气体状宝可梦",
+            "french": "Pokémon Gaz"
+        },
+        "flavorText": {
+            "english": "Its body is made of gas. Despite lacking substance, it can envelop an opponent of any size and cause suffocation.",
+            "japanese": "ガスでできた薄い体はどんな大きさの相手も包みこみ息の根を止める。",
+            "chinese": "据说是怨念寄宿在了墓地散发出的气体中，并最终变成了宝可梦。",
+            "french": "Son corps est composé de gaz. Il peut ainsi envelopper un adversaire et le faire suffoquer."
+        },
+        "evolutions": [
+            {
+                "id": 93,
+                "method": "level",
+                "level": 25
+            }
+        ],
+        "image": "/assets/pokemons/92.png"
     },
     {
         "id": 93,
@@ -2000,7 +5429,38 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 95
         },
-        "image": `${process.env.API_URL}/assets/pokemons/93.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Levitate",
+                    "japanese": "ふゆう",
+                    "chinese": "飘浮",
+                    "french": "Lévitation"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 1.6,
+        "weight": 0.1,
+        "category": {
+            "english": "Gas Pokémon",
+            "japanese": "ガスじょうポケモン",
+            "chinese": "气体状宝可梦",
+            "french": "Pokémon Gaz"
+        },
+        "flavorText": {
+            "english": "If you get the feeling of being watched in darkness when nobody is around, Haunter is there.",
+            "japanese": "暗闇でだれもいないのに見られているような気がしたらそこにゴーストがいるのだ。",
+            "chinese": "在没有月亮的晚上，鬼斯通会寻找可以诅咒的对象，所以不要外出走动比较好哦。",
+            "french": "Si vous avez l’impression qu’on vous surveille dans le noir, c’est sûrement qu’un Spectrum est dans le coin."
+        },
+        "evolutions": [
+            {
+                "id": 94,
+                "method": "trade"
+            }
+        ],
+        "image": "/assets/pokemons/93.png"
     },
     {
         "id": 94,
@@ -2022,7 +5482,32 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 110
         },
-        "image": `${process.env.API_URL}/assets/pokemons/94.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Levitate",
+                    "japanese": "ふゆう",
+                    "chinese": "飘浮",
+                    "french": "Lévitation"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 1.5,
+        "weight": 40.5,
+        "category": {
+            "english": "Shadow Pokémon",
+            "japanese": "シャドーポケモン",
+            "chinese": "影子宝可梦",
+            "french": "Pokémon Ombre"
+        },
+        "flavorText": {
+            "english": "It hides in shadows. It is said that if Gengar is hiding, it cools the area by nearly 10 degrees Fahrenheit.",
+            "japanese": "物陰に姿を隠す。ゲンガーの潜んでいる部屋は温度が５度下がるといわれる。",
+            "chinese": "在世界各地都能听到耿鬼会去找坏孩子这样的传说。",
+            "french": "On dit que lorsqu’Ectoplasma se cache dans l’ombre, la température alentour chute de 5 °C."
+        },
+        "image": "/assets/pokemons/94.png"
     },
     {
         "id": 95,
@@ -2044,7 +5529,40 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/95.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Weak Armor",
+                    "japanese": "くだけるよろい",
+                    "chinese": "碎裂铠甲",
+                    "french": "Armurouillée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 8.8,
+        "weight": 210,
+        "category": {
+            "english": "Rock Snake Pokémon",
+            "japanese": "いわへびポケモン",
+            "chinese": "岩蛇宝可梦",
+            "french": "Pokémon Serpenroc"
+        },
+        "flavorText": {
+            "english": "Burrows at high speed in search of food. The tunnels it leaves are used as homes by Diglett.",
+            "japanese": "地中をものすごい勢いで掘りすすみエサを探す。通った跡はディグダの住処になる。",
+            "french": "Il creuse sous terre en quête de nourriture. Ses tunnels servent de maison aux Taupiqueur."
+        },
+        "image": "/assets/pokemons/95.png"
     },
     {
         "id": 96,
@@ -2065,7 +5583,48 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 42
         },
-        "image": `${process.env.API_URL}/assets/pokemons/96.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Insomnia",
+                    "japanese": "ふみん",
+                    "chinese": "不眠",
+                    "french": "Insomnia"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 32.4,
+        "category": {
+            "english": "Hypnosis Pokémon",
+            "japanese": "さいみんポケモン",
+            "chinese": "催眠宝可梦",
+            "french": "Pokémon Hypnose"
+        },
+        "flavorText": {
+            "english": "Puts enemies to sleep, then eats their dreams. Occasionally gets sick from eating only bad dreams.",
+            "japanese": "眠らせては夢を食べるが悪い夢ばかり食べてるとお腹を壊すことがあるらしい。",
+            "chinese": "能在娱乐设施的附近见到其身影。会偷吃那晚孩子们所做的美梦。",
+            "french": "Il endort ses ennemis et dévore leurs songes. S’il mange trop de cauchemars, il fait une indigestion."
+        },
+        "evolutions": [
+            {
+                "id": 97,
+                "method": "level",
+                "level": 26
+            }
+        ],
+        "image": "/assets/pokemons/96.png"
     },
     {
         "id": 97,
@@ -2086,7 +5645,41 @@ const pokemonsList = [
             "SpecialDefense": 115,
             "Speed": 67
         },
-        "image": `${process.env.API_URL}/assets/pokemons/97.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Insomnia",
+                    "japanese": "ふみん",
+                    "chinese": "不眠",
+                    "french": "Insomnia"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 75.6,
+        "category": {
+            "english": "Hypnosis Pokémon",
+            "japanese": "さいみんポケモン",
+            "chinese": "催眠宝可梦",
+            "french": "Pokémon Hypnose"
+        },
+        "flavorText": {
+            "english": "It carries a pendulum-like device. There once was an incident in which it took away a child it hypnotized.",
+            "japanese": "振り子のようなものを持ち歩く。子供に催眠術をかけてどこかへ連れ去る事件があった。",
+            "chinese": "生活在阿罗拉的引梦貘人的目标主要是树枕尾熊。人倒不怎么会成为受害者。",
+            "french": "Il transporte toujours un petit pendule. On raconte qu’il aurait un jour enlevé un enfant après l’avoir hypnotisé."
+        },
+        "image": "/assets/pokemons/97.png"
     },
     {
         "id": 98,
@@ -2107,7 +5700,47 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/98.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Hyper Cutter",
+                    "japanese": "かいりきバサミ",
+                    "chinese": "怪力钳",
+                    "french": "Hyper Cutter"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sheer Force",
+                    "japanese": "ちからずく",
+                    "chinese": "强行",
+                    "french": "Sans Limite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 6.5,
+        "category": {
+            "english": "River Crab Pokémon",
+            "japanese": "さわがにポケモン",
+            "chinese": "清水蟹宝可梦",
+            "french": "Pokémon Doux Crabe"
+        },
+        "flavorText": {
+            "english": "If it senses danger approaching, it cloaks itself with bubbles from its mouth so it will look bigger.",
+            "japanese": "危険が迫ると口から吐き出す泡で全身を包んで体を大きくみせようとする。",
+            "french": "S’il est menacé, il se cache derrière les bulles émises par sa bouche pour paraître plus gros."
+        },
+        "evolutions": [
+            {
+                "id": 99,
+                "method": "level",
+                "level": 28
+            }
+        ],
+        "image": "/assets/pokemons/98.png"
     },
     {
         "id": 99,
@@ -2128,7 +5761,40 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 75
         },
-        "image": `${process.env.API_URL}/assets/pokemons/99.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Hyper Cutter",
+                    "japanese": "かいりきバサミ",
+                    "chinese": "怪力钳",
+                    "french": "Hyper Cutter"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sheer Force",
+                    "japanese": "ちからずく",
+                    "chinese": "强行",
+                    "french": "Sans Limite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 60,
+        "category": {
+            "english": "Pincer Pokémon",
+            "japanese": "はさみポケモン",
+            "chinese": "钳子宝可梦",
+            "french": "Pokémon Pince"
+        },
+        "flavorText": {
+            "english": "Its large and hard pincer has 10,000-horsepower strength. However, being so big, it is unwieldy to move.",
+            "japanese": "硬いハサミは１万馬力のパワーを持っているが大きすぎて動きが鈍い。",
+            "french": "Sa grosse pince développe une puissance de 10 000 CV. Toutefois, sa taille imposante la rend difficile à utiliser."
+        },
+        "image": "/assets/pokemons/99.png"
     },
     {
         "id": 100,
@@ -2149,7 +5815,47 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/100.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Soundproof",
+                    "japanese": "ぼうおん",
+                    "chinese": "隔音",
+                    "french": "Anti-Bruit"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Aftermath",
+                    "japanese": "ゆうばく",
+                    "chinese": "引爆",
+                    "french": "Boom Final"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 10.4,
+        "category": {
+            "english": "Ball Pokémon",
+            "japanese": "ボールポケモン",
+            "chinese": "球宝可梦",
+            "french": "Pokémon Balle"
+        },
+        "flavorText": {
+            "english": "It was discovered when Poké Balls were introduced. It is said that there is some connection.",
+            "japanese": "モンスターボールが売り出されたのと同じ時期に発見された。なにか関係があるといわれる。",
+            "french": "Découvert en même temps que les Poké Balls. Il paraît qu’il existe un lien entre les deux."
+        },
+        "evolutions": [
+            {
+                "id": 101,
+                "method": "level",
+                "level": 30
+            }
+        ],
+        "image": "/assets/pokemons/100.png"
     },
     {
         "id": 101,
@@ -2170,7 +5876,40 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 150
         },
-        "image": `${process.env.API_URL}/assets/pokemons/101.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Soundproof",
+                    "japanese": "ぼうおん",
+                    "chinese": "隔音",
+                    "french": "Anti-Bruit"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Aftermath",
+                    "japanese": "ゆうばく",
+                    "chinese": "引爆",
+                    "french": "Boom Final"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 66.6,
+        "category": {
+            "english": "Ball Pokémon",
+            "japanese": "ボールポケモン",
+            "chinese": "球宝可梦",
+            "french": "Pokémon Balle"
+        },
+        "flavorText": {
+            "english": "It explodes in response to even minor stimuli. It is feared, with the nickname of “The Bomb Ball.”",
+            "japanese": "少しの刺激に反応して爆発する。バクダンボールというあだ名で怖がられている。",
+            "french": "Il explose au moindre choc. Son seul surnom de « Bomb Ball » suffit à effrayer ses adversaires."
+        },
+        "image": "/assets/pokemons/101.png"
     },
     {
         "id": 102,
@@ -2192,7 +5931,48 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/102.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Harvest",
+                    "japanese": "しゅうかく",
+                    "chinese": "收获",
+                    "french": "Récolte"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 2.5,
+        "category": {
+            "english": "Egg Pokémon",
+            "japanese": "たまごポケモン",
+            "chinese": "蛋宝可梦",
+            "french": "Pokémon Œuf"
+        },
+        "flavorText": {
+            "english": "Its six eggs converse using telepathy. They can quickly gather if they become separated.",
+            "japanese": "テレパシーで会話をしているためタマタマを引き離そうとしてもすぐに集まって６匹になる。",
+            "chinese": "６只加在一起算１只。即便出于某些原因少了１只，到了次日清晨也一定会变回６只。",
+            "french": "Ces six œufs communiquent par télépathie. Ils peuvent se réunir rapidement si on les sépare."
+        },
+        "evolutions": [
+            {
+                "id": 103,
+                "method": "stone",
+                "item": "Leaf Stone"
+            }
+        ],
+        "image": "/assets/pokemons/102.png"
     },
     {
         "id": 103,
@@ -2214,7 +5994,41 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/103.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Harvest",
+                    "japanese": "しゅうかく",
+                    "chinese": "收获",
+                    "french": "Récolte"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2,
+        "weight": 120,
+        "category": {
+            "english": "Coconut Pokémon",
+            "japanese": "やしのみポケモン",
+            "chinese": "椰子宝可梦",
+            "french": "Pokémon Fruitpalme"
+        },
+        "flavorText": {
+            "english": "Its three heads think independently. However, they are friendly and never appear to squabble.",
+            "japanese": "３つの頭は考えることは別々でも仲良しなのでケンカしたりしないらしい。",
+            "chinese": "会用精神力量来迎击敌人。３个脑袋会分别放出念力，所以威力也会变成３倍。",
+            "french": "Ses trois têtes sont autonomes. Elles semblent toutefois en harmonie et ne se disputent jamais."
+        },
+        "image": "/assets/pokemons/103.png"
     },
     {
         "id": 104,
@@ -2235,7 +6049,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/104.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Battle Armor",
+                    "japanese": "カブトアーマー",
+                    "chinese": "战斗盔甲",
+                    "french": "Armurbaston"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 6.5,
+        "category": {
+            "english": "Lonely Pokémon",
+            "japanese": "こどくポケモン",
+            "chinese": "孤独宝可梦",
+            "french": "Pokémon Solitaire"
+        },
+        "flavorText": {
+            "english": "It wears the skull of its dead mother on its head. When it becomes lonesome, it is said to cry loudly.",
+            "japanese": "死に別れた母親の骨を頭に覆っている。寂しいとき大声で泣くという。",
+            "chinese": "会思念已故的母亲而在夜里哭叫，因此会被其天敌秃鹰娜发现。",
+            "french": "Ce Pokémon porte le crâne de sa défunte mère sur sa tête. On raconte qu’il se met à pleurer dès qu’il se retrouve seul."
+        },
+        "evolutions": [
+            {
+                "id": 105,
+                "method": "level",
+                "level": 28
+            }
+        ],
+        "image": "/assets/pokemons/104.png"
     },
     {
         "id": 105,
@@ -2256,7 +6111,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 45
         },
-        "image": `${process.env.API_URL}/assets/pokemons/105.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Battle Armor",
+                    "japanese": "カブトアーマー",
+                    "chinese": "战斗盔甲",
+                    "french": "Armurbaston"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 45,
+        "category": {
+            "english": "Bone Keeper Pokémon",
+            "japanese": "ほねずきポケモン",
+            "chinese": "爱骨宝可梦",
+            "french": "Pokémon Gard’Os"
+        },
+        "flavorText": {
+            "english": "It is small and was originally very weak. Its temperament turned ferocious when it began using bones.",
+            "japanese": "体も小さくもともと弱かった。骨を使うようになり性格が凶暴化した。",
+            "chinese": "会用力扔骨头击落秃鹰娜。人们认为它这是在给亲人报仇。",
+            "french": "Ce petit Pokémon était à l’origine très faible. Il est devenu redoutable le jour où il a appris à se servir de ses os."
+        },
+        "image": "/assets/pokemons/105.png"
     },
     {
         "id": 106,
@@ -2277,7 +6166,40 @@ const pokemonsList = [
             "SpecialDefense": 110,
             "Speed": 87
         },
-        "image": `${process.env.API_URL}/assets/pokemons/106.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Limber",
+                    "japanese": "じゅうなん",
+                    "chinese": "柔软",
+                    "french": "Échauffement"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unburden",
+                    "japanese": "かるわざ",
+                    "chinese": "轻装",
+                    "french": "Délestage"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 49.8,
+        "category": {
+            "english": "Kicking Pokémon",
+            "japanese": "キックポケモン",
+            "chinese": "踢腿宝可梦",
+            "french": "Pokémon Latteur"
+        },
+        "flavorText": {
+            "english": "The legs freely contract and stretch. The stretchy legs allow it to hit a distant foe with a rising kick.",
+            "japanese": "脚が自由に伸び縮みして遠く離れている場合でも相手を蹴り上げることができる。",
+            "french": "Kicklee peut rétracter et allonger ses jambes à sa guise. La formidable allonge dont il dispose lui donne souvent l’avantage en plein combat."
+        },
+        "image": "/assets/pokemons/106.png"
     },
     {
         "id": 107,
@@ -2298,7 +6220,40 @@ const pokemonsList = [
             "SpecialDefense": 110,
             "Speed": 76
         },
-        "image": `${process.env.API_URL}/assets/pokemons/107.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Keen Eye",
+                    "japanese": "するどいめ",
+                    "chinese": "锐利目光",
+                    "french": "Regard Vif"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 50.2,
+        "category": {
+            "english": "Punching Pokémon",
+            "japanese": "パンチポケモン",
+            "chinese": "拳击宝可梦",
+            "french": "Pokémon Puncheur"
+        },
+        "flavorText": {
+            "english": "The arm-twisting punches it throws pulverize even concrete. It rests after three minutes of fighting.",
+            "japanese": "腕をねじりながら繰り出すパンチはコンクリートも粉砕。３分戦うとひとやすみする。",
+            "french": "Même le béton cède sous ses poings dévastateurs. Au combat, il s’essouffle au bout de trois minutes."
+        },
+        "image": "/assets/pokemons/107.png"
     },
     {
         "id": 108,
@@ -2319,7 +6274,41 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/108.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Own Tempo",
+                    "japanese": "マイペース",
+                    "chinese": "我行我素",
+                    "french": "Tempo Perso"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Cloud Nine",
+                    "japanese": "ノーてんき",
+                    "chinese": "无关天气",
+                    "french": "Ciel Gris"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 65.5,
+        "category": {
+            "english": "Licking Pokémon",
+            "japanese": "なめまわしポケモン",
+            "chinese": "舔舔宝可梦",
+            "french": "Pokémon Lécheur"
+        },
+        "flavorText": {
+            "english": "Its long tongue, slathered with a gooey saliva, sticks to anything, so it is very useful.",
+            "japanese": "長い舌はねばねばしただえきでべっとり。どんなものでもくっついてとても便利。",
+            "chinese": "不管是什么，都会用长舌头去舔舔看。被舔到的部位如果放着不管就会红肿发炎。",
+            "french": "Sa longue langue sécrète une salive gluante qui se colle à n’importe quoi. Elle est très efficace !"
+        },
+        "image": "/assets/pokemons/108.png"
     },
     {
         "id": 109,
@@ -2340,7 +6329,38 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/109.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Levitate",
+                    "japanese": "ふゆう",
+                    "chinese": "飘浮",
+                    "french": "Lévitation"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 0.6,
+        "weight": 1,
+        "category": {
+            "english": "Poison Gas Pokémon",
+            "japanese": "どくガスポケモン",
+            "chinese": "毒气宝可梦",
+            "french": "Pokémon Gaz Mortel"
+        },
+        "flavorText": {
+            "english": "Its thin, balloon-like body is inflated by horribly toxic gases. It reeks when it is nearby.",
+            "japanese": "薄いバルーン状の体に猛毒のガスがつまっている。近くに来るとくさい。",
+            "french": "Son corps très fin en forme de ballon est rempli d’un horrible gaz toxique. L’air est nauséabond à proximité de ce Pokémon."
+        },
+        "evolutions": [
+            {
+                "id": 110,
+                "method": "level",
+                "level": 35
+            }
+        ],
+        "image": "/assets/pokemons/109.png"
     },
     {
         "id": 110,
@@ -2361,7 +6381,31 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/110.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Levitate",
+                    "japanese": "ふゆう",
+                    "chinese": "飘浮",
+                    "french": "Lévitation"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 1.2,
+        "weight": 9.5,
+        "category": {
+            "english": "Poison Gas Pokémon",
+            "japanese": "どくガスポケモン",
+            "chinese": "毒气宝可梦",
+            "french": "Pokémon Gaz Mortel"
+        },
+        "flavorText": {
+            "english": "If one of the twin Koffing inflates, the other one deflates. It constantly mixes its poisonous gases.",
+            "japanese": "どちらかがふくらむと片方はしぼむ双子のドガース。いつも体内の毒ガスを混ぜている。",
+            "french": "Si l’un des deux Smogo se gonfle, l’autre se dégonfle. Ils mélangent leurs gaz en permanence."
+        },
+        "image": "/assets/pokemons/110.png"
     },
     {
         "id": 111,
@@ -2383,7 +6427,47 @@ const pokemonsList = [
             "SpecialDefense": 30,
             "Speed": 25
         },
-        "image": `${process.env.API_URL}/assets/pokemons/111.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Reckless",
+                    "japanese": "すてみ",
+                    "chinese": "舍身",
+                    "french": "Téméraire"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 115,
+        "category": {
+            "english": "Spikes Pokémon",
+            "japanese": "とげとげポケモン",
+            "chinese": "尖尖宝可梦",
+            "french": "Pokémon Piquant"
+        },
+        "flavorText": {
+            "english": "Strong, but not too bright, this Pokémon can shatter even a skyscraper with its charging Tackles.",
+            "japanese": "頭は悪いが力が強く高層ビルも体当たりでコナゴナに粉砕する。",
+            "french": "Costaud mais pas très intelligent, ce Pokémon est capable de détruire un immeuble entier en utilisant sa Charge."
+        },
+        "evolutions": [
+            {
+                "id": 112,
+                "method": "level",
+                "level": 42
+            }
+        ],
+        "image": "/assets/pokemons/111.png"
     },
     {
         "id": 112,
@@ -2405,7 +6489,40 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/112.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Reckless",
+                    "japanese": "すてみ",
+                    "chinese": "舍身",
+                    "french": "Téméraire"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.9,
+        "weight": 120,
+        "category": {
+            "english": "Drill Pokémon",
+            "japanese": "ドリルポケモン",
+            "chinese": "钻锥宝可梦",
+            "french": "Pokémon Perceur"
+        },
+        "flavorText": {
+            "english": "Protected by an armor-like hide, it is capable of living in molten lava of 3,600 degrees Fahrenheit.",
+            "japanese": "全身をよろいのような皮膚で守っている。２０００度のマグマの中でも生きられる。",
+            "french": "Son épiderme très épais lui permet de survivre dans un environnement où il fait plus de 2 000 °C."
+        },
+        "image": "/assets/pokemons/112.png"
     },
     {
         "id": 113,
@@ -2426,7 +6543,41 @@ const pokemonsList = [
             "SpecialDefense": 105,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/113.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Natural Cure",
+                    "japanese": "しぜんかいふく",
+                    "chinese": "自然回复",
+                    "french": "Médic Nature"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Healer",
+                    "japanese": "いやしのこころ",
+                    "chinese": "治愈之心",
+                    "french": "Cœur Soin"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 34.6,
+        "category": {
+            "english": "Egg Pokémon",
+            "japanese": "たまごポケモン",
+            "chinese": "蛋宝可梦",
+            "french": "Pokémon Œuf"
+        },
+        "flavorText": {
+            "english": "It is said to deliver happiness. Being compassionate, it shares its eggs with injured people.",
+            "japanese": "幸せを運ぶといわれている。傷ついた人にタマゴを分けてあげる優しいポケモン。",
+            "chinese": "其他宝可梦盯上了它那既美味又营养的蛋，在这追逐的过程中，它逃跑的速度好像变快了。",
+            "french": "Il est censé apporter la joie. Ce Pokémon charitable offre ses œufs aux blessés."
+        },
+        "image": "/assets/pokemons/113.png"
     },
     {
         "id": 114,
@@ -2447,7 +6598,40 @@ const pokemonsList = [
             "SpecialDefense": 40,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/114.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Chlorophyll",
+                    "japanese": "ようりょくそ",
+                    "chinese": "叶绿素",
+                    "french": "Chlorophylle"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Regenerator",
+                    "japanese": "さいせいりょく",
+                    "chinese": "再生力",
+                    "french": "Régé-Force"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 35,
+        "category": {
+            "english": "Vine Pokémon",
+            "japanese": "ツルじょうポケモン",
+            "chinese": "藤蔓状宝可梦",
+            "french": "Pokémon Vigne"
+        },
+        "flavorText": {
+            "english": "Many writhing vines cover it, so its true identity remains unknown. The blue vines grow its whole life long.",
+            "japanese": "たくさんのうごめくツルに覆われて正体不明。青いツルは一生伸びる。",
+            "french": "Ses lianes s’allongent au fil du temps. Elles recouvrent tout son corps, dont on ignore la véritable forme."
+        },
+        "image": "/assets/pokemons/114.png"
     },
     {
         "id": 115,
@@ -2468,7 +6652,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/115.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Early Bird",
+                    "japanese": "はやおき",
+                    "chinese": "早起",
+                    "french": "Matinal"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2.2,
+        "weight": 80,
+        "category": {
+            "english": "Parent Pokémon",
+            "japanese": "おやこポケモン",
+            "chinese": "亲子宝可梦",
+            "french": "Pokémon Maternel"
+        },
+        "flavorText": {
+            "english": "It raises its offspring in its belly pouch. It lets the baby out to play only when it feels safe.",
+            "japanese": "お腹の袋で子育てをする。安全なときだけ子供を袋から出して遊ばせる。",
+            "chinese": "会把自己的孩子放入腹袋里保护起来。对于胆敢伤害自己孩子的家伙，会毫不留情地予以痛击。",
+            "french": "Il élève ses petits dans sa poche ventrale. Il attend d’être en lieu sûr pour les laisser jouer dehors."
+        },
+        "image": "/assets/pokemons/115.png"
     },
     {
         "id": 116,
@@ -2489,7 +6707,47 @@ const pokemonsList = [
             "SpecialDefense": 25,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/116.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 8,
+        "category": {
+            "english": "Dragon Pokémon",
+            "japanese": "ドラゴンポケモン",
+            "chinese": "龙宝可梦",
+            "french": "Pokémon Dragon"
+        },
+        "flavorText": {
+            "english": "Known to shoot down flying bugs with precision blasts of ink from the surface of the water.",
+            "japanese": "水面から勢いよく墨を発射して飛んでいる虫を撃ち落とすことがあるという。",
+            "french": "Il abat les insectes volants en leur tirant un jet d’encre depuis la surface de l’eau. Ses tirs sont toujours précis."
+        },
+        "evolutions": [
+            {
+                "id": 117,
+                "method": "level",
+                "level": 32
+            }
+        ],
+        "image": "/assets/pokemons/116.png"
     },
     {
         "id": 117,
@@ -2510,7 +6768,40 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/117.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Poison Point",
+                    "japanese": "どくのトゲ",
+                    "chinese": "毒刺",
+                    "french": "Point Poison"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Damp",
+                    "japanese": "しめりけ",
+                    "chinese": "湿气",
+                    "french": "Moiteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.2,
+        "weight": 25,
+        "category": {
+            "english": "Dragon Pokémon",
+            "japanese": "ドラゴンポケモン",
+            "chinese": "龙宝可梦",
+            "french": "Pokémon Dragon"
+        },
+        "flavorText": {
+            "english": "Its body bristles with sharp spikes. Carelessly trying to touch it could cause fainting from the spikes.",
+            "japanese": "うかつに触ろうとすると体中に生えるトゲに刺されて気絶することもある。",
+            "french": "Son corps est recouvert de pointes tranchantes. Il faut la plus grande attention pour le saisir, sous peine de se faire piquer."
+        },
+        "image": "/assets/pokemons/117.png"
     },
     {
         "id": 118,
@@ -2531,7 +6822,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 63
         },
-        "image": `${process.env.API_URL}/assets/pokemons/118.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.6,
+        "weight": 15,
+        "category": {
+            "english": "Goldfish Pokémon",
+            "japanese": "きんぎょポケモン",
+            "chinese": "金鱼宝可梦",
+            "french": "Pokémon Poisson"
+        },
+        "flavorText": {
+            "english": "It swims at a steady 5 knots. If it senses danger, it will strike back with its sharp horn.",
+            "japanese": "５ノットのスピードで泳ぐ。身の危険を感じると鋭いツノで反撃する。",
+            "chinese": "虽然漂亮的尾鳍是其特征，但角金鱼之间好像会比谁的角更粗更尖锐。",
+            "french": "Il nage à 5 nœuds. Quand on l’agresse, il réplique d’un bon coup de corne aiguisée."
+        },
+        "evolutions": [
+            {
+                "id": 119,
+                "method": "level",
+                "level": 33
+            }
+        ],
+        "image": "/assets/pokemons/118.png"
     },
     {
         "id": 119,
@@ -2552,7 +6884,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 68
         },
-        "image": `${process.env.API_URL}/assets/pokemons/119.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Lightning Rod",
+                    "japanese": "ひらいしん",
+                    "chinese": "避雷针",
+                    "french": "Paratonnerre"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 39,
+        "category": {
+            "english": "Goldfish Pokémon",
+            "japanese": "きんぎょポケモン",
+            "chinese": "金鱼宝可梦",
+            "french": "Pokémon Poisson"
+        },
+        "flavorText": {
+            "english": "In the autumn spawning season, they can be seen swimming powerfully up rivers and creeks.",
+            "japanese": "秋がくると産卵のために流れに逆らって力強く川を泳ぐ姿がみられる。",
+            "chinese": "头上的角会像钻头一样旋转，即便是坚硬的岩石也能一下子贯穿。雄性有着鲜艳的颜色。",
+            "french": "Pendant la saison des amours, on peut le voir nager dans les rivières et les lacs."
+        },
+        "image": "/assets/pokemons/119.png"
     },
     {
         "id": 120,
@@ -2573,7 +6939,48 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/120.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Illuminate",
+                    "japanese": "はっこう",
+                    "chinese": "发光",
+                    "french": "Lumiattirance"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Analytic",
+                    "japanese": "アナライズ",
+                    "chinese": "分析",
+                    "french": "Analyste"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 34.5,
+        "category": {
+            "english": "Star Shape Pokémon",
+            "japanese": "ほしがたポケモン",
+            "chinese": "星形宝可梦",
+            "french": "Pokémon Étoile"
+        },
+        "flavorText": {
+            "english": "Even if its body is torn, it can regenerate as long as the glowing central core remains intact.",
+            "japanese": "体の中心で光るコアがある限り体がちぎれても再生できる。",
+            "chinese": "在各地都流传着星屑掉到海里就会变成海星星这样的民间故事。",
+            "french": "Même si son corps est détruit, il peut se régénérer aussi longtemps que son cœur est en bon état."
+        },
+        "evolutions": [
+            {
+                "id": 121,
+                "method": "stone",
+                "item": "Water Stone"
+            }
+        ],
+        "image": "/assets/pokemons/120.png"
     },
     {
         "id": 121,
@@ -2595,7 +7002,41 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 115
         },
-        "image": `${process.env.API_URL}/assets/pokemons/121.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Illuminate",
+                    "japanese": "はっこう",
+                    "chinese": "发光",
+                    "french": "Lumiattirance"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Analytic",
+                    "japanese": "アナライズ",
+                    "chinese": "分析",
+                    "french": "Analyste"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 80,
+        "category": {
+            "english": "Mysterious Pokémon",
+            "japanese": "なぞのポケモン",
+            "chinese": "谜宝可梦",
+            "french": "Pokémon Mystérieux"
+        },
+        "flavorText": {
+            "english": "Its central core glows with the seven colors of the rainbow. Some people value the core as a gem.",
+            "japanese": "真ん中のコアと呼ばれる部分は七色に輝く。これを宝石にする人もいるという。",
+            "chinese": "发光的核心被称为海之宝石。有人将它变成昂贵的饰品，在暗地里偷偷地买卖。",
+            "french": "Son cœur brille des couleurs de l’arc-en-ciel. On raconte que c’est une pierre précieuse."
+        },
+        "image": "/assets/pokemons/121.png"
     },
     {
         "id": 122,
@@ -2617,7 +7058,41 @@ const pokemonsList = [
             "SpecialDefense": 120,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/122.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Soundproof",
+                    "japanese": "ぼうおん",
+                    "chinese": "隔音",
+                    "french": "Anti-Bruit"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Technician",
+                    "japanese": "テクニシャン",
+                    "chinese": "技术高手",
+                    "french": "Technicien"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 54.5,
+        "category": {
+            "english": "Barrier Pokémon",
+            "japanese": "バリアーポケモン",
+            "chinese": "屏障宝可梦",
+            "french": "Pokémon Bloqueur"
+        },
+        "flavorText": {
+            "english": "Emanations from its fingertips solidify the air into invisible walls that repel even harsh attacks.",
+            "japanese": "指先から出す波動が空気を固めて壁を作る。激しい攻撃も跳ね返す。",
+            "chinese": "有着非凡的默剧表演实力。在你看入迷的时候，不知不觉间就会出现一面真正的墙壁。",
+            "french": "Les murs invisibles qu’il matérialise du bout des doigts repoussent les attaques les plus puissantes."
+        },
+        "image": "/assets/pokemons/122.png"
     },
     {
         "id": 123,
@@ -2639,7 +7114,41 @@ const pokemonsList = [
             "SpecialDefense": 80,
             "Speed": 105
         },
-        "image": `${process.env.API_URL}/assets/pokemons/123.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swarm",
+                    "japanese": "むしのしらせ",
+                    "chinese": "虫之预感",
+                    "french": "Essaim"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Steadfast",
+                    "japanese": "ふくつのこころ",
+                    "chinese": "不屈之心",
+                    "french": "Impassible"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 56,
+        "category": {
+            "english": "Mantis Pokémon",
+            "japanese": "かまきりポケモン",
+            "chinese": "螳螂宝可梦",
+            "french": "Pokémon Mante"
+        },
+        "flavorText": {
+            "english": "It tears and shreds prey with its wickedly sharp scythes. It very rarely spreads its wings to fly.",
+            "japanese": "鋭いカマで獲物を切り裂き息の根を止める。ごくまれに羽を使って飛ぶ。",
+            "chinese": "２把锋利的镰刀并不单单是武器。还能灵活地运用它们来切割猎物，然后食用。",
+            "french": "Il déchiquette ses proies à l’aide de ses bras tranchants comme des faux. Il n’utilise ses ailes pour voler que très rarement."
+        },
+        "image": "/assets/pokemons/123.png"
     },
     {
         "id": 124,
@@ -2661,7 +7170,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 95
         },
-        "image": `${process.env.API_URL}/assets/pokemons/124.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Oblivious",
+                    "japanese": "どんかん",
+                    "chinese": "迟钝",
+                    "french": "Benêt"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Dry Skin",
+                    "japanese": "かんそうはだ",
+                    "chinese": "干燥皮肤",
+                    "french": "Peau Sèche"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 40.6,
+        "category": {
+            "english": "Human Shape Pokémon",
+            "japanese": "ひとがたポケモン",
+            "chinese": "人形宝可梦",
+            "french": "Pokémon Humanoïde"
+        },
+        "flavorText": {
+            "english": "It wiggles its hips as it walks. It can cause people to dance in unison with it.",
+            "japanese": "腰を振るように歩いている。油断をすると思わず釣られて踊ってしまうという。",
+            "chinese": "会按独特的节奏扭动腰部。栖息在阿罗拉的迷唇姐，那动作更是妙不可言。",
+            "french": "Il ondule ses hanches en marchant et entraîne les gens dans des danses frénétiques."
+        },
+        "image": "/assets/pokemons/124.png"
     },
     {
         "id": 125,
@@ -2682,7 +7225,41 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 105
         },
-        "image": `${process.env.API_URL}/assets/pokemons/125.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Static",
+                    "japanese": "せいでんき",
+                    "chinese": "静电",
+                    "french": "Statik"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Vital Spirit",
+                    "japanese": "やるき",
+                    "chinese": "干劲",
+                    "french": "Esprit Vital"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.1,
+        "weight": 30,
+        "category": {
+            "english": "Electric Pokémon",
+            "japanese": "でんげきポケモン",
+            "chinese": "电击宝可梦",
+            "french": "Pokémon Électrique"
+        },
+        "flavorText": {
+            "english": "Electricity runs across the surface of its body. In darkness, its entire body glows a whitish blue.",
+            "japanese": "体の表面には電気が流れている。あたりが暗いと全身が青白く光るのだ。",
+            "chinese": "全身都带着电。会一圈圈抡动手臂进行充电后再出拳。",
+            "french": "Des ondes électriques parcourent la surface de son corps. Il brille d’un éclat bleuté dans le noir."
+        },
+        "image": "/assets/pokemons/125.png"
     },
     {
         "id": 126,
@@ -2703,7 +7280,41 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 93
         },
-        "image": `${process.env.API_URL}/assets/pokemons/126.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Flame Body",
+                    "japanese": "ほのおのからだ",
+                    "chinese": "火焰之躯",
+                    "french": "Corps Ardent"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Vital Spirit",
+                    "japanese": "やるき",
+                    "chinese": "干劲",
+                    "french": "Esprit Vital"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 44.5,
+        "category": {
+            "english": "Spitfire Pokémon",
+            "japanese": "ひふきポケモン",
+            "chinese": "吐火宝可梦",
+            "french": "Pokémon Crache-Feu"
+        },
+        "flavorText": {
+            "english": "Found near the mouth of a volcano. This fire-breather’s body temperature is nearly 2,200 degrees Fahrenheit.",
+            "japanese": "火山の火口近くで見つかった。口から炎を吐く。体温は１２００度もある。",
+            "chinese": "全身都在燃烧，光是呼出的气息就带着高温，打喷嚏时会同时喷出火焰。",
+            "french": "On trouve ce Pokémon près des bouches de volcans. Son corps incandescent atteint 1 200 °C."
+        },
+        "image": "/assets/pokemons/126.png"
     },
     {
         "id": 127,
@@ -2724,7 +7335,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/127.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Hyper Cutter",
+                    "japanese": "かいりきバサミ",
+                    "chinese": "怪力钳",
+                    "french": "Hyper Cutter"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Moxie",
+                    "japanese": "じしんかじょう",
+                    "chinese": "自信过度",
+                    "french": "Impudence"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.5,
+        "weight": 55,
+        "category": {
+            "english": "Stag Beetle Pokémon",
+            "japanese": "くわがたポケモン",
+            "chinese": "锹形虫宝可梦",
+            "french": "Pokémon Scarabée"
+        },
+        "flavorText": {
+            "english": "It grips prey with its pincers until the prey is torn in half. What it can’t tear, it tosses far.",
+            "japanese": "２本のツノで獲物を挟んでちぎれるまで放さない。ちぎれないときはかなたまで投げ飛ばすのだ。",
+            "chinese": "会和锹农炮虫争夺领地。在阿罗拉，不知为何它和赫拉克罗斯的关系好像相当不错。",
+            "french": "Il serre les proies dans ses pinces pour les trancher en deux. S’il n’y arrive pas, il les jette au loin."
+        },
+        "image": "/assets/pokemons/127.png"
     },
     {
         "id": 128,
@@ -2745,7 +7390,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 110
         },
-        "image": `${process.env.API_URL}/assets/pokemons/128.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Sheer Force",
+                    "japanese": "ちからずく",
+                    "chinese": "强行",
+                    "french": "Sans Limite"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.4,
+        "weight": 88.4,
+        "category": {
+            "english": "Wild Bull Pokémon",
+            "japanese": "あばれうしポケモン",
+            "chinese": "暴牛宝可梦",
+            "french": "Pokémon Buffle"
+        },
+        "flavorText": {
+            "english": "After heightening its will to fight by whipping itself with its three tails, it charges at full speed.",
+            "japanese": "３本の尻尾で自分をたたき戦う気持ちを高めると全速力で突っこんでくる。",
+            "chinese": "会组成一个群体生活。在群体中，谁的角最粗最长，并伤痕累累，谁就是老大。",
+            "french": "Après s’être fouetté avec ses trois queues pour augmenter son agressivité, il charge."
+        },
+        "image": "/assets/pokemons/128.png"
     },
     {
         "id": 129,
@@ -2766,7 +7445,48 @@ const pokemonsList = [
             "SpecialDefense": 20,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/129.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Rattled",
+                    "japanese": "びびり",
+                    "chinese": "胆怯",
+                    "french": "Phobique"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 10,
+        "category": {
+            "english": "Fish Pokémon",
+            "japanese": "さかなポケモン",
+            "chinese": "鱼宝可梦",
+            "french": "Pokémon Poisson"
+        },
+        "flavorText": {
+            "english": "It is virtually worthless in terms of both power and speed. It is the most weak and pathetic Pokémon in the world.",
+            "japanese": "力もスピードもほとんどダメ。世界で一番弱くて情けないポケモンだ。",
+            "chinese": "在非常遥远的过去，它还是十分强大的，但随着时间的推移，它变得越来越弱，越来越弱了。",
+            "french": "Magicarpe manque totalement de vitesse et de force. C’est le Pokémon le plus pathétique sur terre."
+        },
+        "evolutions": [
+            {
+                "id": 130,
+                "method": "level",
+                "level": 20
+            }
+        ],
+        "image": "/assets/pokemons/129.png"
     },
     {
         "id": 130,
@@ -2788,7 +7508,41 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 81
         },
-        "image": `${process.env.API_URL}/assets/pokemons/130.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Intimidate",
+                    "japanese": "いかく",
+                    "chinese": "威吓",
+                    "french": "Intimidation"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Moxie",
+                    "japanese": "じしんかじょう",
+                    "chinese": "自信过度",
+                    "french": "Impudence"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 6.5,
+        "weight": 235,
+        "category": {
+            "english": "Atrocious Pokémon",
+            "japanese": "きょうあくポケモン",
+            "chinese": "凶恶宝可梦",
+            "french": "Pokémon Terrifiant"
+        },
+        "flavorText": {
+            "english": "In ancient literature, there is a record of a Gyarados that razed a village when violence flared.",
+            "japanese": "争いの起こった村を焼きつくしたという記録が古文書に残されている。",
+            "chinese": "能不断地吐出破坏光线，将周围一带燃烧殆尽。也有一些地区称其为破坏神。",
+            "french": "La littérature ancienne fait état d’un Léviator qui aurait rasé un village sous le coup de la colère."
+        },
+        "image": "/assets/pokemons/130.png"
     },
     {
         "id": 131,
@@ -2810,7 +7564,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 60
         },
-        "image": `${process.env.API_URL}/assets/pokemons/131.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Water Absorb",
+                    "japanese": "ちょすい",
+                    "chinese": "储水",
+                    "french": "Absorb Eau"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hydration",
+                    "japanese": "うるおいボディ",
+                    "chinese": "湿润之躯",
+                    "french": "Hydratation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2.5,
+        "weight": 220,
+        "category": {
+            "english": "Transport Pokémon",
+            "japanese": "のりものポケモン",
+            "chinese": "乘载宝可梦",
+            "french": "Pokémon Transport"
+        },
+        "flavorText": {
+            "english": "They have gentle hearts. Because they rarely fight, many have been caught. Their number has dwindled.",
+            "japanese": "優しい心の持ち主。めったに争わないためたくさん捕まえられ数が減った。",
+            "chinese": "喜欢乘载着人游泳。在阿罗拉地区，这是重要的水上交通方式。",
+            "french": "Ils sont d’une nature gentille. Comme ils se défendent rarement, ils sont en voie d’extinction."
+        },
+        "image": "/assets/pokemons/131.png"
     },
     {
         "id": 132,
@@ -2831,7 +7619,41 @@ const pokemonsList = [
             "SpecialDefense": 48,
             "Speed": 48
         },
-        "image": `${process.env.API_URL}/assets/pokemons/132.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Limber",
+                    "japanese": "じゅうなん",
+                    "chinese": "柔软",
+                    "french": "Échauffement"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Imposter",
+                    "japanese": "かわりもの",
+                    "chinese": "变身者",
+                    "french": "Imposteur"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 4,
+        "category": {
+            "english": "Transform Pokémon",
+            "japanese": "へんしんポケモン",
+            "chinese": "变身宝可梦",
+            "french": "Pokémon Morphing"
+        },
+        "flavorText": {
+            "english": "It has the ability to reconstitute its entire cellular structure to transform into whatever it sees.",
+            "japanese": "全身の細胞を組み替えて見たものの形そっくりに変身する能力を持つ。",
+            "chinese": "可以变身成任何东西，但好像每只百变怪都有着自己擅长和不擅长变形的东西。",
+            "french": "Il a la capacité de modifier sa structure cellulaire pour prendre l’apparence de ce qu’il voit."
+        },
+        "image": "/assets/pokemons/132.png"
     },
     {
         "id": 133,
@@ -2852,7 +7674,58 @@ const pokemonsList = [
             "SpecialDefense": 65,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/133.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Run Away",
+                    "japanese": "にげあし",
+                    "chinese": "逃跑",
+                    "french": "Fuite"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Anticipation",
+                    "japanese": "きけんよち",
+                    "chinese": "危险预知",
+                    "french": "Anticipation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.3,
+        "weight": 6.5,
+        "category": {
+            "english": "Evolution Pokémon",
+            "japanese": "しんかポケモン",
+            "chinese": "进化宝可梦",
+            "french": "Pokémon Évolutif"
+        },
+        "flavorText": {
+            "english": "A rare Pokémon that adapts to harsh environments by taking on different evolutionary forms.",
+            "japanese": "進化のとき姿と能力が変わることできびしい環境に対応する珍しいポケモン。",
+            "chinese": "至今未弄清为何只有伊布携带着非常不稳定的遗传基因。",
+            "french": "Un Pokémon rare qui s’adapte aux environnements hostiles en variant ses formes évolutives."
+        },
+        "evolutions": [
+            {
+                "id": 134,
+                "method": "stone",
+                "item": "Water Stone"
+            },
+            {
+                "id": 135,
+                "method": "stone",
+                "item": "Thunder Stone"
+            },
+            {
+                "id": 136,
+                "method": "stone",
+                "item": "Fire Stone"
+            }
+        ],
+        "image": "/assets/pokemons/133.png"
     },
     {
         "id": 134,
@@ -2873,7 +7746,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/134.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Water Absorb",
+                    "japanese": "ちょすい",
+                    "chinese": "储水",
+                    "french": "Absorb Eau"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Hydration",
+                    "japanese": "うるおいボディ",
+                    "chinese": "湿润之躯",
+                    "french": "Hydratation"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 29,
+        "category": {
+            "english": "Bubble Jet Pokémon",
+            "japanese": "あわはきポケモン",
+            "chinese": "吐泡宝可梦",
+            "french": "Pokémon Bulleur"
+        },
+        "flavorText": {
+            "english": "It prefers beautiful shores. With cells similar to water molecules, it could melt in water.",
+            "japanese": "きれいな水辺を好んでいる。細胞が水の分子に似ており水に溶けることもできる。",
+            "chinese": "美丽的水边是其主要的栖息地。如果感觉有外敌来袭，它就会跳入水中躲起来。",
+            "french": "Il préfère les belles plages. Il peut se dissoudre à volonté grâce à ses cellules proches de l’eau."
+        },
+        "image": "/assets/pokemons/134.png"
     },
     {
         "id": 135,
@@ -2894,7 +7801,41 @@ const pokemonsList = [
             "SpecialDefense": 95,
             "Speed": 130
         },
-        "image": `${process.env.API_URL}/assets/pokemons/135.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Volt Absorb",
+                    "japanese": "ちくでん",
+                    "chinese": "蓄电",
+                    "french": "Absorb Volt"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Quick Feet",
+                    "japanese": "はやあし",
+                    "chinese": "飞毛腿",
+                    "french": "Pied Véloce"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 24.5,
+        "category": {
+            "english": "Lightning Pokémon",
+            "japanese": "かみなりポケモン",
+            "chinese": "雷宝可梦",
+            "french": "Pokémon Orage"
+        },
+        "flavorText": {
+            "english": "Every hair on its body starts to stand sharply on end if it becomes charged with electricity.",
+            "japanese": "体内に電気がたまると全身の体毛が全部鋭くとがりはじめる。",
+            "chinese": "肺中有能产生电力的器官。从它的吐息中，能听到里面混杂着噼里啪啦的电流声。",
+            "french": "Chaque poil sur son corps se dresse quand il se charge en électricité."
+        },
+        "image": "/assets/pokemons/135.png"
     },
     {
         "id": 136,
@@ -2915,7 +7856,41 @@ const pokemonsList = [
             "SpecialDefense": 110,
             "Speed": 65
         },
-        "image": `${process.env.API_URL}/assets/pokemons/136.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Flash Fire",
+                    "japanese": "もらいび",
+                    "chinese": "引火",
+                    "french": "Torche"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Guts",
+                    "japanese": "こんじょう",
+                    "chinese": "毅力",
+                    "french": "Cran"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.9,
+        "weight": 25,
+        "category": {
+            "english": "Flame Pokémon",
+            "japanese": "ほのおポケモン",
+            "chinese": "火宝可梦",
+            "french": "Pokémon Flamme"
+        },
+        "flavorText": {
+            "english": "It has a flame sac in its body. Its body temperature tops 1,650 degrees Fahrenheit before battle.",
+            "japanese": "体内に炎袋を持つ。戦いがはじまる直前には体温が９００度まで上がる。",
+            "chinese": "大口吸入空气就是要攻击的前兆。这意味着１７００度的火焰即将来袭。",
+            "french": "Son corps contient une glande enflammée. Sa température monte à 900 °C avant le combat."
+        },
+        "image": "/assets/pokemons/136.png"
     },
     {
         "id": 137,
@@ -2936,7 +7911,41 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 40
         },
-        "image": `${process.env.API_URL}/assets/pokemons/137.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Trace",
+                    "japanese": "トレース",
+                    "chinese": "复制",
+                    "french": "Calque"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Analytic",
+                    "japanese": "アナライズ",
+                    "chinese": "分析",
+                    "french": "Analyste"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.8,
+        "weight": 36.5,
+        "category": {
+            "english": "Virtual Pokémon",
+            "japanese": "バーチャルポケモン",
+            "chinese": "虚拟宝可梦",
+            "french": "Pokémon Virtuel"
+        },
+        "flavorText": {
+            "english": "A man-made Pokémon that came about as a result of research. It is programmed with only basic motions.",
+            "japanese": "研究の末生み出された人工のポケモン。基本的な動作しかプログラムされていない。",
+            "chinese": "由大约２０年前的科学力量创造出来的宝可梦，所以现在很多部分已经过时了。",
+            "french": "Un Pokémon créé par l’homme après de longues recherches. Il ne connaît que peu de mouvements."
+        },
+        "image": "/assets/pokemons/137.png"
     },
     {
         "id": 138,
@@ -2958,7 +7967,48 @@ const pokemonsList = [
             "SpecialDefense": 55,
             "Speed": 35
         },
-        "image": `${process.env.API_URL}/assets/pokemons/138.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Weak Armor",
+                    "japanese": "くだけるよろい",
+                    "chinese": "碎裂铠甲",
+                    "french": "Armurouillée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.4,
+        "weight": 7.5,
+        "category": {
+            "english": "Spiral Pokémon",
+            "japanese": "うずまきポケモン",
+            "chinese": "漩涡宝可梦",
+            "french": "Pokémon Spirale"
+        },
+        "flavorText": {
+            "english": "A prehistoric Pokémon that lived in the primordial sea, it swims by twisting its 10 tentacles about.",
+            "japanese": "大昔海に住んでいた古代ポケモン。１０本の脚をくねらせて泳ぐ。",
+            "chinese": "生活在古代海洋中的宝可梦。好像曾是始祖大鸟的食物，发现过带有齿痕的化石。",
+            "french": "Un Pokémon préhistorique qui vivait dans les profondeurs marines. Il se déplace en agitant ses 10 tentacules."
+        },
+        "evolutions": [
+            {
+                "id": 139,
+                "method": "level",
+                "level": 40
+            }
+        ],
+        "image": "/assets/pokemons/138.png"
     },
     {
         "id": 139,
@@ -2980,7 +8030,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/139.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Weak Armor",
+                    "japanese": "くだけるよろい",
+                    "chinese": "碎裂铠甲",
+                    "french": "Armurouillée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1,
+        "weight": 35,
+        "category": {
+            "english": "Spiral Pokémon",
+            "japanese": "うずまきポケモン",
+            "chinese": "漩涡宝可梦",
+            "french": "Pokémon Spirale"
+        },
+        "flavorText": {
+            "english": "Its tentacles are highly developed as if they are hands and feet. As soon as it ensnares prey, it bites.",
+            "japanese": "触手が手足のように発達している。しがみつくと同時にかみついてくる。",
+            "chinese": "被认为是由于身上沉重的壳而灭绝的古代宝可梦。好像是章鱼桶的远祖。",
+            "french": "Ses tentacules sont développés comme s’il s’agissait de bras ou de jambes. Dès qu’il attrape une proie, il la mord."
+        },
+        "image": "/assets/pokemons/139.png"
     },
     {
         "id": 140,
@@ -3002,7 +8086,48 @@ const pokemonsList = [
             "SpecialDefense": 45,
             "Speed": 55
         },
-        "image": `${process.env.API_URL}/assets/pokemons/140.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Weak Armor",
+                    "japanese": "くだけるよろい",
+                    "chinese": "碎裂铠甲",
+                    "french": "Armurouillée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 0.5,
+        "weight": 11.5,
+        "category": {
+            "english": "Shellfish Pokémon",
+            "japanese": "こうらポケモン",
+            "chinese": "甲壳宝可梦",
+            "french": "Pokémon Carapace"
+        },
+        "flavorText": {
+            "english": "It is thought to have inhabited beaches 300 million years ago. It is protected by a stiff shell.",
+            "japanese": "３億年前の砂浜で暮らしていたと考えられている。硬い殻が身を守る。",
+            "chinese": "３亿年前繁衍兴旺的宝可梦。据说在某些地区，至今仍能偶尔看见活着的化石盔。",
+            "french": "On pense qu’il peuplait les plages il y a 300 millions d’années. Il est protégé par une coquille robuste."
+        },
+        "evolutions": [
+            {
+                "id": 141,
+                "method": "level",
+                "level": 40
+            }
+        ],
+        "image": "/assets/pokemons/140.png"
     },
     {
         "id": 141,
@@ -3024,7 +8149,41 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/141.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Swift Swim",
+                    "japanese": "すいすい",
+                    "chinese": "悠游自如",
+                    "french": "Glissade"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Weak Armor",
+                    "japanese": "くだけるよろい",
+                    "chinese": "碎裂铠甲",
+                    "french": "Armurouillée"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.3,
+        "weight": 40.5,
+        "category": {
+            "english": "Shellfish Pokémon",
+            "japanese": "こうらポケモン",
+            "chinese": "甲壳宝可梦",
+            "french": "Pokémon Carapace"
+        },
+        "flavorText": {
+            "english": "In the water, it tucks in its limbs to become more compact, then it wiggles its shell to swim fast.",
+            "japanese": "水中を移動するとき手足を小さく折りたたみ甲羅をくねらせ速く泳ぐ。",
+            "chinese": "为了在陆地上也能活动，身体开始了演化，但没等演化完，它就灭绝了。",
+            "french": "Dans l’eau, il se recroqueville sur ses jambes et il agite sa coquille pour nager à très grande vitesse."
+        },
+        "image": "/assets/pokemons/141.png"
     },
     {
         "id": 142,
@@ -3046,7 +8205,41 @@ const pokemonsList = [
             "SpecialDefense": 75,
             "Speed": 130
         },
-        "image": `${process.env.API_URL}/assets/pokemons/142.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Rock Head",
+                    "japanese": "いしあたま",
+                    "chinese": "坚硬脑袋",
+                    "french": "Tête de Roc"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.8,
+        "weight": 59,
+        "category": {
+            "english": "Fossil Pokémon",
+            "japanese": "かせきポケモン",
+            "chinese": "化石宝可梦",
+            "french": "Pokémon Fossile"
+        },
+        "flavorText": {
+            "english": "It was regenerated from a dinosaur’s genetic matter that was found in amber. It flies with high-pitched cries.",
+            "japanese": "こはくに残された恐竜の遺伝子から復活させた。高い声で鳴きながら飛ぶ。",
+            "chinese": "由琥珀中残留的遗传基因复原而来。性情比想像的还要粗暴，甚至还出现了牺牲者。",
+            "french": "Ce Pokémon a été reconstitué à partir d’une cellule de dinosaure trouvée dans un morceau d’ambre. Il vole très haut en poussant des cris très aigus."
+        },
+        "image": "/assets/pokemons/142.png"
     },
     {
         "id": 143,
@@ -3067,7 +8260,41 @@ const pokemonsList = [
             "SpecialDefense": 110,
             "Speed": 30
         },
-        "image": `${process.env.API_URL}/assets/pokemons/143.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Immunity",
+                    "japanese": "めんえき",
+                    "chinese": "免疫",
+                    "french": "Vaccin"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Gluttony",
+                    "japanese": "くいしんぼう",
+                    "chinese": "贪吃鬼",
+                    "french": "Gloutonnerie"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2.1,
+        "weight": 460,
+        "category": {
+            "english": "Sleeping Pokémon",
+            "japanese": "いねむりポケモン",
+            "chinese": "瞌睡宝可梦",
+            "french": "Pokémon Pionceur"
+        },
+        "flavorText": {
+            "english": "It is not satisfied unless it eats over 880 pounds of food every day. When it is done eating, it goes promptly to sleep.",
+            "japanese": "１日に食べ物を４００キロ食べないと気がすまない。食べ終わると眠ってしまう。",
+            "chinese": "平时不是吃就是睡，但如果因某些事而认真起来的话，好像就会发挥出惊人的力量。",
+            "french": "Ronflex n’est pas satisfait tant qu’il n’a pas avalé ses 400 kg de nourriture quotidienne. Dès qu’il a fini de manger, il commence une sieste pour digérer."
+        },
+        "image": "/assets/pokemons/143.png"
     },
     {
         "id": 144,
@@ -3089,7 +8316,40 @@ const pokemonsList = [
             "SpecialDefense": 125,
             "Speed": 85
         },
-        "image": `${process.env.API_URL}/assets/pokemons/144.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Pressure",
+                    "japanese": "プレッシャー",
+                    "chinese": "压迫感",
+                    "french": "Pression"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Snow Cloak",
+                    "japanese": "ゆきがくれ",
+                    "chinese": "雪隐",
+                    "french": "Rideau Neige"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.7,
+        "weight": 55.4,
+        "category": {
+            "english": "Freeze Pokémon",
+            "japanese": "れいとうポケモン",
+            "chinese": "冰冻宝可梦",
+            "french": "Pokémon Glaciaire"
+        },
+        "flavorText": {
+            "english": "A legendary bird Pokémon. It can create blizzards by freezing moisture in the air.",
+            "japanese": "伝説のとりポケモン。空気中の水分を凍らせ吹雪を作り出すことができる。",
+            "french": "Un Pokémon Oiseau légendaire. Il peut provoquer des blizzards en gelant l’humidité de l’air."
+        },
+        "image": "/assets/pokemons/144.png"
     },
     {
         "id": 145,
@@ -3111,7 +8371,40 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/145.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Pressure",
+                    "japanese": "プレッシャー",
+                    "chinese": "压迫感",
+                    "french": "Pression"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Static",
+                    "japanese": "せいでんき",
+                    "chinese": "静电",
+                    "french": "Statik"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.6,
+        "weight": 52.6,
+        "category": {
+            "english": "Electric Pokémon",
+            "japanese": "でんげきポケモン",
+            "chinese": "电击宝可梦",
+            "french": "Pokémon Électrique"
+        },
+        "flavorText": {
+            "english": "A legendary bird Pokémon that is said to appear from clouds while dropping enormous lightning bolts.",
+            "japanese": "雲の上から巨大な稲妻を落としながら現れる伝説のとりポケモンである。",
+            "french": "L’oiseau légendaire de la foudre. Il surgit hors des nuages en lançant d’énormes éclairs."
+        },
+        "image": "/assets/pokemons/145.png"
     },
     {
         "id": 146,
@@ -3133,7 +8426,40 @@ const pokemonsList = [
             "SpecialDefense": 85,
             "Speed": 90
         },
-        "image": `${process.env.API_URL}/assets/pokemons/146.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Pressure",
+                    "japanese": "プレッシャー",
+                    "chinese": "压迫感",
+                    "french": "Pression"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Flame Body",
+                    "japanese": "ほのおのからだ",
+                    "chinese": "火焰之躯",
+                    "french": "Corps Ardent"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2,
+        "weight": 60,
+        "category": {
+            "english": "Flame Pokémon",
+            "japanese": "かえんポケモン",
+            "chinese": "火焰宝可梦",
+            "french": "Pokémon Flamme"
+        },
+        "flavorText": {
+            "english": "It is said to be the legendary bird Pokémon of fire. Every flap of its wings creates a dazzling flare of flames.",
+            "japanese": "昔から火の鳥伝説として知られる。羽ばたくたびに羽が明るく燃え上がり美しい。",
+            "french": "Le légendaire oiseau du feu. Une pluie de flammes surgit à chaque battement de ses ailes."
+        },
+        "image": "/assets/pokemons/146.png"
     },
     {
         "id": 147,
@@ -3154,7 +8480,48 @@ const pokemonsList = [
             "SpecialDefense": 50,
             "Speed": 50
         },
-        "image": `${process.env.API_URL}/assets/pokemons/147.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shed Skin",
+                    "japanese": "だっぴ",
+                    "chinese": "蜕皮",
+                    "french": "Mue"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Marvel Scale",
+                    "japanese": "ふしぎなうろこ",
+                    "chinese": "神奇鳞片",
+                    "french": "Écaille Spéciale"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 1.8,
+        "weight": 3.3,
+        "category": {
+            "english": "Dragon Pokémon",
+            "japanese": "ドラゴンポケモン",
+            "chinese": "龙宝可梦",
+            "french": "Pokémon Dragon"
+        },
+        "flavorText": {
+            "english": "It is called the “Mirage Pokémon” because so few have seen it. Its shed skin has been found.",
+            "japanese": "目撃者が少ないために幻のポケモンと呼ばれていた。脱皮した皮が見つかっている。",
+            "chinese": "由于还很弱小，所以会潜伏在水底悄悄地生活．靠着吃沉入水中的东西为生。",
+            "french": "On l’appelle « Pokémon mirage » en raison de sa rareté. On a découvert sa mue."
+        },
+        "evolutions": [
+            {
+                "id": 148,
+                "method": "level",
+                "level": 30
+            }
+        ],
+        "image": "/assets/pokemons/147.png"
     },
     {
         "id": 148,
@@ -3175,7 +8542,48 @@ const pokemonsList = [
             "SpecialDefense": 70,
             "Speed": 70
         },
-        "image": `${process.env.API_URL}/assets/pokemons/148.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Shed Skin",
+                    "japanese": "だっぴ",
+                    "chinese": "蜕皮",
+                    "french": "Mue"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Marvel Scale",
+                    "japanese": "ふしぎなうろこ",
+                    "chinese": "神奇鳞片",
+                    "french": "Écaille Spéciale"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 4,
+        "weight": 16.5,
+        "category": {
+            "english": "Dragon Pokémon",
+            "japanese": "ドラゴンポケモン",
+            "chinese": "龙宝可梦",
+            "french": "Pokémon Dragon"
+        },
+        "flavorText": {
+            "english": "Its crystalline orbs appear to give this Pokémon the power to freely control the weather.",
+            "japanese": "水晶のような玉には天候を自由に操る能力が秘められているらしい。",
+            "chinese": "人们相信它能操纵天气，所以在哈克龙栖息的湖里，供品总是源源不断。",
+            "french": "Ses orbes de cristal donnent le pouvoir de contrôler le climat."
+        },
+        "evolutions": [
+            {
+                "id": 149,
+                "method": "level",
+                "level": 55
+            }
+        ],
+        "image": "/assets/pokemons/148.png"
     },
     {
         "id": 149,
@@ -3197,7 +8605,41 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 80
         },
-        "image": `${process.env.API_URL}/assets/pokemons/149.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Inner Focus",
+                    "japanese": "せいしんりょく",
+                    "chinese": "精神力",
+                    "french": "Attention"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Multiscale",
+                    "japanese": "マルチスケイル",
+                    "chinese": "多重鳞片",
+                    "french": "Multiécaille"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2.2,
+        "weight": 210,
+        "category": {
+            "english": "Dragon Pokémon",
+            "japanese": "ドラゴンポケモン",
+            "chinese": "龙宝可梦",
+            "french": "Pokémon Dragon"
+        },
+        "flavorText": {
+            "english": "It can fly in spite of its big and bulky physique. It circles the globe in just 16 hours.",
+            "japanese": "大きな体格で空を飛ぶ。地球を約１６時間で１周してしまう。",
+            "chinese": "即便是狂风暴雨的海上，它也能波澜不惊地飞过。目睹过它那身姿的船长称其为大海的化身。",
+            "french": "Malgré son poids et son physique imposant, Dracolosse est capable de voler. Il peut faire le tour du monde en 16 heures."
+        },
+        "image": "/assets/pokemons/149.png"
     },
     {
         "id": 150,
@@ -3218,7 +8660,40 @@ const pokemonsList = [
             "SpecialDefense": 90,
             "Speed": 130
         },
-        "image": `${process.env.API_URL}/assets/pokemons/150.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Pressure",
+                    "japanese": "プレッシャー",
+                    "chinese": "压迫感",
+                    "french": "Pression"
+                },
+                "hidden": false
+            },
+            {
+                "name": {
+                    "english": "Unnerve",
+                    "japanese": "きんちょうかん",
+                    "chinese": "紧张感",
+                    "french": "Tension"
+                },
+                "hidden": true
+            }
+        ],
+        "height": 2,
+        "weight": 122,
+        "category": {
+            "english": "Genetic Pokémon",
+            "japanese": "いでんしポケモン",
+            "chinese": "基因宝可梦",
+            "french": "Pokémon Génétique"
+        },
+        "flavorText": {
+            "english": "It was created by a scientist after years of horrific gene-splicing and DNA-engineering experiments.",
+            "japanese": "１人の科学者が何年も恐ろしい遺伝子研究を続けた結果誕生した。",
+            "french": "Il est le fruit de nombreuses expériences génétiques horribles et malsaines."
+        },
+        "image": "/assets/pokemons/150.png"
     },
     {
         "id": 151,
@@ -3239,7 +8714,31 @@ const pokemonsList = [
             "SpecialDefense": 100,
             "Speed": 100
         },
-        "image": `${process.env.API_URL}/assets/pokemons/151.png`
+        "abilities": [
+            {
+                "name": {
+                    "english": "Synchronize",
+                    "japanese": "シンクロ",
+                    "chinese": "同步",
+                    "french": "Synchro"
+                },
+                "hidden": false
+            }
+        ],
+        "height": 0.4,
+        "weight": 4,
+        "category": {
+            "english": "New Species Pokémon",
+            "japanese": "しんしゅポケモン",
+            "chinese": "新种宝可梦",
+            "french": "Pokémon Nouveau"
+        },
+        "flavorText": {
+            "english": "Because it can use all kinds of moves, many scientists believe Mew to be the ancestor of Pokémon.",
+            "japanese": "あらゆる技を使うためポケモンの先祖と考える学者がたくさんいる。",
+            "french": "Nombre de scientifiques voient en lui l’ancêtre des Pokémon car il maîtrise toutes leurs capacités."
+        },
+        "image": "/assets/pokemons/151.png"
     }
 ]
 
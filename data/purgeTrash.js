@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+import connectDB from '../connect.js';
+import { purgeTrash } from '../utils/trash.js';
+
+// --days=N remplace la durée de rétention configurée (TRASH_RETENTION_DAYS)
+const parseDays = (args) => {
+    const arg = args.find((value) => value.startsWith('--days='));
+    if (!arg) return config.trashRetentionDays;
+    const days = Number(arg.slice('--days='.length));
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`Invalid retention "${arg}", expected a number of days`);
+    }
+    return days;
+};
+
+// Exécuter la purge si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        const options = {
+            retentionDays: parseDays(process.argv),
+            archive: process.argv.includes('--archive'),
+            dryRun: process.argv.includes('--dry-run')
+        };
+        await connectDB();
+        const purged = await purgeTrash(options);
+        console.log(`Pokémons supprimés depuis plus de ${options.retentionDays} jours ${options.dryRun ? 'à purger' : 'purgés'} : ${purged.length}`);
+        purged.forEach(({ id, deletedAt }) => console.log(`  - pokémon ${id} (supprimé le ${deletedAt.toISOString()})`));
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors de la purge de la corbeille :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default purgeTrash;
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import pokemon from '../schema/pokemon.js';
+import move from '../schema/move.js';
+import connectDB from '../connect.js';
+import pokemonsList from './pokemonsList.js';
+import movesList from './movesList.js';
+import learnsetsList from './learnsetsList.js';
+import { pokemonImagePath } from '../utils/url.js';
+
+// Options acceptées par la commande de seed
+const OPTIONS = {
+    '--reset': 'reset',
+    '--upsert': 'upsert',
+    '--dry-run': 'dryRun'
+};
+
+const parseArgs = (argv) => {
+    const options = { reset: false, upsert: false, dryRun: false };
+    for (const arg of argv) {
+        if (!OPTIONS[arg]) {
+            throw new Error(`Unknown option "${arg}" (expected ${Object.keys(OPTIONS).join(', ')})`);
+        }
+        options[OPTIONS[arg]] = true;
+    }
+    return options;
+};
+
+// Valide chaque entrée contre le schéma du modèle, plus les vérifications
+// propres à l'entrée (`check` renvoie des messages d'erreur)
+const prepareEntries = (model, entries, toDocument, check = () => []) => {
+    const valid = [];
+    const invalid = [];
+
+    for (const entry of entries) {
+        const data = toDocument(entry);
+        const error = new model(data).validateSync();
+        const errors = [...(error ? Object.values(error.errors).map((e) => e.message) : []), ...check(entry)];
+
+        if (errors.length > 0) {
+            invalid.push({ id: entry.id, errors });
+        } else {
+            valid.push(data);
+        }
+    }
+
+    return { valid, invalid };
+};
+
+// Pokémons de pokemonsList.js avec leur learnset ; l'image est réécrite en
+// chemin relatif (l'URL absolue est calculée à chaque réponse) et les
+// évolutions et capacités doivent exister dans le jeu de données
+const preparePokemons = () => {
+    const pokemonIds = new Set(pokemonsList.map((entry) => entry.id));
+    const moveIds = new Set(movesList.map((entry) => entry.id));
+
+    return prepareEntries(
+        pokemon,
+        pokemonsList,
+        (entry) => ({
+            ...entry,
+            learnset: learnsetsList[entry.id] || [],
+            image: pokemonImagePath(entry.id),
+            origin: 'official',
+            createdBy: null
+        }),
+        (entry) => [
+            ...(entry.evolutions || [])
+                .filter((evolution) => !pokemonIds.has(evolution.id))
+                .map((evolution) => `Evolution target ${evolution.id} does not exist`),
+            ...(learnsetsList[entry.id] || [])
+                .filter((learned) => !moveIds.has(learned.move))
+                .map((learned) => `Move ${learned.move} does not exist`)
+        ]
+    );
+};
+
+const prepareMoves = () => prepareEntries(move, movesList, (entry) => ({ ...entry }));
+
+/**
+ * Écrit les entrées valides dans la collection du modèle (clé : `id`).
+ * - reset : vide la collection avant l'insertion
+ * - upsert : met à jour les documents déjà présents au lieu de les ignorer
+ * - dryRun : calcule le rapport sans rien écrire en base
+ */
+const seedCollection = async (model, { valid, invalid }, { reset = false, upsert = false, dryRun = false }) => {
+    const report = { deleted: 0, inserted: 0, updated: 0, skipped: invalid.length, invalid };
+
+    if (reset) {
+        report.deleted = await model.countDocuments({}, { withDeleted: true });
+        if (!dryRun) await model.deleteMany({});
+    }
+
+    const existingIds = new Set();
+    if (!reset) {
+        // Les pokémons de la corbeille occupent toujours leur id
+        const existing = await model.find({}, { id: 1 }, { withDeleted: true }).lean();
+        existing.forEach((doc) => existingIds.add(doc.id));
+    }
+
+    const operations = [];
+    for (const data of valid) {
+        if (!existingIds.has(data.id)) {
+            operations.push({ insertOne: { document: data } });
+            report.inserted++;
+        } else if (upsert) {
+            operations.push({ updateOne: { filter: { id: data.id }, update: { $set: data } } });
+            report.updated++;
+        } else {
+            report.skipped++;
+        }
+    }
+
+    if (!dryRun && operations.length > 0) {
+        await model.bulkWrite(operations, { ordered: false });
+    }
+
+    return report;
+};
+
+/**
+ * Peuple les collections `move` (data/movesList.js) et `pokemon`
+ * (data/pokemonsList.js et data/learnsetsList.js) avec les mêmes options.
+ */
+const seedDatabase = async (options = {}) => ({
+    moves: await seedCollection(move, prepareMoves(), options),
+    pokemons: await seedCollection(pokemon, preparePokemons(), options)
+});
+
+const printReport = (reports, { dryRun }) => {
+    console.log(dryRun ? 'Seed (dry-run) : aucune écriture effectuée' : 'Seed terminé');
+    for (const [collection, report] of Object.entries(reports)) {
+        console.log(`${collection} :`);
+        if (report.deleted) console.log(`  supprimés : ${report.deleted}`);
+        console.log(`  insérés   : ${report.inserted}`);
+        console.log(`  mis à jour: ${report.updated}`);
+        console.log(`  ignorés   : ${report.skipped}`);
+        report.invalid.forEach(({ id, errors }) => {
+            console.log(`  - ${collection} ${id} invalide : ${errors.join('; ')}`);
+        });
+    }
+};
+
+// Exécuter le seed si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        await connectDB();
+        const report = await seedDatabase(options);
+        printReport(report, options);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors du seed :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default seedDatabase;
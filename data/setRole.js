@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import user, { ROLES } from '../schema/user.js';
+import connectDB from '../connect.js';
+
+/**
+ * Attribue un rôle à un utilisateur existant. Sert notamment à créer le
+ * premier admin : `npm run set-role -- <username> admin`.
+ */
+const setRole = async (username, role) => {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}" (expected ${ROLES.join(', ')})`);
+    }
+    const updatedUser = await user.findOneAndUpdate({ username }, { role }, { new: true });
+    if (!updatedUser) {
+        throw new Error(`User "${username}" not found`);
+    }
+    return updatedUser;
+};
+
+// Exécuter la commande si le fichier est appelé directement
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const [username, role] = process.argv.slice(2);
+    try {
+        await connectDB();
+        const updatedUser = await setRole(username, role);
+        console.log(`Rôle de ${updatedUser.username} : ${updatedUser.role}`);
+        await mongoose.disconnect();
+    } catch (error) {
+        console.error('Erreur lors du changement de rôle :', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+}
+
+export default setRole;
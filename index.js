@@ -1,70 +1,189 @@
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
+import config, { missingServerSettings } from './config.js';
 import pokemon from './schema/pokemon.js';
-import './connect.js';
+import revision from './schema/revision.js';
+import move from './schema/move.js';
+import { nextSequence } from './schema/counter.js';
+import { BASE_STAT_TOTAL, parsePokemonListQuery, QueryError } from './utils/pokemonQuery.js';
+import { BASE_STAT_TOTAL_FIELD } from './utils/constants.js';
+import { searchPokemons } from './utils/search.js';
+import { getDefensiveProfile } from './utils/types.js';
+import {
+    ImageError,
+    MAX_IMAGE_SIZE,
+    archiveImageVersion,
+    commitImage,
+    discardImage,
+    restoreImageVersion,
+    stageImage
+} from './utils/images.js';
+import { fetchRemoteImage } from './utils/remoteImage.js';
+import { formatPokemon, formatPokemons } from './utils/format.js';
+import { PatchError, applyJsonPatch, applyMergePatch } from './utils/patch.js';
+import { purgeDate } from './utils/trash.js';
+import { applySnapshot, pokemonSnapshot, recordRevision } from './utils/history.js';
+import { buildEvolutionChain, evolutionErrors } from './utils/evolution.js';
+import { FRENCH_NATURES, NATURES, computeStatRanges, computeStats } from './utils/stats.js';
+import { pokemonImagePath, toAbsoluteUrl } from './utils/url.js';
+import typesRouter from './routes/types.js';
+import battlesRouter from './routes/battles.js';
+import teamsRouter from './routes/teams.js';
+import authRouter from './routes/auth.js';
+import trashRouter from './routes/trash.js';
+import movesRouter from './routes/moves.js';
+import statsRouter from './routes/stats.js';
+import { canModifyPokemon, requireAuth, requireRole } from './middleware/auth.js';
+import { loadStatDistribution } from './middleware/statDistribution.js';
+import { modelErrorDetails, sendValidationError, validate, zodErrorDetails } from './middleware/validate.js';
+import {
+    createPokemonSchema,
+    historySchema,
+    jsonPatchSchema,
+    listPokemonsSchema,
+    mergePatchSchema,
+    patchedPokemonSchema,
+    pokemonIdSchema,
+    pokemonNameSchema,
+    pokemonStatsSchema,
+    replaceImageSchema,
+    revertPokemonSchema,
+    searchPokemonsSchema,
+    updatePokemonSchema
+} from './validation/pokemon.js';
+import { pokemonMovesSchema } from './validation/move.js';
+import connectDB from './connect.js';
 
 // Configuration pour ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const missingSettings = missingServerSettings();
+if (missingSettings.length > 0) {
+    console.error(`Missing environment variables: ${missingSettings.join(', ')} (see .env.example, or set NODE_ENV=development)`);
+    process.exit(1);
+}
+
+connectDB();
+
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
-// Configuration de multer pour l'upload d'images
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const dir = path.join(__dirname, 'assets', 'pokemons');
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-        cb(null, dir);
-    },
-    filename: (req, file, cb) => {
-        // Nom temporaire, sera renommé après avec l'ID du pokémon
-        cb(null, 'temp_' + Date.now() + '.png');
-    }
+// Configuration de multer pour l'upload d'images (gardées en mémoire le temps
+// d'être vérifiées et ré-encodées)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1 }
 });
-const upload = multer({ storage });
+
+// Image reçue en upload ou par URL http(s) validée (adresses privées refusées),
+// vérifiée et ré-encodée dans des fichiers temporaires ; null si aucune image n'est fournie
+const stageRequestImage = async (file, url) => {
+    if (file) return stageImage(file.buffer);
+    if (url) return stageImage(await fetchRemoteImage(url));
+    return null;
+};
+
+const sendMissingImage = (res) => sendValidationError(res, [
+    { location: 'body', field: 'imageFile', code: 'missing_image', message: 'Provide an imageFile upload or an image URL' }
+]);
+
+const sendImageError = (req, res, error) => sendValidationError(res, [
+    { location: 'body', field: req.file ? 'imageFile' : 'image', code: error.code, message: error.message }
+]);
 
 app.use(cors());
-app.use(express.json());
+// application/json, mais aussi application/merge-patch+json et application/json-patch+json
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
+app.use('/types', typesRouter);
+app.use('/battles', battlesRouter);
+app.use('/teams', teamsRouter);
+app.use('/auth', authRouter);
+app.use('/trash', trashRouter);
+app.use('/moves', movesRouter);
+app.use('/stats', statsRouter);
 
-// Route GET - Liste paginée des pokémons
-app.get('/pokemons', async (req, res) => {
+// Route GET - Liste paginée des pokémons (filtres, tri et projection)
+app.get('/pokemons', validate(listPokemonsSchema), loadStatDistribution, async (req, res) => {
     try {
-        const page = parseInt(req.query.page, 10) || 1;
-        const limit = parseInt(req.query.limit, 10) || 20;
+        const { page, limit } = req.validated.query;
         const skip = (page - 1) * limit;
+        const { filter, sort, projection, filters, fields } = parsePokemonListQuery(req.validated.query);
 
-        const pokemons = await pokemon.find({}).sort({ id: 1 }).skip(skip).limit(limit);
-        const total = await pokemon.countDocuments();
+        // Agrégation pour pouvoir trier et filtrer sur le total calculé ;
+        // le learnset reste exclu comme avec find()
+        const isInclusion = projection && Object.values(projection).some(Boolean);
+        const [{ data: pokemons, count }] = await pokemon.aggregate([
+            { $addFields: { [BASE_STAT_TOTAL_FIELD]: BASE_STAT_TOTAL } },
+            { $match: filter },
+            {
+                $facet: {
+                    data: [
+                        { $sort: sort },
+                        { $skip: skip },
+                        { $limit: limit },
+                        { $project: isInclusion ? projection : { ...projection, learnset: 0 } }
+                    ],
+                    count: [{ $count: 'value' }]
+                }
+            }
+        ]);
+        const total = count[0]?.value ?? 0;
         const totalPages = Math.ceil(total / limit);
 
         res.json({
-            data: pokemons,
+            data: formatPokemons(req, pokemons),
             pagination: {
                 currentPage: page,
                 totalPages,
                 totalPokemons: total,
                 limit,
                 hasNextPage: page < totalPages,
-                hasPrevPage: page > 1
+                hasPrevPage: page > 1,
+                filters,
+                sort,
+                fields
             }
         });
+    } catch (error) {
+        if (error instanceof QueryError) {
+            return sendValidationError(res, [
+                { location: 'query', field: error.field, code: 'invalid_value', message: error.message }
+            ]);
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Recherche floue sur les noms dans les quatre langues
+app.get('/pokemons/search', validate(searchPokemonsSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const { q, limit } = req.validated.query;
+
+        const pokemons = await pokemon.find({}).sort({ id: 1 });
+        const { total, results } = searchPokemons(pokemons, q, { limit });
+
+        res.json({
+            query: q,
+            total,
+            data: results.map((result) => ({ ...result, pokemon: formatPokemon(req, result.pokemon) }))
+        });
     } catch (error) {
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
 // Route GET - Pokémon par ID
-app.get('/pokemons/:id', async (req, res) => {
+app.get('/pokemons/:id', validate(pokemonIdSchema), loadStatDistribution, async (req, res) => {
     try {
-        const pokeId = parseInt(req.params.id, 10);
+        const pokeId = req.validated.params.id;
         const poke = await pokemon.findOne({ id: pokeId });
         if (poke) {
-            res.json(poke);
+            res.json(formatPokemon(req, poke));
         } else {
             res.status(404).json({ error: 'Pokemon not found' });
         }
@@ -73,15 +192,99 @@ app.get('/pokemons/:id', async (req, res) => {
     }
 });
 
+// Route GET - Faiblesses et résistances d'un pokémon selon ses types
+app.get('/pokemons/:id/weaknesses', validate(pokemonIdSchema), async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const poke = await pokemon.findOne({ id: pokeId });
+        if (!poke) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+
+        const { multipliers, groups } = getDefensiveProfile(poke.type);
+        res.json({ id: poke.id, name: poke.name, type: poke.type, weaknesses: groups, multipliers });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Chaîne d'évolution complète d'un pokémon (avec ses embranchements)
+app.get('/pokemons/:id/evolutions', validate(pokemonIdSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const poke = await pokemon.findOne({ id: pokeId });
+        if (!poke) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+
+        // Résumé de chaque étape, avec les mêmes champs calculés que les autres routes
+        const { stages, total, chain } = await buildEvolutionChain(poke, ({ id, name, type, base, image }) => (
+            formatPokemon(req, { id, name, type, base, image })
+        ));
+        res.json({ id: poke.id, stages, total, chain });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Capacités qu'un pokémon peut apprendre (?method=level|tm|hm)
+app.get('/pokemons/:id/moves', validate(pokemonMovesSchema), async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const { method } = req.validated.query;
+        const poke = await pokemon.findOne({ id: pokeId }).select('+learnset');
+        if (!poke) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+
+        const learnset = poke.learnset.filter((entry) => !method || entry.method === method);
+        const moves = await move.find({ id: { $in: learnset.map((entry) => entry.move) } });
+        const byId = new Map(moves.map((found) => [found.id, found]));
+
+        const data = learnset
+            .filter((entry) => byId.has(entry.move))
+            .map(({ method: learnMethod, level, move: moveId }) => ({ method: learnMethod, level, move: byId.get(moveId) }));
+        res.json({ id: poke.id, name: poke.name, total: data.length, data });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Stats réelles d'un pokémon (?level=&ivs=&evs=&nature=&ranges=true)
+app.get('/pokemons/:id/stats', validate(pokemonStatsSchema), async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const { level, ivs, evs, nature, ranges } = req.validated.query;
+        const poke = await pokemon.findOne({ id: pokeId });
+        if (!poke) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+
+        res.json({
+            id: poke.id,
+            name: poke.name,
+            level,
+            nature: { name: nature, french: FRENCH_NATURES[nature], ...NATURES[nature] },
+            ivs,
+            evs,
+            base: poke.base,
+            stats: computeStats(poke.base, { level, ivs, evs, nature }),
+            ...(ranges && { ranges: computeStatRanges(poke.base, level) })
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 // Route GET - Pokémon par nom
-app.get('/pokemons/name/:name', async (req, res) => {
+app.get('/pokemons/name/:name', validate(pokemonNameSchema), loadStatDistribution, async (req, res) => {
     try {
-        const pokeName = req.params.name;
+        const pokeName = req.validated.params.name;
         const poke = await pokemon.findOne({
             $or: [{ 'name.english': pokeName }, { 'name.french': pokeName }]
         });
         if (poke) {
-            res.json(poke);
+            res.json(formatPokemon(req, poke));
         } else {
             res.status(404).json({ error: 'Pokemon not found' });
         }
@@ -90,142 +293,394 @@ app.get('/pokemons/name/:name', async (req, res) => {
     }
 });
 
-// Route DELETE - Supprimer un pokémon
-app.delete('/pokemons/:id', async (req, res) => {
+// Route DELETE - Mettre un pokémon à la corbeille (ses images sont conservées
+// jusqu'à la purge, voir routes/trash.js)
+app.delete('/pokemons/:id', requireAuth, validate(pokemonIdSchema), loadStatDistribution, async (req, res) => {
     try {
-        const pokeId = parseInt(req.params.id, 10);
-        const deletedPoke = await pokemon.findOneAndDelete({ id: pokeId });
-        if (deletedPoke) {
-            res.json({ message: 'Pokemon deleted successfully', pokemon: deletedPoke });
-        } else {
-            res.status(404).json({ error: 'Pokemon not found' });
+        const pokeId = req.validated.params.id;
+        const existingPokemon = await pokemon.findOne({ id: pokeId });
+        if (!existingPokemon) {
+            return res.status(404).json({ error: 'Pokemon not found' });
         }
+        if (!canModifyPokemon(req.user, existingPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to delete this pokemon' });
+        }
+
+        existingPokemon.deletedAt = new Date();
+        existingPokemon.deletedBy = req.user._id;
+        const deletedPokemon = await existingPokemon.save();
+        const snapshot = pokemonSnapshot(deletedPokemon);
+        await recordRevision({ pokemonId: pokeId, action: 'delete', actor: req.user._id, before: snapshot, after: snapshot });
+        res.json({
+            message: 'Pokemon moved to trash',
+            pokemon: formatPokemon(req, deletedPokemon),
+            purgeAfter: purgeDate(deletedPokemon.deletedAt, config.trashRetentionDays)
+        });
     } catch (error) {
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
-// Route POST - Créer un nouveau pokémon (supporte upload fichier ou URL)
-app.post('/pokemons', upload.single('imageFile'), async (req, res) => {
+// Route POST - Restaurer un pokémon de la corbeille
+app.post('/pokemons/:id/restore', requireAuth, validate(pokemonIdSchema), loadStatDistribution, async (req, res) => {
     try {
-        const { name, type, base, image } = req.body;
-        const parsedName = typeof name === 'string' ? JSON.parse(name) : name;
-        const parsedType = typeof type === 'string' ? JSON.parse(type) : type;
-        const parsedBase = typeof base === 'string' ? JSON.parse(base) : base;
-
-        if (!parsedName || !parsedName.french || !parsedType || !parsedBase) {
-            return res.status(400).json({ error: 'Missing required fields (name.french, type, base)' });
+        const pokeId = req.validated.params.id;
+        const deletedPokemon = await pokemon.findOne({ id: pokeId, deletedAt: { $ne: null } });
+        if (!deletedPokemon) {
+            return res.status(404).json({ error: 'Pokemon not found in trash' });
+        }
+        if (!canModifyPokemon(req.user, deletedPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to restore this pokemon' });
         }
 
-        // Générer le prochain ID
-        const lastPokemon = await pokemon.findOne({}).sort({ id: -1 });
-        const newId = lastPokemon ? lastPokemon.id + 1 : 1;
+        deletedPokemon.deletedAt = null;
+        deletedPokemon.deletedBy = null;
+        const restoredPokemon = await deletedPokemon.save();
+        const snapshot = pokemonSnapshot(restoredPokemon);
+        await recordRevision({ pokemonId: pokeId, action: 'restore', actor: req.user._id, before: snapshot, after: snapshot });
+        res.json({ message: 'Pokemon restored successfully', pokemon: formatPokemon(req, restoredPokemon) });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
 
-        // Gestion de l'image
-        const pokemonsDir = path.join(__dirname, 'assets', 'pokemons');
-        const imagePath = path.join(pokemonsDir, `${newId}.png`);
+// Route POST - Créer un nouveau pokémon (supporte upload fichier ou URL)
+app.post('/pokemons', requireAuth, requireRole('creator', 'admin'), upload.single('imageFile'), validate(createPokemonSchema), loadStatDistribution, async (req, res) => {
+    let stagedImage = null;
+    try {
+        const { name, type, base, evolutions, image, ...profile } = req.validated.body;
 
-        if (!fs.existsSync(pokemonsDir)) {
-            fs.mkdirSync(pokemonsDir, { recursive: true });
+        const evolutionDetails = await evolutionErrors(null, evolutions);
+        if (evolutionDetails.length > 0) {
+            return sendValidationError(res, evolutionDetails);
         }
 
-        if (req.file) {
-            // Fichier uploadé depuis l'ordinateur : renommer avec l'ID
-            fs.renameSync(req.file.path, imagePath);
-        } else if (image && image.startsWith('http')) {
-            // Télécharger l'image depuis une URL
-            try {
-                const response = await fetch(image, {
-                    headers: { 'User-Agent': 'Mozilla/5.0' }
-                });
-                if (response.ok) {
-                    const buffer = Buffer.from(await response.arrayBuffer());
-                    fs.writeFileSync(imagePath, buffer);
-                }
-            } catch (imgError) {
-                // Ignorer les erreurs d'image
-            }
+        // Vérifier et ré-encoder l'image avant de réserver un ID : un pokémon
+        // n'est jamais enregistré avec un chemin vers une image inexistante
+        stagedImage = await stageRequestImage(req.file, image);
+        if (!stagedImage) {
+            return sendMissingImage(res);
         }
 
+        // Réserver le prochain ID de façon atomique
+        const lastPokemon = await pokemon.findOne({}, { id: 1 }, { withDeleted: true }).sort({ id: -1 });
+        const newId = await nextSequence('pokemon', lastPokemon ? lastPokemon.id : 0);
+
         // Créer le pokémon
         const newPokemon = new pokemon({
             id: newId,
-            name: { french: parsedName.french },
-            type: parsedType,
-            base: {
-                HP: parsedBase.HP || 50,
-                Attack: parsedBase.Attack || 50,
-                Defense: parsedBase.Defense || 50,
-                SpecialAttack: parsedBase.SpecialAttack || 50,
-                SpecialDefense: parsedBase.SpecialDefense || 50,
-                Speed: parsedBase.Speed || 50
-            },
-            image: `http://localhost:3000/assets/pokemons/${newId}.png`
+            name,
+            type,
+            base,
+            ...profile,
+            evolutions,
+            image: pokemonImagePath(newId),
+            origin: 'custom',
+            createdBy: req.user._id
         });
 
         const savedPokemon = await newPokemon.save();
-        res.status(201).json({ message: 'Pokemon created successfully', pokemon: savedPokemon });
+
+        // L'image ne prend son nom définitif qu'une fois le document enregistré
+        try {
+            await commitImage(stagedImage, newId);
+            stagedImage = null;
+        } catch (imageError) {
+            await pokemon.deleteOne({ _id: savedPokemon._id });
+            throw imageError;
+        }
+
+        await recordRevision({ pokemonId: newId, action: 'create', actor: req.user._id, after: pokemonSnapshot(savedPokemon) });
+        res.status(201).json({ message: 'Pokemon created successfully', pokemon: formatPokemon(req, savedPokemon) });
     } catch (error) {
+        await discardImage(stagedImage);
+        if (error instanceof ImageError) {
+            return sendImageError(req, res, error);
+        }
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
-// Route PUT - Modifier un pokémon
-app.put('/pokemons/:id', async (req, res) => {
+// Route PUT/PATCH - Remplacer l'image d'un pokémon (upload fichier ou URL)
+// L'ancienne image est archivée et l'URL renvoyée change à chaque version
+const replacePokemonImage = async (req, res) => {
+    let stagedImage = null;
     try {
-        const pokeId = parseInt(req.params.id, 10);
+        const pokeId = req.validated.params.id;
+        const existingPokemon = await pokemon.findOne({ id: pokeId });
+        if (!existingPokemon) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+        if (!canModifyPokemon(req.user, existingPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to modify this pokemon' });
+        }
+
+        stagedImage = await stageRequestImage(req.file, req.validated.body.image);
+        if (!stagedImage) {
+            return sendMissingImage(res);
+        }
+
+        const previous = await archiveImageVersion(pokeId);
+        try {
+            await commitImage(stagedImage, pokeId);
+            stagedImage = null;
+        } catch (imageError) {
+            await restoreImageVersion(previous);
+            throw imageError;
+        }
 
-        if (!req.body || Object.keys(req.body).length === 0) {
-            return res.status(400).json({ error: 'Request body is empty or missing' });
+        const image = `${pokemonImagePath(pokeId)}?v=${Date.now()}`;
+        const updatedPokemon = await pokemon.findOneAndUpdate({ id: pokeId }, { image }, { new: true });
+        await recordRevision({
+            pokemonId: pokeId,
+            action: 'update',
+            actor: req.user._id,
+            before: pokemonSnapshot(existingPokemon),
+            after: pokemonSnapshot(updatedPokemon)
+        });
+        res.json({
+            message: 'Pokemon image updated successfully',
+            image: toAbsoluteUrl(req, image),
+            previousVersion: previous.files.length > 0 ? previous.version : null,
+            pokemon: formatPokemon(req, updatedPokemon)
+        });
+    } catch (error) {
+        await discardImage(stagedImage);
+        if (error instanceof ImageError) {
+            return sendImageError(req, res, error);
         }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
 
-        const { name, type, base, image } = req.body;
+app.route('/pokemons/:id/image')
+    .put(requireAuth, upload.single('imageFile'), validate(replaceImageSchema), loadStatDistribution, replacePokemonImage)
+    .patch(requireAuth, upload.single('imageFile'), validate(replaceImageSchema), loadStatDistribution, replacePokemonImage);
+
+// Route PUT - Modifier un pokémon
+app.put('/pokemons/:id', requireAuth, validate(updatePokemonSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const { name, type, base, abilities, height, weight, category, flavorText, evolutions } = req.validated.body;
 
         const existingPokemon = await pokemon.findOne({ id: pokeId });
         if (!existingPokemon) {
             return res.status(404).json({ error: 'Pokemon not found' });
         }
+        if (!canModifyPokemon(req.user, existingPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to modify this pokemon' });
+        }
+
+        const evolutionDetails = await evolutionErrors(pokeId, evolutions);
+        if (evolutionDetails.length > 0) {
+            return sendValidationError(res, evolutionDetails);
+        }
 
         // Construire les données de mise à jour
         const updateData = {};
 
-        if (name) {
-            updateData.name = {
-                english: name.english || existingPokemon.name.english,
-                japanese: name.japanese || existingPokemon.name.japanese,
-                chinese: name.chinese || existingPokemon.name.chinese,
-                french: name.french || existingPokemon.name.french
-            };
-        }
+        // Seuls les champs envoyés remplacent les valeurs existantes
+        const current = existingPokemon.toObject();
+        if (name) updateData.name = { ...current.name, ...name };
 
         if (type) updateData.type = type;
 
-        if (base) {
-            updateData.base = {
-                HP: base.HP || existingPokemon.base.HP,
-                Attack: base.Attack || existingPokemon.base.Attack,
-                Defense: base.Defense || existingPokemon.base.Defense,
-                SpecialAttack: base.SpecialAttack || existingPokemon.base.SpecialAttack,
-                SpecialDefense: base.SpecialDefense || existingPokemon.base.SpecialDefense,
-                Speed: base.Speed || existingPokemon.base.Speed
-            };
-        }
+        if (base) updateData.base = { ...current.base, ...base };
+
+        if (abilities) updateData.abilities = abilities;
+
+        if (height !== undefined) updateData.height = height;
+
+        if (weight !== undefined) updateData.weight = weight;
 
-        if (image) updateData.image = image;
+        if (category) updateData.category = { ...current.category, ...category };
+
+        if (flavorText) updateData.flavorText = { ...current.flavorText, ...flavorText };
+
+        if (evolutions) updateData.evolutions = evolutions;
 
         const updatedPokemon = await pokemon.findOneAndUpdate(
             { id: pokeId },
             updateData,
-            { new: true }
+            { new: true, runValidators: true }
         );
 
-        res.json({ message: 'Pokemon updated successfully', pokemon: updatedPokemon });
+        await recordRevision({
+            pokemonId: pokeId,
+            action: 'update',
+            actor: req.user._id,
+            before: pokemonSnapshot(existingPokemon),
+            after: pokemonSnapshot(updatedPokemon)
+        });
+        res.json({ message: 'Pokemon updated successfully', pokemon: formatPokemon(req, updatedPokemon) });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
+// Route GET - Historique des révisions d'un pokémon (y compris dans la corbeille)
+app.get('/pokemons/:id/history', requireAuth, validate(historySchema), async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const { page, limit } = req.validated.query;
+        if (!(await pokemon.exists({ id: pokeId }).setOptions({ withDeleted: true }))) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+
+        const revisions = await revision.find({ pokemonId: pokeId })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('actor', 'username');
+        const total = await revision.countDocuments({ pokemonId: pokeId });
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            pokemonId: pokeId,
+            data: revisions,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalRevisions: total,
+                limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Revenir à l'état d'un pokémon enregistré dans une révision
+app.post('/pokemons/:id/history/:revisionId/revert', requireAuth, validate(revertPokemonSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const { id: pokeId, revisionId } = req.validated.params;
+        const existingPokemon = await pokemon.findOne({ id: pokeId });
+        if (!existingPokemon) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+        if (!canModifyPokemon(req.user, existingPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to modify this pokemon' });
+        }
+
+        const target = await revision.findOne({ _id: revisionId, pokemonId: pokeId });
+        if (!target) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        // Les fichiers d'image ne sont pas versionnés avec la révision : l'image actuelle est conservée
+        const evolutionDetails = await evolutionErrors(pokeId, target.snapshot.evolutions);
+        if (evolutionDetails.length > 0) {
+            return sendValidationError(res, evolutionDetails);
+        }
+        const before = pokemonSnapshot(existingPokemon);
+        applySnapshot(existingPokemon, target.snapshot, { exclude: ['image'] });
+        const revertedPokemon = await existingPokemon.save();
+        const created = await recordRevision({
+            pokemonId: pokeId,
+            action: 'revert',
+            actor: req.user._id,
+            before,
+            after: pokemonSnapshot(revertedPokemon),
+            revertedFrom: target._id
+        });
+
+        res.json({ message: 'Pokemon reverted successfully', revision: created, pokemon: formatPokemon(req, revertedPokemon) });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Formats acceptés par PATCH /pokemons/:id (application/json est traité en merge-patch)
+const PATCH_FORMATS = {
+    'application/merge-patch+json': 'merge',
+    'application/json': 'merge',
+    'application/json-patch+json': 'json-patch'
+};
+
+// Choisit le format du patch d'après le Content-Type (415 sinon) puis valide le corps
+const validatePatch = (req, res, next) => {
+    const format = PATCH_FORMATS[(req.get('content-type') || '').split(';')[0].trim().toLowerCase()];
+    if (!format) {
+        res.set('Accept-Patch', 'application/merge-patch+json, application/json-patch+json');
+        return res.status(415).json({ error: 'Unsupported patch format' });
+    }
+    req.patchFormat = format;
+    validate(format === 'merge' ? mergePatchSchema : jsonPatchSchema)(req, res, next);
+};
+
+// Route PATCH - Modification partielle d'un pokémon (merge-patch RFC 7396 ou
+// JSON Patch RFC 6902) ; le document obtenu est validé en entier
+app.patch('/pokemons/:id', requireAuth, validatePatch, loadStatDistribution, async (req, res) => {
+    try {
+        const pokeId = req.validated.params.id;
+        const existingPokemon = await pokemon.findOne({ id: pokeId });
+        if (!existingPokemon) {
+            return res.status(404).json({ error: 'Pokemon not found' });
+        }
+        if (!canModifyPokemon(req.user, existingPokemon)) {
+            return res.status(403).json({ error: 'You are not allowed to modify this pokemon' });
+        }
+
+        // Seuls les champs modifiables sont exposés au patch (id, origin, createdBy... sont
+        // refusés) ; l'image ne se change que via /pokemons/:id/image
+        const before = pokemonSnapshot(existingPokemon);
+        const { image, ...current } = before;
+        const patched = req.patchFormat === 'merge'
+            ? applyMergePatch(current, req.validated.body)
+            : applyJsonPatch(current, req.validated.body);
+
+        const result = patchedPokemonSchema.safeParse(patched);
+        if (!result.success) {
+            return sendValidationError(res, zodErrorDetails(result.error));
+        }
+        const evolutionDetails = await evolutionErrors(pokeId, result.data.evolutions);
+        if (evolutionDetails.length > 0) {
+            return sendValidationError(res, evolutionDetails);
+        }
+
+        applySnapshot(existingPokemon, result.data, { exclude: ['image'] });
+        const updatedPokemon = await existingPokemon.save();
+        await recordRevision({ pokemonId: pokeId, action: 'update', actor: req.user._id, before, after: pokemonSnapshot(updatedPokemon) });
+        res.json({ message: 'Pokemon updated successfully', pokemon: formatPokemon(req, updatedPokemon) });
+    } catch (error) {
+        if (error instanceof PatchError) {
+            const details = [{ location: 'body', field: error.path, code: error.code, message: error.message }];
+            // Une opération "test" qui échoue signale un conflit avec l'état actuel
+            if (error.code === 'test_failed') {
+                return res.status(409).json({ error: 'Patch test failed', details });
+            }
+            return sendValidationError(res, details);
+        }
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Corps JSON ou multipart mal formé : 400 au même format que les erreurs de validation
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ location: 'body', field: '', code: 'invalid_json', message: 'Malformed JSON body' }]);
+    }
+    if (error instanceof multer.MulterError) {
+        return sendValidationError(res, [{ location: 'body', field: error.field || '', code: error.code, message: error.message }]);
+    }
+    next(error);
+});
+
 // Démarrage du serveur
-app.listen(3000, () => {
-    console.log('Server running on http://localhost:3000');
+app.listen(config.port, () => {
+    console.log(`Server running on port ${config.port}`);
 });
\ No newline at end of file
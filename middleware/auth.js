@@ -0,0 +1,56 @@
+import user from '../schema/user.js';
+import { verifyAccessToken } from '../utils/auth.js';
+
+/**
+ * Exige un access token valide dans l'en-tête `Authorization: Bearer <token>`
+ * et expose l'utilisateur correspondant dans `req.user`.
+ */
+export const requireAuth = async (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        const currentUser = await user.findById(payload.sub);
+        if (!currentUser) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        req.user = currentUser;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// À utiliser après requireAuth : restreint la route à certains rôles
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+};
+
+// Une équipe n'est modifiable que par son propriétaire ou un admin (seul à
+// pouvoir toucher aux équipes dont le propriétaire n'a pas été migré)
+export const canModifyTeam = (currentUser, foundTeam) => {
+    if (currentUser.role === 'admin') return true;
+    return typeof foundTeam.owner?.equals === 'function' && foundTeam.owner.equals(currentUser._id);
+};
+
+/**
+ * Un admin peut tout modifier ; un creator uniquement les pokémons
+ * personnalisés qu'il a lui-même créés ; un viewer rien.
+ */
+export const canModifyPokemon = (currentUser, poke) => {
+    if (currentUser.role === 'admin') return true;
+    if (currentUser.role !== 'creator' || poke.origin === 'official') return false;
+    return Boolean(poke.createdBy) && poke.createdBy.equals(currentUser._id);
+};
@@ -0,0 +1,17 @@
+import { getStatDistribution } from '../utils/percentiles.js';
+
+/**
+ * Expose dans `req.statDistribution` la répartition des stats de tous les
+ * pokémons, utilisée par formatPokemon pour calculer les rangs centiles. À
+ * placer sur toutes les routes qui renvoient des pokémons, écritures
+ * comprises (la répartition, en cache, peut dater d'une minute) ; si
+ * l'agrégation échoue, la réponse est envoyée sans les rangs centiles.
+ */
+export const loadStatDistribution = async (req, res, next) => {
+    try {
+        req.statDistribution = await getStatDistribution();
+    } catch (error) {
+        req.statDistribution = null;
+    }
+    next();
+};
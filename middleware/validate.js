@@ -0,0 +1,61 @@
+const LOCATIONS = ['params', 'query', 'body'];
+
+// ['base', 'HP'] -> 'base.HP', ['type', 1] -> 'type[1]'
+const formatPath = (path) => path.reduce((field, key) => (
+    typeof key === 'number' ? `${field}[${key}]` : (field ? `${field}.${key}` : String(key))
+), '');
+
+// Une issue zod -> une ou plusieurs erreurs de champ
+const toFieldErrors = (location, issue) => {
+    const field = formatPath(issue.path);
+    if (issue.code === 'unrecognized_keys') {
+        return issue.keys.map((key) => ({
+            location,
+            field: field ? `${field}.${key}` : key,
+            code: issue.code,
+            message: 'Unknown field'
+        }));
+    }
+    return [{ location, field, code: issue.code, message: issue.message }];
+};
+
+// Erreurs d'une ZodError au format commun
+export const zodErrorDetails = (error, location = 'body') => error.issues.flatMap((issue) => toFieldErrors(location, issue));
+
+// Réponse 400 commune à toutes les erreurs de validation
+export const sendValidationError = (res, details) => res.status(400).json({ error: 'Validation failed', details });
+
+// Erreurs d'une ValidationError mongoose au même format
+export const modelErrorDetails = (error, location = 'body') => Object.values(error.errors).map((fieldError) => ({
+    location,
+    field: fieldError.path,
+    code: fieldError.kind,
+    message: fieldError.message
+}));
+
+/**
+ * Valide `params`, `query` et `body` avec des schémas zod déclarés par route.
+ * En cas d'échec, répond 400 avec la liste des erreurs par champ ; sinon les
+ * valeurs converties sont exposées dans `req.validated`.
+ */
+export const validate = (schemas) => (req, res, next) => {
+    const details = [];
+    const validated = {};
+
+    for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+        const result = schemas[location].safeParse(req[location] ?? {});
+        if (result.success) {
+            validated[location] = result.data;
+        } else {
+            details.push(...zodErrorDetails(result.error, location));
+        }
+    }
+
+    if (details.length > 0) {
+        return sendValidationError(res, details);
+    }
+
+    req.validated = validated;
+    next();
+};
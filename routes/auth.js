@@ -0,0 +1,104 @@
+import express from 'express';
+import user from '../schema/user.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { modelErrorDetails, sendValidationError, validate } from '../middleware/validate.js';
+import { hashPassword, issueTokens, verifyPassword, verifyRefreshToken } from '../utils/auth.js';
+import { loginSchema, refreshSchema, registerSchema, setRoleSchema } from '../validation/auth.js';
+
+const router = express.Router();
+
+// Route POST - Inscription
+router.post('/register', validate(registerSchema), async (req, res) => {
+    try {
+        const { username, password } = req.validated.body;
+        if (await user.exists({ username })) {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+
+        const newUser = await user.create({ username, passwordHash: await hashPassword(password) });
+        res.status(201).json({ message: 'User registered successfully', user: newUser, ...issueTokens(newUser) });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Connexion
+router.post('/login', validate(loginSchema), async (req, res) => {
+    try {
+        const { username, password } = req.validated.body;
+
+        const existingUser = await user.findOne({ username }).select('+passwordHash');
+        if (!existingUser || !(await verifyPassword(password, existingUser.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        res.json({ message: 'Logged in successfully', user: existingUser, ...issueTokens(existingUser) });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Nouvelle paire de tokens à partir d'un refresh token
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+    try {
+        const { refreshToken } = req.validated.body;
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const existingUser = await user.findById(payload.sub);
+        if (!existingUser || existingUser.tokenVersion !== payload.version) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json(issueTokens(existingUser));
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Déconnexion (révoque tous les refresh tokens de l'utilisateur)
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await user.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Utilisateur connecté
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
+// Route PUT - Changer le rôle d'un utilisateur (admin uniquement)
+router.put('/users/:username/role', requireAuth, requireRole('admin'), validate(setRoleSchema), async (req, res) => {
+    try {
+        const { params: { username }, body: { role } } = req.validated;
+
+        const updatedUser = await user.findOneAndUpdate(
+            { username },
+            { role },
+            { new: true }
+        );
+        if (!updatedUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ message: 'Role updated successfully', user: updatedUser });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import pokemon from '../schema/pokemon.js';
+import { validate } from '../middleware/validate.js';
+import { simulateBattle } from '../utils/battle.js';
+import { randomSeed } from '../utils/random.js';
+import { battleSchema } from '../validation/battle.js';
+
+const router = express.Router();
+
+// Route POST - Simuler un combat entre deux pokémons
+// Corps : { pokemon1: { id, level?, moves? }, pokemon2: { ... }, seed? }
+router.post('/', validate(battleSchema), async (req, res) => {
+    try {
+        const { pokemon1: first, pokemon2: second, seed = randomSeed() } = req.validated.body;
+
+        const [poke1, poke2] = await Promise.all([
+            pokemon.findOne({ id: first.id }),
+            pokemon.findOne({ id: second.id })
+        ]);
+        if (!poke1 || !poke2) {
+            return res.status(404).json({ error: `Pokemon not found: ${!poke1 ? first.id : second.id}` });
+        }
+
+        res.json(simulateBattle(poke1, first, poke2, second, seed));
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
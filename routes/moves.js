@@ -0,0 +1,58 @@
+import express from 'express';
+import move from '../schema/move.js';
+import pokemon from '../schema/pokemon.js';
+import { validate } from '../middleware/validate.js';
+import { listMovesSchema, moveIdSchema } from '../validation/move.js';
+
+const router = express.Router();
+
+// Route GET - Liste paginée des capacités (filtrable par type et catégorie)
+router.get('/', validate(listMovesSchema), async (req, res) => {
+    try {
+        const { page, limit, type, category } = req.validated.query;
+        const filter = {};
+        if (type) filter.type = type;
+        if (category) filter.category = category;
+
+        const moves = await move.find(filter).sort({ id: 1 }).skip((page - 1) * limit).limit(limit);
+        const total = await move.countDocuments(filter);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            data: moves,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalMoves: total,
+                limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Capacité par ID, avec les pokémons qui peuvent l'apprendre
+router.get('/:id', validate(moveIdSchema), async (req, res) => {
+    try {
+        const moveId = req.validated.params.id;
+        const found = await move.findOne({ id: moveId });
+        if (!found) {
+            return res.status(404).json({ error: 'Move not found' });
+        }
+
+        const learners = await pokemon.find({ 'learnset.move': moveId }, { id: 1, name: 1, learnset: 1 }).sort({ id: 1 });
+        res.json({
+            ...found.toJSON(),
+            learnedBy: learners.flatMap((learner) => learner.learnset
+                .filter((entry) => entry.move === moveId)
+                .map(({ method, level }) => ({ id: learner.id, name: learner.name, method, level })))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
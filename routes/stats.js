@@ -0,0 +1,32 @@
+import express from 'express';
+import { loadStatDistribution } from '../middleware/statDistribution.js';
+import { validate } from '../middleware/validate.js';
+import { summarizePokemons, topPokemons } from '../utils/aggregates.js';
+import { formatPokemons } from '../utils/format.js';
+import { statsSummarySchema, statsTopSchema } from '../validation/stats.js';
+
+const router = express.Router();
+
+// Route GET - Statistiques globales (?type=Water&bucketSize=100)
+router.get('/summary', validate(statsSummarySchema), async (req, res) => {
+    try {
+        const { type, bucketSize } = req.validated.query;
+        const summary = await summarizePokemons({ type, bucketSize });
+        res.json({ type: type ?? null, bucketSize, ...summary });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Classement par stat de base ou total (?stat=Attack&type=Fire&n=10)
+router.get('/top', validate(statsTopSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const { stat, type, n } = req.validated.query;
+        const pokemons = await topPokemons({ stat, type, n });
+        res.json({ stat, type: type ?? null, total: pokemons.length, data: formatPokemons(req, pokemons) });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
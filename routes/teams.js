@@ -0,0 +1,139 @@
+import express from 'express';
+import pokemon from '../schema/pokemon.js';
+import team from '../schema/team.js';
+import { canModifyTeam, requireAuth } from '../middleware/auth.js';
+import { modelErrorDetails, sendValidationError, validate } from '../middleware/validate.js';
+import { analyzeTeam } from '../utils/team.js';
+import { createTeamSchema, listTeamsSchema, teamIdSchema, updateTeamSchema } from '../validation/team.js';
+
+const router = express.Router();
+
+// Erreurs de champ pour les ids de pokémons qui n'existent pas
+const missingPokemonErrors = async (ids) => {
+    const existing = await pokemon.find({ id: { $in: ids } }, { id: 1 });
+    const existingIds = new Set(existing.map((p) => p.id));
+    return ids
+        .map((id, index) => ({ id, index }))
+        .filter(({ id }) => !existingIds.has(id))
+        .map(({ id, index }) => ({
+            location: 'body',
+            field: `pokemons[${index}]`,
+            code: 'not_found',
+            message: `Pokemon ${id} not found`
+        }));
+};
+
+// Route GET - Liste des équipes (filtrable par propriétaire)
+router.get('/', validate(listTeamsSchema), async (req, res) => {
+    try {
+        const { owner } = req.validated.query;
+        const filter = owner ? { owner } : {};
+        const teams = await team.find(filter).sort({ createdAt: -1 });
+        res.json({ data: teams });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Équipe par ID
+router.get('/:id', validate(teamIdSchema), async (req, res) => {
+    try {
+        const foundTeam = await team.findById(req.validated.params.id);
+        if (!foundTeam) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json(foundTeam);
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route GET - Analyse de couverture d'une équipe
+router.get('/:id/analysis', validate(teamIdSchema), async (req, res) => {
+    try {
+        const foundTeam = await team.findById(req.validated.params.id);
+        if (!foundTeam) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const members = await pokemon.find({ id: { $in: foundTeam.pokemons } });
+        const byId = new Map(members.map((member) => [member.id, member]));
+        // Un même pokémon peut apparaître plusieurs fois dans l'équipe
+        const teamMembers = foundTeam.pokemons.map((id) => byId.get(id)).filter(Boolean);
+
+        res.json({ team: foundTeam, analysis: analyzeTeam(teamMembers) });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Créer une équipe (appartenant à l'utilisateur connecté)
+router.post('/', requireAuth, validate(createTeamSchema), async (req, res) => {
+    try {
+        const { name, pokemons } = req.validated.body;
+
+        const missing = await missingPokemonErrors(pokemons);
+        if (missing.length > 0) {
+            return sendValidationError(res, missing);
+        }
+
+        const savedTeam = await team.create({ name, owner: req.user._id, pokemons });
+        res.status(201).json({ message: 'Team created successfully', team: savedTeam });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route PUT - Modifier une équipe
+router.put('/:id', requireAuth, validate(updateTeamSchema), async (req, res) => {
+    try {
+        const existingTeam = await team.findById(req.validated.params.id);
+        if (!existingTeam) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (!canModifyTeam(req.user, existingTeam)) {
+            return res.status(403).json({ error: 'You are not allowed to modify this team' });
+        }
+
+        const { name, pokemons } = req.validated.body;
+        if (pokemons !== undefined) {
+            const missing = await missingPokemonErrors(pokemons);
+            if (missing.length > 0) {
+                return sendValidationError(res, missing);
+            }
+            existingTeam.pokemons = pokemons;
+        }
+        if (name !== undefined) existingTeam.name = name;
+
+        const updatedTeam = await existingTeam.save();
+        res.json({ message: 'Team updated successfully', team: updatedTeam });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, modelErrorDetails(error));
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route DELETE - Supprimer une équipe
+router.delete('/:id', requireAuth, validate(teamIdSchema), async (req, res) => {
+    try {
+        const existingTeam = await team.findById(req.validated.params.id);
+        if (!existingTeam) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (!canModifyTeam(req.user, existingTeam)) {
+            return res.status(403).json({ error: 'You are not allowed to delete this team' });
+        }
+
+        await existingTeam.deleteOne();
+        res.json({ message: 'Team deleted successfully', team: existingTeam });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
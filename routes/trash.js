@@ -0,0 +1,64 @@
+import express from 'express';
+import config from '../config.js';
+import pokemon from '../schema/pokemon.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { loadStatDistribution } from '../middleware/statDistribution.js';
+import { validate } from '../middleware/validate.js';
+import { formatPokemon } from '../utils/format.js';
+import { purgeDate, purgeTrash } from '../utils/trash.js';
+import { listTrashSchema, purgeTrashSchema } from '../validation/trash.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Route GET - Pokémons supprimés encore restaurables
+// (un creator ne voit que ceux qu'il a créés, un admin tous)
+router.get('/', requireRole('creator', 'admin'), validate(listTrashSchema), loadStatDistribution, async (req, res) => {
+    try {
+        const { page, limit } = req.validated.query;
+        const filter = { deletedAt: { $ne: null } };
+        if (req.user.role !== 'admin') filter.createdBy = req.user._id;
+
+        const pokemons = await pokemon.find(filter).sort({ deletedAt: -1 }).skip((page - 1) * limit).limit(limit);
+        const total = await pokemon.countDocuments(filter);
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            data: pokemons.map((poke) => ({
+                ...formatPokemon(req, poke),
+                purgeAfter: purgeDate(poke.deletedAt, config.trashRetentionDays)
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalPokemons: total,
+                limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            },
+            retentionDays: config.trashRetentionDays
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route POST - Purge définitive des pokémons supprimés depuis plus de
+// `olderThanDays` jours (rétention configurée par défaut), images comprises
+router.post('/purge', requireRole('admin'), validate(purgeTrashSchema), async (req, res) => {
+    try {
+        const { olderThanDays = config.trashRetentionDays, archive, dryRun } = req.validated.query;
+        const purged = await purgeTrash({ retentionDays: olderThanDays, archive, dryRun });
+        res.json({
+            message: dryRun ? 'Dry run, nothing was purged' : 'Trash purged successfully',
+            retentionDays: olderThanDays,
+            total: purged.length,
+            purged
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
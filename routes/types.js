@@ -0,0 +1,44 @@
+import express from 'express';
+import pokemon from '../schema/pokemon.js';
+import { TYPES, TYPE_CHART, findType, getTypeIconPath } from '../utils/types.js';
+import { toAbsoluteUrl } from '../utils/url.js';
+import { formatPokemons } from '../utils/format.js';
+import { loadStatDistribution } from '../middleware/statDistribution.js';
+
+const router = express.Router();
+
+// Route GET - Liste des types avec leur icône
+router.get('/', (req, res) => {
+    res.json({
+        data: TYPES.map((type) => ({ name: type, icon: toAbsoluteUrl(req, getTypeIconPath(type)) }))
+    });
+});
+
+// Route GET - Matrice complète des efficacités (attaque -> défense)
+router.get('/chart', (req, res) => {
+    res.json({ types: TYPES, chart: TYPE_CHART });
+});
+
+// Route GET - Pokémons d'un type donné
+router.get('/:type', loadStatDistribution, async (req, res) => {
+    try {
+        const type = findType(req.params.type);
+        if (!type) {
+            return res.status(404).json({ error: 'Type not found' });
+        }
+
+        const pokemons = await pokemon.find({ type }).sort({ id: 1 });
+        res.json({
+            name: type,
+            icon: toAbsoluteUrl(req, getTypeIconPath(type)),
+            attack: TYPE_CHART[type],
+            defense: Object.fromEntries(TYPES.map((attack) => [attack, TYPE_CHART[attack][type]])),
+            total: pokemons.length,
+            data: formatPokemons(req, pokemons)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Compteurs atomiques (un document par séquence, ex. "pokemon")
+const counterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+});
+
+const counter = mongoose.model("counter", counterSchema);
+
+/**
+ * Réserve la prochaine valeur d'une séquence. `floor` aligne d'abord le
+ * compteur sur la plus grande valeur déjà utilisée (données seedées ou
+ * antérieures au compteur) ; $max puis $inc sont atomiques, deux appels
+ * concurrents obtiennent donc toujours deux valeurs différentes.
+ */
+export const nextSequence = async (name, floor = 0) => {
+    await counter.updateOne({ _id: name }, { $max: { seq: floor } }, { upsert: true });
+    const updated = await counter.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return updated.seq;
+};
+
+export default counter;
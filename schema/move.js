@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { TYPES, findType } from "../utils/types.js";
+
+export const MOVE_CATEGORIES = ["physical", "special", "status"];
+
+// Schéma d'une capacité (attaque)
+const moveSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        required: true,
+        unique: true,
+    },
+    name: {
+        english: { type: String, required: true },
+        japanese: { type: String },
+        chinese: { type: String },
+        french: { type: String, required: true },
+    },
+    type: {
+        type: String,
+        enum: { values: TYPES, message: "Unknown type \"{VALUE}\"" },
+        required: true,
+        set: (type) => findType(type) || type,
+    },
+    category: {
+        type: String,
+        enum: MOVE_CATEGORIES,
+        required: true,
+    },
+    // null : capacité de statut ou à dégâts fixes (Draco-Rage, Frappe Atlas...)
+    power: {
+        type: Number,
+        min: 1,
+        max: 250,
+        default: null,
+    },
+    // null : la capacité n'échoue jamais (Météores...)
+    accuracy: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: null,
+    },
+    pp: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 64,
+    },
+});
+
+export default mongoose.model("move", moveSchema);
@@ -1,4 +1,70 @@
 import mongoose from "mongoose";
+import { MAX_TYPES, TYPES, findType } from "../utils/types.js";
+import { STAT_MAX, STAT_MIN } from "../utils/constants.js";
+
+export const ORIGINS = ["official", "custom"];
+
+// Champs modifiables par les utilisateurs, suivis par l'historique des révisions
+// (l'image ne passe que par /pokemons/:id/image)
+export const EDITABLE_FIELDS = [
+    "name", "type", "base", "abilities", "height", "weight", "category", "flavorText", "image", "evolutions",
+];
+
+// Texte disponible dans les langues du pokédex (toutes facultatives)
+const localizedText = () => ({
+    english: { type: String, trim: true },
+    japanese: { type: String, trim: true },
+    chinese: { type: String, trim: true },
+    french: { type: String, trim: true },
+});
+
+export const MAX_ABILITIES = 3;
+
+// Un talent (ability), éventuellement caché
+const abilitySchema = new mongoose.Schema(
+    {
+        name: {
+            ...localizedText(),
+            english: { type: String, trim: true, required: true },
+        },
+        hidden: { type: Boolean, default: false },
+    },
+    { _id: false }
+);
+
+export const EVOLUTION_METHODS = ["level", "stone", "trade", "friendship", "other"];
+
+// Façons d'apprendre une capacité : montée de niveau, CT ou CS
+export const LEARN_METHODS = ["level", "tm", "hm"];
+
+// Une capacité apprise, référencée par l'id du document `move`
+const learnsetEntrySchema = new mongoose.Schema(
+    {
+        move: { type: Number, required: true, min: 1 },
+        method: { type: String, enum: LEARN_METHODS, required: true },
+        level: { type: Number, min: 1, max: 100 },
+    },
+    { _id: false }
+);
+
+// Une évolution vers un autre pokémon (référencé par son id)
+const evolutionSchema = new mongoose.Schema(
+    {
+        id: { type: Number, required: true, min: 1 },
+        method: { type: String, enum: EVOLUTION_METHODS, required: true },
+        // Niveau requis (méthode "level") ou objet utilisé (pierre, objet tenu...)
+        level: { type: Number, min: 1, max: 100 },
+        item: { type: String, trim: true },
+    },
+    { _id: false }
+);
+
+// Ramène "fire", "FEU" ou "Feu" au type canonique "Fire" ; les valeurs
+// inconnues sont conservées pour que la validation enum les signale
+const normalizeTypes = (types) => {
+    if (types === null || types === undefined) return types;
+    return [].concat(types).map((type) => findType(type) || type);
+};
 
 // Schéma d'un pokémon
 const pokemonSchema = new mongoose.Schema({
@@ -14,21 +80,123 @@ const pokemonSchema = new mongoose.Schema({
         french: { type: String, required: true },
     },
     type: {
-        type: [String],
+        type: [{ type: String, enum: { values: TYPES, message: "Unknown type \"{VALUE}\"" } }],
         required: true,
+        set: normalizeTypes,
+        validate: [
+            {
+                validator: (types) => types.length >= 1 && types.length <= MAX_TYPES,
+                message: `A pokemon must have between 1 and ${MAX_TYPES} types`,
+            },
+            {
+                validator: (types) => new Set(types).size === types.length,
+                message: "A pokemon cannot have the same type twice",
+            },
+        ],
     },
     base: {
-        HP: { type: Number, required: true },
-        Attack: { type: Number, required: true },
-        Defense: { type: Number, required: true },
-        SpecialAttack: { type: Number, required: true },
-        SpecialDefense: { type: Number, required: true },
-        Speed: { type: Number, required: true },
+        HP: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+        Attack: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+        Defense: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+        SpecialAttack: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+        SpecialDefense: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+        Speed: { type: Number, required: true, min: STAT_MIN, max: STAT_MAX },
+    },
+    abilities: {
+        type: [abilitySchema],
+        default: [],
+        validate: [
+            {
+                validator: (abilities) => abilities.length <= MAX_ABILITIES,
+                message: `A pokemon cannot have more than ${MAX_ABILITIES} abilities`,
+            },
+            {
+                validator: (abilities) => abilities.filter((ability) => ability.hidden).length <= 1,
+                message: "A pokemon cannot have more than one hidden ability",
+            },
+        ],
+    },
+    // Taille en mètres et poids en kilogrammes
+    height: { type: Number, min: 0.1, max: 100 },
+    weight: { type: Number, min: 0.1, max: 10000 },
+    // Catégorie d'espèce ("Seed Pokémon") et description du pokédex
+    category: localizedText(),
+    flavorText: localizedText(),
+    evolutions: {
+        type: [evolutionSchema],
+        default: [],
+        validate: [
+            {
+                validator: (evolutions) => evolutions.every((evolution) => evolution.method !== "level" || evolution.level != null),
+                message: "A level evolution requires a level",
+            },
+            {
+                validator: (evolutions) => evolutions.every((evolution) => evolution.method !== "stone" || Boolean(evolution.item)),
+                message: "A stone evolution requires an item",
+            },
+            {
+                validator: (evolutions) => new Set(evolutions.map((evolution) => evolution.id)).size === evolutions.length,
+                message: "A pokemon cannot evolve twice into the same pokemon",
+            },
+        ],
+    },
+    // Non chargé par défaut (plusieurs dizaines d'entrées) : voir /pokemons/:id/moves
+    learnset: {
+        type: [learnsetEntrySchema],
+        default: [],
+        select: false,
+        validate: {
+            validator: (learnset) => learnset.every((entry) => entry.method !== "level" || entry.level != null),
+            message: "A level-up move requires a level",
+        },
     },
     image: {
         type: String,
         required: true,
     },
+    // Données officielles issues du seed ou pokémon créé par un utilisateur
+    origin: {
+        type: String,
+        enum: ORIGINS,
+        default: "custom",
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        default: null,
+    },
+    // Suppression logique : le pokémon est dans la corbeille tant que deletedAt est renseigné
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true,
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+        default: null,
+    },
+});
+
+// Recherche du pokémon dont un pokémon donné est l'évolution
+pokemonSchema.index({ "evolutions.id": 1 });
+// Pokémons pouvant apprendre une capacité (/moves/:id)
+pokemonSchema.index({ "learnset.move": 1 });
+
+// Les pokémons supprimés sont exclus de toutes les requêtes, sauf si le filtre
+// porte lui-même sur deletedAt ou avec l'option { withDeleted: true }
+// (pour un aggregate : si la première étape est un $match sur deletedAt)
+const QUERY_HOOKS = ["countDocuments", "distinct", "find", "findOne", "findOneAndUpdate", "updateMany", "updateOne"];
+
+pokemonSchema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+});
+
+pokemonSchema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+    if (first?.$match && "deletedAt" in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
 });
 
 export default mongoose.model("pokemon", pokemonSchema);
\ No newline at end of file
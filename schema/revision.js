@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+export const REVISION_ACTIONS = ["baseline", "create", "update", "delete", "restore", "revert"];
+
+// Une modification d'un pokémon : qui, quand, quels champs (avant/après) et
+// l'état complet des champs modifiables après la modification
+const revisionSchema = new mongoose.Schema(
+    {
+        pokemonId: {
+            type: Number,
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: REVISION_ACTIONS,
+            required: true,
+        },
+        // null pour les modifications faites par un script (seed, migration)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "user",
+            default: null,
+        },
+        changes: [
+            {
+                _id: false,
+                path: { type: String, required: true },
+                before: { type: mongoose.Schema.Types.Mixed },
+                after: { type: mongoose.Schema.Types.Mixed },
+            },
+        ],
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        // Révision restaurée, pour une action "revert"
+        revertedFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "revision",
+            default: null,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+revisionSchema.index({ pokemonId: 1, createdAt: -1 });
+
+export default mongoose.model("revision", revisionSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+export const MAX_TEAM_SIZE = 6;
+
+// Schéma d'une équipe (jusqu'à six pokémons référencés par leur id)
+const teamSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 50,
+        },
+        // Utilisateur ayant créé l'équipe (seul autorisé à la modifier, avec les admins)
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "user",
+            required: true,
+        },
+        pokemons: {
+            type: [Number],
+            validate: {
+                validator: (ids) => ids.length <= MAX_TEAM_SIZE,
+                message: `A team cannot have more than ${MAX_TEAM_SIZE} pokemons`,
+            },
+        },
+    },
+    { timestamps: true }
+);
+
+export default mongoose.model("team", teamSchema);
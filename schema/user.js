@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// viewer : lecture seule, creator : gère ses propres pokémons, admin : tout
+export const ROLES = ["viewer", "creator", "admin"];
+
+// Schéma d'un utilisateur (le mot de passe n'est stocké que haché)
+const userSchema = new mongoose.Schema(
+    {
+        username: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            minlength: 3,
+            maxlength: 30,
+            match: [/^[a-zA-Z0-9_.-]+$/, "Username may only contain letters, digits, '_', '.' and '-'"],
+        },
+        passwordHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        role: {
+            type: String,
+            enum: ROLES,
+            default: "creator",
+        },
+        // Incrémenté à la déconnexion pour invalider les refresh tokens émis
+        tokenVersion: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+// Ne jamais renvoyer le hash ni la version de token dans les réponses
+userSchema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.tokenVersion;
+        delete ret.__v;
+        return ret;
+    },
+});
+
+export default mongoose.model("user", userSchema);
@@ -0,0 +1,95 @@
+import pokemon from '../schema/pokemon.js';
+import { BASE_STAT_TOTAL_FIELD, STATS, STAT_MAX } from './constants.js';
+import { BASE_STAT_TOTAL } from './pokemonQuery.js';
+
+// Stats classables : les six stats de base et leur total
+export const RANKED_STATS = [...STATS, BASE_STAT_TOTAL_FIELD];
+
+const statPath = (stat) => (stat === BASE_STAT_TOTAL_FIELD ? `$${stat}` : `$base.${stat}`);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Médiane d'une liste de valeurs ($median n'existe qu'à partir de MongoDB 7.0)
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Accumulateurs $group d'une stat (les valeurs sont collectées pour la médiane)
+const statAccumulators = (stat) => ({
+    [`${stat}_mean`]: { $avg: statPath(stat) },
+    [`${stat}_values`]: { $push: statPath(stat) },
+    [`${stat}_min`]: { $min: statPath(stat) },
+    [`${stat}_max`]: { $max: statPath(stat) }
+});
+
+// { HP_mean, HP_median, ... } -> { HP: { mean, median, min, max }, ... }
+const formatStatSummary = (group) => Object.fromEntries(RANKED_STATS.map((stat) => [stat, {
+    mean: round(group[`${stat}_mean`]),
+    median: median(group[`${stat}_values`]),
+    min: group[`${stat}_min`],
+    max: group[`${stat}_max`]
+}]));
+
+/**
+ * Statistiques globales des pokémons (éventuellement d'un seul type) :
+ * nombre de pokémons par type, moyenne / médiane / min / max de chaque stat
+ * de base et du total, et répartition des totaux par tranches de `bucketSize`.
+ */
+export const summarizePokemons = async ({ type, bucketSize }) => {
+    const boundaries = Array.from(
+        { length: Math.ceil((STATS.length * STAT_MAX + 1) / bucketSize) + 1 },
+        (_, index) => index * bucketSize
+    );
+
+    const [result] = await pokemon.aggregate([
+        { $match: type ? { type } : {} },
+        { $addFields: { [BASE_STAT_TOTAL_FIELD]: BASE_STAT_TOTAL } },
+        {
+            $facet: {
+                count: [{ $count: 'value' }],
+                types: [
+                    { $unwind: '$type' },
+                    { $group: { _id: '$type', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                stats: [
+                    { $group: { _id: null, ...Object.assign({}, ...RANKED_STATS.map(statAccumulators)) } }
+                ],
+                totals: [
+                    { $bucket: { groupBy: statPath(BASE_STAT_TOTAL_FIELD), boundaries, output: { count: { $sum: 1 } } } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        count: result.count[0]?.value ?? 0,
+        types: result.types.map(({ _id, count }) => ({ type: _id, count })),
+        stats: result.stats[0] ? formatStatSummary(result.stats[0]) : null,
+        baseStatTotalDistribution: result.totals.map(({ _id, count }) => ({ min: _id, max: _id + bucketSize - 1, count }))
+    };
+};
+
+/**
+ * Classement des `n` meilleurs pokémons pour une stat de base ou le total,
+ * éventuellement limité à un type. Les ex æquo partagent le même rang
+ * (calculé ici plutôt qu'avec $setWindowFields, absent avant MongoDB 5.0).
+ */
+export const topPokemons = async ({ stat, type, n }) => {
+    const pokemons = await pokemon.aggregate([
+        { $match: type ? { type } : {} },
+        { $addFields: { [BASE_STAT_TOTAL_FIELD]: BASE_STAT_TOTAL } },
+        { $addFields: { value: statPath(stat) } },
+        { $sort: { value: -1, id: 1 } },
+        { $limit: n },
+        { $project: { _id: 0, value: 1, id: 1, name: 1, type: 1, base: 1, [BASE_STAT_TOTAL_FIELD]: 1, image: 1 } }
+    ]);
+    // Tous les pokémons mieux classés figurent avant : le rang est la position du premier ex æquo
+    return pokemons.map((poke) => ({
+        rank: pokemons.findIndex((other) => other.value === poke.value) + 1,
+        ...poke
+    }));
+};
@@ -0,0 +1,25 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import config from '../config.js';
+
+const { accessSecret, refreshSecret, accessExpiresIn, refreshExpiresIn } = config.jwt;
+const SALT_ROUNDS = 10;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+export const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+// Paire access/refresh token pour un utilisateur
+export const issueTokens = (user) => ({
+    accessToken: jwt.sign({ sub: user.id, username: user.username }, accessSecret, { expiresIn: accessExpiresIn }),
+    refreshToken: jwt.sign({ sub: user.id, version: user.tokenVersion }, refreshSecret, { expiresIn: refreshExpiresIn }),
+    tokenType: 'Bearer',
+    expiresIn: accessExpiresIn
+});
+
+// Renvoient le contenu du token, ou lèvent une erreur jsonwebtoken s'il est invalide ou expiré
+export const verifyAccessToken = (token) => jwt.verify(token, accessSecret);
+
+export const verifyRefreshToken = (token) => jwt.verify(token, refreshSecret);
@@ -0,0 +1,123 @@
+import { getEffectiveness } from './types.js';
+import { createRng } from './random.js';
+import { computeStats } from './stats.js';
+
+export const MAX_MOVES = 4;
+export const DEFAULT_MOVE_POWER = 60;
+const MAX_TURNS = 100;
+const CRITICAL_CHANCE = 1 / 24;
+const CRITICAL_MULTIPLIER = 1.5;
+const STAB_MULTIPLIER = 1.5;
+
+// Stats au niveau donné (IV et EV à 0, nature neutre)
+export const computeBattleStats = (base, level) => computeStats(base, { level });
+
+// Sans attaques choisies : une attaque de puissance 60 par type du pokémon,
+// physique ou spéciale selon sa meilleure stat offensive
+const defaultMoves = (poke) => {
+    const category = poke.base.Attack >= poke.base.SpecialAttack ? 'physical' : 'special';
+    return poke.type.map((type) => ({
+        name: `${type} Strike`,
+        type,
+        category,
+        power: DEFAULT_MOVE_POWER,
+        accuracy: 100
+    }));
+};
+
+const prepareFighter = (poke, { level, moves }, side) => {
+    const stats = computeBattleStats(poke.base, level);
+    return {
+        side,
+        id: poke.id,
+        name: poke.name,
+        type: poke.type,
+        level,
+        stats,
+        hp: stats.HP,
+        moves: moves ? moves.map((move) => ({ ...move, name: move.name || `${move.type} move` })) : defaultMoves(poke)
+    };
+};
+
+const expectedDamage = (attacker, defender, move) => {
+    const [attack, defense] = move.category === 'physical'
+        ? [attacker.stats.Attack, defender.stats.Defense]
+        : [attacker.stats.SpecialAttack, defender.stats.SpecialDefense];
+    const stab = attacker.type.includes(move.type) ? STAB_MULTIPLIER : 1;
+    const effectiveness = getEffectiveness(move.type, defender.type);
+    const base = Math.floor(Math.floor(((Math.floor((2 * attacker.level) / 5) + 2) * move.power * attack) / defense) / 50) + 2;
+    return { base, stab, effectiveness, expected: base * stab * effectiveness * (move.accuracy / 100) };
+};
+
+// L'IA choisit l'attaque qui inflige le plus de dégâts en moyenne
+const chooseMove = (attacker, defender) => attacker.moves.reduce((best, move) => (
+    expectedDamage(attacker, defender, move).expected > expectedDamage(attacker, defender, best).expected ? move : best
+));
+
+const performAttack = (attacker, defender, rng) => {
+    const move = chooseMove(attacker, defender);
+    const entry = { side: attacker.side, attacker: attacker.id, defender: defender.id, move: move.name, moveType: move.type };
+
+    if (rng() * 100 >= move.accuracy) {
+        return { ...entry, missed: true, damage: 0, defenderHp: defender.hp };
+    }
+
+    const { base, stab, effectiveness } = expectedDamage(attacker, defender, move);
+    const critical = effectiveness > 0 && rng() < CRITICAL_CHANCE;
+    const random = 0.85 + rng() * 0.15;
+    const damage = effectiveness === 0
+        ? 0
+        : Math.max(1, Math.floor(base * random * stab * effectiveness * (critical ? CRITICAL_MULTIPLIER : 1)));
+
+    defender.hp = Math.max(0, defender.hp - damage);
+    return { ...entry, missed: false, damage, critical, stab: stab > 1, effectiveness, defenderHp: defender.hp };
+};
+
+// Le plus rapide attaque en premier, égalité départagée au hasard
+const turnOrder = (a, b, rng) => {
+    if (a.stats.Speed !== b.stats.Speed) return a.stats.Speed > b.stats.Speed ? [a, b] : [b, a];
+    return rng() < 0.5 ? [a, b] : [b, a];
+};
+
+const summary = (fighter) => ({
+    side: fighter.side,
+    id: fighter.id,
+    name: fighter.name,
+    type: fighter.type,
+    level: fighter.level,
+    stats: fighter.stats,
+    moves: fighter.moves,
+    remainingHp: fighter.hp
+});
+
+/**
+ * Simule un combat tour par tour entre deux pokémons à partir de leurs
+ * stats de base, de la vitesse, du STAB et de l'efficacité des types.
+ * Le résultat est entièrement déterminé par la graine.
+ */
+export const simulateBattle = (pokeA, optionsA, pokeB, optionsB, seed) => {
+    const rng = createRng(seed);
+    const fighters = [prepareFighter(pokeA, optionsA, 1), prepareFighter(pokeB, optionsB, 2)];
+    const log = [];
+    let winner = null;
+
+    for (let turn = 1; turn <= MAX_TURNS && !winner; turn++) {
+        for (const attacker of turnOrder(fighters[0], fighters[1], rng)) {
+            const defender = attacker === fighters[0] ? fighters[1] : fighters[0];
+            log.push({ turn, ...performAttack(attacker, defender, rng) });
+            if (defender.hp === 0) {
+                winner = attacker;
+                break;
+            }
+        }
+    }
+
+    return {
+        seed,
+        winner: winner ? { side: winner.side, id: winner.id, name: winner.name } : null,
+        draw: !winner,
+        turns: log.length ? log[log.length - 1].turn : 0,
+        participants: fighters.map(summary),
+        log
+    };
+};
@@ -0,0 +1,17 @@
+// Constantes partagées par les schémas, la validation et les utilitaires
+
+// Statistiques de base et langues disponibles dans le schéma pokemon
+export const STATS = ['HP', 'Attack', 'Defense', 'SpecialAttack', 'SpecialDefense', 'Speed'];
+export const LANGUAGES = ['english', 'japanese', 'chinese', 'french'];
+
+// Bornes acceptées pour une stat de base
+export const STAT_MIN = 1;
+export const STAT_MAX = 255;
+
+// Total des stats de base : champ calculé à la volée (non stocké), triable et filtrable
+export const BASE_STAT_TOTAL_FIELD = 'baseStatTotal';
+
+// Niveaux d'un pokémon (le niveau par défaut est celui des combats classés)
+export const MIN_LEVEL = 1;
+export const MAX_LEVEL = 100;
+export const DEFAULT_LEVEL = 50;
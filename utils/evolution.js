@@ -0,0 +1,79 @@
+import pokemon from '../schema/pokemon.js';
+
+// Pokémon dont `id` est une évolution directe (null pour un premier stade)
+const findPreEvolution = (id) => pokemon.findOne({ 'evolutions.id': id });
+
+// Ancêtres d'un pokémon, du parent direct au premier stade
+const findAncestors = async (id) => {
+    const ancestors = [];
+    const seen = new Set([id]);
+    for (let parent = await findPreEvolution(id); parent && !seen.has(parent.id); parent = await findPreEvolution(parent.id)) {
+        seen.add(parent.id);
+        ancestors.push(parent);
+    }
+    return ancestors;
+};
+
+/**
+ * Chaîne d'évolution complète contenant un pokémon, sous forme d'arbre à
+ * partir du premier stade (les embranchements comme Évoli donnent plusieurs
+ * branches). `format` transforme chaque pokémon pour la réponse.
+ */
+export const buildEvolutionChain = async (poke, format = (value) => value) => {
+    const ancestors = await findAncestors(poke.id);
+    const root = ancestors.length > 0 ? ancestors[ancestors.length - 1] : poke;
+
+    // Parcours en largeur, un niveau (une requête) à la fois
+    const byId = new Map([[root.id, root]]);
+    for (let level = [root]; level.length > 0;) {
+        const ids = level.flatMap((node) => node.evolutions.map((evolution) => evolution.id)).filter((id) => !byId.has(id));
+        const next = ids.length > 0 ? await pokemon.find({ id: { $in: ids } }) : [];
+        next.forEach((node) => byId.set(node.id, node));
+        level = next;
+    }
+
+    const seen = new Set();
+    const toNode = (node, stage, evolution = null) => {
+        seen.add(node.id);
+        return {
+            stage,
+            ...(evolution && { method: evolution.method, level: evolution.level, item: evolution.item }),
+            pokemon: format(node),
+            evolvesTo: node.evolutions
+                .filter((next) => byId.has(next.id) && !seen.has(next.id))
+                .map((next) => toNode(byId.get(next.id), stage + 1, next))
+        };
+    };
+
+    const chain = toNode(root, 1);
+    const depth = (node) => Math.max(node.stage, ...node.evolvesTo.map(depth));
+    return { stages: depth(chain), total: seen.size, chain };
+};
+
+/**
+ * Vérifie les évolutions d'un pokémon : ids existants, pas de lui-même, pas
+ * d'un pokémon qui évolue déjà d'un autre, pas d'un de ses ancêtres (cycle).
+ * Renvoie les erreurs au format des erreurs de validation.
+ */
+export const evolutionErrors = async (pokeId, evolutions = []) => {
+    const ids = evolutions.map((evolution) => evolution.id);
+    if (ids.length === 0) return [];
+
+    const [targets, parents, ancestors] = await Promise.all([
+        pokemon.find({ id: { $in: ids } }, { id: 1 }),
+        pokemon.find({ 'evolutions.id': { $in: ids }, id: { $ne: pokeId } }, { id: 1, evolutions: 1 }),
+        pokeId ? findAncestors(pokeId) : []
+    ]);
+    const existingIds = new Set(targets.map((target) => target.id));
+    const ancestorIds = new Set(ancestors.map((ancestor) => ancestor.id));
+    const parentOf = new Map(parents.flatMap((parent) => parent.evolutions.map((evolution) => [evolution.id, parent.id])));
+
+    return evolutions.flatMap(({ id }, index) => {
+        const error = (code, message) => [{ location: 'body', field: `evolutions[${index}].id`, code, message }];
+        if (id === pokeId) return error('invalid_value', 'A pokemon cannot evolve into itself');
+        if (!existingIds.has(id)) return error('not_found', `Pokemon ${id} not found`);
+        if (ancestorIds.has(id)) return error('invalid_value', `Pokemon ${id} is already an earlier stage of this chain`);
+        if (parentOf.has(id)) return error('invalid_value', `Pokemon ${id} already evolves from pokemon ${parentOf.get(id)}`);
+        return [];
+    });
+};
@@ -0,0 +1,33 @@
+import { toAbsoluteUrl } from './url.js';
+import { getTypeIconPath } from './types.js';
+import { computeBaseStatTotal } from './stats.js';
+import { computePercentiles } from './percentiles.js';
+import { BASE_STAT_TOTAL_FIELD } from './constants.js';
+
+/**
+ * Représentation d'un pokémon renvoyée par l'API : l'image, stockée en
+ * chemin relatif, est convertie en URL absolue pour la requête en cours.
+ * S'y ajoutent les champs calculés quand la projection les permet :
+ * total des stats de base, icônes des types et rangs centiles des stats
+ * (si la répartition a été chargée dans `req.statDistribution`).
+ */
+export const formatPokemon = (req, poke) => {
+    if (!poke) return poke;
+    const data = typeof poke.toJSON === 'function' ? poke.toJSON() : { ...poke };
+    if (data.image) data.image = toAbsoluteUrl(req, data.image);
+
+    const total = computeBaseStatTotal(data.base);
+    if (total !== null) data[BASE_STAT_TOTAL_FIELD] = total;
+    if (Array.isArray(data.type)) {
+        data.typeIcons = data.type.map((type) => toAbsoluteUrl(req, getTypeIconPath(type)));
+    }
+    if (data.base && req.statDistribution) {
+        data.percentiles = computePercentiles(
+            { ...data.base, [BASE_STAT_TOTAL_FIELD]: data[BASE_STAT_TOTAL_FIELD] },
+            req.statDistribution
+        );
+    }
+    return data;
+};
+
+export const formatPokemons = (req, pokemons) => pokemons.map((poke) => formatPokemon(req, poke));
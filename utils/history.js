@@ -0,0 +1,62 @@
+import { isDeepStrictEqual } from 'util';
+import revision from '../schema/revision.js';
+import { EDITABLE_FIELDS } from '../schema/pokemon.js';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// État des champs modifiables d'un pokémon, tel qu'il est conservé dans une révision
+export const pokemonSnapshot = (poke) => {
+    const data = typeof poke.toObject === 'function' ? poke.toObject() : poke;
+    return Object.fromEntries(EDITABLE_FIELDS
+        .filter((field) => data[field] !== undefined)
+        .map((field) => [field, structuredClone(data[field])]));
+};
+
+/**
+ * Remplace les champs modifiables d'un document par un état complet (patch
+ * validé ou révision) : un champ absent de `snapshot` est supprimé, alors que
+ * `set(snapshot)` le laisserait inchangé. Les champs de `exclude` sont conservés.
+ */
+export const applySnapshot = (poke, snapshot, { exclude = [] } = {}) => {
+    EDITABLE_FIELDS
+        .filter((field) => !exclude.includes(field))
+        .forEach((field) => poke.set(field, snapshot[field]));
+};
+
+// { name: { french: 'Bulbizarre' } } -> { 'name.french': 'Bulbizarre' } (les tableaux restent entiers)
+const flatten = (value, prefix = '', into = {}) => {
+    if (!isObject(value)) {
+        if (prefix) into[prefix] = value;
+        return into;
+    }
+    for (const [key, child] of Object.entries(value)) {
+        flatten(child, prefix ? `${prefix}.${key}` : key, into);
+    }
+    return into;
+};
+
+// Différences champ par champ entre deux états (null pour une valeur absente)
+export const diffSnapshots = (before, after) => {
+    const previous = flatten(before);
+    const next = flatten(after);
+    return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .sort()
+        .filter((path) => !isDeepStrictEqual(previous[path], next[path]))
+        .map((path) => ({ path, before: previous[path] ?? null, after: next[path] ?? null }));
+};
+
+/**
+ * Enregistre une révision (état après modification et différences avec
+ * `before`). Un pokémon sans historique (seed, données antérieures) reçoit
+ * d'abord une révision "baseline" avec son état initial, pour pouvoir y
+ * revenir. Une mise à jour sans effet n'est pas enregistrée.
+ */
+export const recordRevision = async ({ pokemonId, action, actor = null, before = null, after, revertedFrom = null }) => {
+    const changes = diffSnapshots(before || {}, after);
+    if (action === 'update' && changes.length === 0) return null;
+
+    if (before && !(await revision.exists({ pokemonId }))) {
+        await revision.create({ pokemonId, action: 'baseline', snapshot: before });
+    }
+    return revision.create({ pokemonId, action, actor, changes, snapshot: after, revertedFrom });
+};
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const POKEMONS_DIR = path.join(__dirname, '..', 'assets', 'pokemons');
+export const SHINY_DIR = path.join(POKEMONS_DIR, 'shiny');
+
+// Images des pokémons supprimés, conservées hors du dossier servi publiquement
+export const ARCHIVE_DIR = path.join(__dirname, '..', 'archive', 'pokemons');
+
+// Taille maximale d'une image reçue (upload ou téléchargement)
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// Protection contre les images "bombes" (dimensions démesurées)
+const MAX_INPUT_PIXELS = 4096 * 4096;
+
+// Côté (en pixels) des images carrées générées pour chaque sprite ;
+// `default` correspond à assets/pokemons/{id}.png, les autres à {id}/{size}.png
+export const IMAGE_SIZES = { default: 475, thumbnail: 96, large: 800 };
+
+// Signatures (magic bytes) des formats acceptés
+const SIGNATURES = [
+    { format: 'png', matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { format: 'jpeg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { format: 'gif', matches: (b) => b.length >= 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { format: 'webp', matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Erreur levée quand une image est refusée (renvoyée en 400)
+export class ImageError extends Error {
+    constructor(message, code = 'invalid_image') {
+        super(message);
+        this.name = 'ImageError';
+        this.code = code;
+    }
+}
+
+export const ensurePokemonsDir = () => fs.promises.mkdir(POKEMONS_DIR, { recursive: true });
+
+// Nom unique même pour deux uploads reçus dans la même milliseconde
+export const tempImageName = () => `temp_${Date.now()}_${randomUUID()}.png`;
+
+export const imagePath = (id) => path.join(POKEMONS_DIR, `${id}.png`);
+
+export const variantPath = (id, size) => path.join(POKEMONS_DIR, String(id), `${size}.png`);
+
+export const isTempImage = (file) => file.startsWith('temp_');
+
+// Format réel du fichier d'après son contenu, quel que soit son nom ou son type MIME
+export const detectImageFormat = (buffer) => SIGNATURES.find(({ matches }) => matches(buffer))?.format || null;
+
+const renderSquarePng = (buffer, size) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .ensureAlpha()
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+/**
+ * Vérifie une image (taille, magic bytes PNG/JPEG/WebP/GIF) puis la
+ * ré-encode en PNG carré normalisé, dans chacune des tailles de IMAGE_SIZES.
+ * Lève une ImageError si elle est refusée.
+ */
+export const processImage = async (buffer) => {
+    if (buffer.length > MAX_IMAGE_SIZE) {
+        throw new ImageError(`Image exceeds ${MAX_IMAGE_SIZE / 1024 / 1024} MB`, 'image_too_large');
+    }
+    if (!detectImageFormat(buffer)) {
+        throw new ImageError('Unsupported image format (expected PNG, JPEG, WebP or GIF)', 'unsupported_image');
+    }
+
+    try {
+        const entries = await Promise.all(Object.entries(IMAGE_SIZES).map(
+            async ([name, size]) => [name, await renderSquarePng(buffer, size)]
+        ));
+        return Object.fromEntries(entries);
+    } catch (error) {
+        throw new ImageError('Image is corrupted or could not be decoded');
+    }
+};
+
+/**
+ * Écrit les rendus d'une image dans des fichiers temporaires. Le résultat
+ * est passé à commitImage une fois le pokémon enregistré, ou à discardImage.
+ */
+export const stageImage = async (buffer) => {
+    const rendered = await processImage(buffer);
+    await ensurePokemonsDir();
+
+    const base = tempImageName().replace(/\.png$/, '');
+    const files = {};
+    for (const [name, data] of Object.entries(rendered)) {
+        files[name] = path.join(POKEMONS_DIR, `${base}_${name}.png`);
+        await fs.promises.writeFile(files[name], data);
+    }
+    return files;
+};
+
+// Donne aux fichiers temporaires leurs noms définitifs, une fois le pokémon enregistré
+export const commitImage = async (staged, id) => {
+    await fs.promises.mkdir(path.join(POKEMONS_DIR, String(id)), { recursive: true });
+    for (const [name, tempPath] of Object.entries(staged)) {
+        await fs.promises.rename(tempPath, name === 'default' ? imagePath(id) : variantPath(id, name));
+    }
+};
+
+export const discardImage = async (staged) => {
+    if (!staged) return;
+    await Promise.all(Object.values(staged).map((tempPath) => fs.promises.rm(tempPath, { force: true })));
+};
+
+// Fichiers existants associés à un pokémon : sprite, dossier des variantes et sprite shiny
+export const pokemonImageFiles = (id) => [
+    imagePath(id),
+    path.join(POKEMONS_DIR, String(id)),
+    path.join(SHINY_DIR, `${id}.png`)
+].filter((file) => fs.existsSync(file));
+
+const archivePath = (file, stamp) => path.join(ARCHIVE_DIR, stamp, path.relative(POKEMONS_DIR, file));
+
+// Déplace un fichier ou dossier d'assets/pokemons vers l'archive horodatée
+const archiveFile = async (file, stamp) => {
+    const target = archivePath(file, stamp);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(file, target);
+};
+
+/**
+ * Supprime (ou archive dans archive/pokemons/<id>-<date>/) les images d'un
+ * pokémon. Renvoie la liste des fichiers traités.
+ */
+export const removePokemonImages = async (id, { archive = false } = {}) => {
+    const files = pokemonImageFiles(id);
+    const stamp = `${id}-${Date.now()}`;
+    for (const file of files) {
+        if (archive) {
+            await archiveFile(file, stamp);
+        } else {
+            await fs.promises.rm(file, { recursive: true, force: true });
+        }
+    }
+    return files.map((file) => path.relative(POKEMONS_DIR, file));
+};
+
+/**
+ * Archive le sprite et les variantes actuels d'un pokémon avant leur
+ * remplacement. Renvoie la version créée, à passer à restoreImageVersion
+ * si le remplacement échoue.
+ */
+export const archiveImageVersion = async (id) => {
+    const version = `${id}-${Date.now()}`;
+    const files = [imagePath(id), path.join(POKEMONS_DIR, String(id))].filter((file) => fs.existsSync(file));
+    for (const file of files) {
+        await archiveFile(file, version);
+    }
+    return { version, files };
+};
+
+export const restoreImageVersion = async ({ version, files }) => {
+    for (const file of files) {
+        await fs.promises.rm(file, { recursive: true, force: true });
+        await fs.promises.rename(archivePath(file, version), file);
+    }
+};
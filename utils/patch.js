@@ -0,0 +1,142 @@
+import { isDeepStrictEqual } from 'util';
+
+// Clés refusées dans les chemins et les merge-patch (pollution de prototype)
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Erreur levée quand un patch ne peut pas être appliqué ; `path` est le
+// pointeur JSON concerné
+export class PatchError extends Error {
+    constructor(message, code = 'invalid_patch', path = '') {
+        super(message);
+        this.name = 'PatchError';
+        this.code = code;
+        this.path = path;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkKey = (key, path) => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new PatchError(`Key "${key}" is not allowed`, 'invalid_path', path);
+    }
+};
+
+// "/name/japanese" -> ['name', 'japanese'] (RFC 6901, ~1 = "/" et ~0 = "~")
+const parsePointer = (pointer) => {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new PatchError(`Invalid JSON pointer "${pointer}"`, 'invalid_pointer', String(pointer));
+    }
+    const tokens = pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    tokens.forEach((token) => checkKey(token, pointer));
+    return tokens;
+};
+
+// Index d'un tableau ; "-" (fin du tableau) n'est valable que pour un ajout
+const arrayIndex = (array, token, pointer, { append = false } = {}) => {
+    if (append && token === '-') return array.length;
+    const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+    if (Number.isNaN(index) || index > array.length || (!append && index === array.length)) {
+        throw new PatchError(`Invalid array index at "${pointer}"`, 'invalid_path', pointer);
+    }
+    return index;
+};
+
+const getValue = (document, tokens, pointer) => tokens.reduce((value, token) => {
+    if (Array.isArray(value)) return value[arrayIndex(value, token, pointer)];
+    if (isObject(value) && Object.hasOwn(value, token)) return value[token];
+    throw new PatchError(`Path "${pointer}" does not exist`, 'invalid_path', pointer);
+}, document);
+
+const addValue = (document, pointer, value) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+
+    const parent = getValue(document, tokens.slice(0, -1), pointer);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, { append: true }), 0, value);
+    } else if (isObject(parent)) {
+        parent[key] = value;
+    } else {
+        throw new PatchError(`Path "${pointer}" does not exist`, 'invalid_path', pointer);
+    }
+    return document;
+};
+
+const removeValue = (document, pointer) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new PatchError('The whole document cannot be removed', 'invalid_path', pointer);
+    }
+
+    const parent = getValue(document, tokens.slice(0, -1), pointer);
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        return parent.splice(arrayIndex(parent, key, pointer), 1)[0];
+    }
+    if (isObject(parent) && Object.hasOwn(parent, key)) {
+        const value = parent[key];
+        delete parent[key];
+        return value;
+    }
+    throw new PatchError(`Path "${pointer}" does not exist`, 'invalid_path', pointer);
+};
+
+const OPERATIONS = {
+    add: (document, { path, value }) => addValue(document, path, value),
+    remove: (document, { path }) => {
+        removeValue(document, path);
+        return document;
+    },
+    replace: (document, { path, value }) => {
+        if (path === '') return value;
+        removeValue(document, path);
+        return addValue(document, path, value);
+    },
+    move: (document, { from, path }) => {
+        if (path.startsWith(`${from}/`)) {
+            throw new PatchError('A value cannot be moved into one of its children', 'invalid_path', path);
+        }
+        const value = removeValue(document, from);
+        return addValue(document, path, value);
+    },
+    copy: (document, { from, path }) => addValue(document, path, structuredClone(getValue(document, parsePointer(from), from))),
+    test: (document, { path, value }) => {
+        if (!isDeepStrictEqual(getValue(document, parsePointer(path), path), value)) {
+            throw new PatchError(`Test failed at "${path}"`, 'test_failed', path);
+        }
+        return document;
+    }
+};
+
+/**
+ * Applique une liste d'opérations JSON Patch (RFC 6902) sur une copie du
+ * document. Les opérations sont atomiques : à la première erreur, une
+ * PatchError est levée et le document d'origine reste intact.
+ */
+export const applyJsonPatch = (document, operations) => operations.reduce(
+    (current, operation) => OPERATIONS[operation.op](current, operation),
+    structuredClone(document)
+);
+
+/**
+ * Applique un merge-patch (RFC 7396) : les objets sont fusionnés
+ * récursivement, `null` supprime la clé et toute autre valeur (tableaux
+ * compris) remplace l'existante.
+ */
+export const applyMergePatch = (target, patch, path = '') => {
+    if (!isObject(patch)) return structuredClone(patch);
+
+    const result = isObject(target) ? structuredClone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        checkKey(key, `${path}/${key}`);
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value, `${path}/${key}`);
+        }
+    }
+    return result;
+};
@@ -0,0 +1,64 @@
+import pokemon from '../schema/pokemon.js';
+import { BASE_STAT_TOTAL_FIELD, STATS } from './constants.js';
+import { BASE_STAT_TOTAL } from './pokemonQuery.js';
+
+// Stats pour lesquelles un rang centile est calculé
+const PERCENTILE_STATS = [...STATS, BASE_STAT_TOTAL_FIELD];
+
+// La répartition n'est recalculée qu'une fois par minute au plus
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+
+const fetchDistribution = async () => {
+    const [result] = await pokemon.aggregate([
+        {
+            $group: {
+                _id: null,
+                ...Object.fromEntries(STATS.map((stat) => [stat, { $push: `$base.${stat}` }])),
+                [BASE_STAT_TOTAL_FIELD]: { $push: BASE_STAT_TOTAL }
+            }
+        }
+    ]);
+    return Object.fromEntries(PERCENTILE_STATS.map((stat) => [
+        stat,
+        (result?.[stat] ?? []).sort((a, b) => a - b)
+    ]));
+};
+
+/**
+ * Valeurs triées de chaque stat sur l'ensemble des pokémons (hors corbeille),
+ * mises en cache pour ne pas relancer l'agrégation à chaque requête.
+ */
+export const getStatDistribution = () => {
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cached = { loadedAt: Date.now(), promise: fetchDistribution() };
+        cached.promise.catch(() => { cached = null; });
+    }
+    return cached.promise;
+};
+
+// Nombre de valeurs d'un tableau trié strictement inférieures (ou <= si `inclusive`)
+const countBelow = (values, value, inclusive = false) => {
+    let low = 0;
+    let high = values.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[middle] < value || (inclusive && values[middle] === value)) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+};
+
+/**
+ * Rang centile (0-100) de chaque stat d'un pokémon : part des pokémons
+ * ayant une valeur inférieure, les ex æquo comptant pour moitié.
+ */
+export const computePercentiles = (values, distribution) => Object.fromEntries(PERCENTILE_STATS
+    .filter((stat) => typeof values[stat] === 'number' && distribution[stat].length > 0)
+    .map((stat) => {
+        const sorted = distribution[stat];
+        const below = countBelow(sorted, values[stat]);
+        const equal = countBelow(sorted, values[stat], true) - below;
+        return [stat, Math.round(((below + equal / 2) / sorted.length) * 1000) / 10];
+    }));
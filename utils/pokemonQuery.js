@@ -0,0 +1,178 @@
+import { findType } from './types.js';
+import { BASE_STAT_TOTAL_FIELD, LANGUAGES, STATS } from './constants.js';
+
+// Expression d'agrégation calculant le total des stats de base
+export const BASE_STAT_TOTAL = { $add: STATS.map((stat) => `$base.${stat}`) };
+
+const STAT_OPERATORS = { '>=': '$gte', '<=': '$lte', '>': '$gt', '<': '$lt', '=': '$eq' };
+const STAT_EXPRESSION = /^([A-Za-z]+)\s*(>=|<=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+// Champs pouvant être demandés via `fields=`
+const SELECTABLE_FIELDS = [
+    'id',
+    'name',
+    ...LANGUAGES.map((lang) => `name.${lang}`),
+    'type',
+    'base',
+    ...STATS.map((stat) => `base.${stat}`),
+    'abilities',
+    'height',
+    'weight',
+    'category',
+    ...LANGUAGES.map((lang) => `category.${lang}`),
+    'flavorText',
+    ...LANGUAGES.map((lang) => `flavorText.${lang}`),
+    'evolutions',
+    'image',
+    BASE_STAT_TOTAL_FIELD
+];
+
+// Champs numériques du profil utilisables pour le tri
+const PROFILE_SORT_FIELDS = ['height', 'weight'];
+
+// Erreur levée quand un paramètre de requête est invalide (renvoyée en 400)
+export class QueryError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'QueryError';
+        this.field = field;
+    }
+}
+
+// "a,b" ou ?x=a&x=b -> ['a', 'b']
+export const parseList = (value) => {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+};
+
+// Retrouve le nom canonique d'une stat sans tenir compte de la casse
+const findStat = (name) => STATS.find((stat) => stat.toLowerCase() === name.toLowerCase());
+
+const isBaseStatTotal = (name) => name.toLowerCase() === BASE_STAT_TOTAL_FIELD.toLowerCase();
+
+// Convertit une clé de tri (`Speed`, `french`, `id`) en chemin MongoDB
+const resolveSortField = (key) => {
+    if (key.toLowerCase() === 'id') return 'id';
+    const profileField = PROFILE_SORT_FIELDS.find((field) => field === key.toLowerCase());
+    if (profileField) return profileField;
+    if (isBaseStatTotal(key)) return BASE_STAT_TOTAL_FIELD;
+    const stat = findStat(key.replace(/^base\./i, ''));
+    if (stat) return `base.${stat}`;
+    const lang = LANGUAGES.find((l) => l === key.replace(/^name\./i, '').toLowerCase());
+    if (lang) return `name.${lang}`;
+    return null;
+};
+
+const buildTypeFilter = (query) => {
+    const values = parseList(query.type);
+    if (values.length === 0) return null;
+
+    const unknown = values.filter((value) => !findType(value));
+    if (unknown.length > 0) {
+        throw new QueryError(`Unknown type: ${unknown.join(', ')}`, 'type');
+    }
+    const types = values.map(findType);
+
+    const typeMatch = query.typeMatch || 'any';
+    if (!['any', 'all'].includes(typeMatch)) {
+        throw new QueryError('typeMatch must be "any" or "all"', 'typeMatch');
+    }
+    return { types, typeMatch, condition: typeMatch === 'all' ? { $all: types } : { $in: types } };
+};
+
+const buildStatFilters = (query) => {
+    const conditions = {};
+    const expressions = [];
+
+    for (const expression of parseList(query.stats)) {
+        const match = expression.match(STAT_EXPRESSION);
+        const stat = match && (isBaseStatTotal(match[1]) ? BASE_STAT_TOTAL_FIELD : findStat(match[1]));
+        if (!stat) {
+            throw new QueryError(`Invalid stat filter "${expression}" (expected e.g. HP>=80 with one of ${STATS.join(', ')}, ${BASE_STAT_TOTAL_FIELD})`, 'stats');
+        }
+        const path = stat === BASE_STAT_TOTAL_FIELD ? stat : `base.${stat}`;
+        conditions[path] = { ...conditions[path], [STAT_OPERATORS[match[2]]]: Number(match[3]) };
+        expressions.push(`${stat}${match[2]}${match[3]}`);
+    }
+
+    return { conditions, expressions };
+};
+
+const buildSort = (value) => {
+    const sort = {};
+    for (const key of parseList(value)) {
+        const descending = key.startsWith('-');
+        const field = resolveSortField(descending ? key.slice(1) : key);
+        if (!field) {
+            throw new QueryError(`Invalid sort field "${key}" (expected id, height, weight, ${BASE_STAT_TOTAL_FIELD}, a base stat or a name language)`, 'sort');
+        }
+        sort[field] = descending ? -1 : 1;
+    }
+    // L'id sert toujours de départage pour une pagination stable
+    if (!('id' in sort)) sort.id = 1;
+    return sort;
+};
+
+// fields=name,type (inclusion) ou fields=-flavorText,-abilities (exclusion)
+const buildProjection = (value) => {
+    const list = parseList(value);
+    if (list.length === 0) return null;
+
+    // MongoDB n'accepte pas d'inclure et d'exclure des champs dans la même projection
+    const exclude = list.every((field) => field.startsWith('-'));
+    if (!exclude && list.some((field) => field.startsWith('-'))) {
+        throw new QueryError('Cannot mix included and excluded fields (use either name,type or -flavorText)', 'fields');
+    }
+    const fields = list.map((field) => field.replace(/^-/, ''));
+
+    // Le total étant recalculé à partir de `base`, il ne peut pas être exclu
+    const invalid = fields.filter((field) => !SELECTABLE_FIELDS.includes(field) || (exclude && ['id', BASE_STAT_TOTAL_FIELD].includes(field)));
+    if (invalid.length > 0) {
+        throw new QueryError(`Invalid fields: ${invalid.join(', ')} (allowed: ${SELECTABLE_FIELDS.join(', ')})`, 'fields');
+    }
+
+    // `name` et `name.french` ensemble provoqueraient une collision de chemins
+    const projection = exclude ? {} : { id: 1 };
+    fields
+        .filter((field) => !fields.includes(field.split('.')[0]) || !field.includes('.'))
+        .forEach((field) => { projection[field] = exclude ? 0 : 1; });
+    return projection;
+};
+
+/**
+ * Traduit les paramètres de GET /pokemons en filtre, tri et projection MongoDB
+ * (à appliquer après une étape $addFields qui calcule baseStatTotal).
+ * - type=Fire,Flying&typeMatch=any|all
+ * - stats=HP>=80,Speed<50,baseStatTotal>=500
+ * - sort=-Speed,french ou sort=-baseStatTotal
+ * - fields=name,type,base.HP ou fields=-flavorText (exclusion)
+ * Lève une QueryError si un paramètre est invalide.
+ */
+export const parsePokemonListQuery = (query) => {
+    const filter = {};
+    const filters = {};
+
+    const typeFilter = buildTypeFilter(query);
+    if (typeFilter) {
+        filter.type = typeFilter.condition;
+        filters.type = typeFilter.types;
+        filters.typeMatch = typeFilter.typeMatch;
+    }
+
+    const statFilters = buildStatFilters(query);
+    Object.assign(filter, statFilters.conditions);
+    if (statFilters.expressions.length > 0) filters.stats = statFilters.expressions;
+
+    const projection = buildProjection(query.fields);
+
+    return {
+        filter,
+        sort: buildSort(query.sort),
+        projection,
+        filters,
+        fields: projection ? Object.entries(projection).map(([field, included]) => (included ? field : `-${field}`)) : null
+    };
+};
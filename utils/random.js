@@ -0,0 +1,27 @@
+// Convertit une graine (nombre ou chaîne) en entier 32 bits
+const hashSeed = (seed) => {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * Générateur pseudo-aléatoire reproductible (mulberry32) : la même graine
+ * produit toujours la même suite de nombres dans [0, 1).
+ */
+export const createRng = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
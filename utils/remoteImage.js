@@ -0,0 +1,159 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { ImageError, MAX_IMAGE_SIZE } from './images.js';
+
+const REMOTE_TIMEOUT = 10000;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const ALLOWED_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Plages non routables sur Internet : loopback, réseaux privés, link-local,
+// CGNAT, multicast, documentation, réservées...
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Erreur levée quand une image distante est refusée ou inaccessible
+export class RemoteImageError extends ImageError {
+    constructor(message, code) {
+        super(message, code);
+        this.name = 'RemoteImageError';
+    }
+}
+
+export const isBlockedAddress = (address) => {
+    // Adresse IPv4 encapsulée dans une IPv6 (::ffff:127.0.0.1)
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isBlockedAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Résolution DNS utilisée pour la connexion elle-même : l'adresse vérifiée
+// est celle à laquelle on se connecte (pas de contournement par DNS rebinding)
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new RemoteImageError(`Host "${hostname}" resolves to a private or reserved address`, 'blocked_address'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const parseRemoteUrl = (value, base) => {
+    let url;
+    try {
+        url = new URL(value, base);
+    } catch (error) {
+        throw new RemoteImageError('Invalid image URL', 'invalid_url');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new RemoteImageError('Image URL must use http or https', 'invalid_url');
+    }
+    if (url.username || url.password) {
+        throw new RemoteImageError('Image URL must not contain credentials', 'invalid_url');
+    }
+
+    // Les IP littérales ne passent pas par la résolution DNS
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw new RemoteImageError(`Address "${host}" is private or reserved`, 'blocked_address');
+    }
+    return url;
+};
+
+const request = (url, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+        lookup: safeLookup,
+        signal,
+        headers: { 'User-Agent': 'Mozilla/5.0', Accept: ALLOWED_CONTENT_TYPES.join(', ') }
+    }, resolve);
+    req.on('error', reject);
+});
+
+const readBody = (response, maxSize) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxSize) {
+            response.destroy();
+            reject(new RemoteImageError(`Remote image exceeds ${maxSize} bytes`, 'image_too_large'));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+});
+
+/**
+ * Télécharge une image distante en refusant les adresses privées ou
+ * réservées (à chaque redirection), avec un délai maximal, une taille
+ * maximale et un type de contenu image obligatoire.
+ * Lève une RemoteImageError décrivant la cause de l'échec.
+ */
+export const fetchRemoteImage = async (value, { timeout = REMOTE_TIMEOUT, maxRedirects = MAX_REDIRECTS, maxSize = MAX_IMAGE_SIZE } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let url = parseRemoteUrl(value);
+        for (let redirects = 0; ; redirects++) {
+            const response = await request(url, controller.signal);
+            const { statusCode, headers } = response;
+
+            if (REDIRECT_STATUSES.includes(statusCode)) {
+                response.resume();
+                if (redirects >= maxRedirects) {
+                    throw new RemoteImageError(`Too many redirects (max ${maxRedirects})`, 'too_many_redirects');
+                }
+                if (!headers.location) {
+                    throw new RemoteImageError('Redirect without location', 'download_failed');
+                }
+                url = parseRemoteUrl(headers.location, url);
+                continue;
+            }
+
+            if (statusCode !== 200) {
+                response.resume();
+                throw new RemoteImageError(`Remote server answered with status ${statusCode}`, 'download_failed');
+            }
+
+            const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+                response.resume();
+                throw new RemoteImageError(`Unsupported content type "${contentType || 'none'}"`, 'unsupported_image');
+            }
+            if (Number(headers['content-length']) > maxSize) {
+                response.resume();
+                throw new RemoteImageError(`Remote image exceeds ${maxSize} bytes`, 'image_too_large');
+            }
+
+            return await readBody(response, maxSize);
+        }
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new RemoteImageError(`Remote image download timed out after ${timeout} ms`, 'timeout');
+        }
+        if (error instanceof RemoteImageError) throw error;
+        throw new RemoteImageError(`Could not download image: ${error.message}`, 'download_failed');
+    } finally {
+        clearTimeout(timer);
+    }
+};
@@ -0,0 +1,86 @@
+import { LANGUAGES } from './constants.js';
+
+// Score attribué selon la qualité de la correspondance
+const SCORES = { exact: 100, prefix: 80, contains: 60, fuzzy: 40 };
+
+/**
+ * Normalise un nom pour la comparaison : casse, accents, caractères pleine
+ * chasse et hiragana (convertis en katakana) sont ignorés.
+ */
+export const normalize = (value) => String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u3041-\u3096]/g, (char) => String.fromCharCode(char.charCodeAt(0) + 0x60))
+    .toLowerCase()
+    .replace(/[\s\-'\u2019.]/g, '');
+
+// Distance de Damerau-Levenshtein (transpositions adjacentes comprises)
+export const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[rows - 1][cols - 1];
+};
+
+// Nombre de fautes tolérées selon la longueur de la recherche
+const maxTypos = (query) => {
+    if (query.length <= 2) return 0;
+    if (query.length <= 5) return 1;
+    return 2;
+};
+
+// Compare la recherche à un nom déjà normalisé
+const matchName = (query, name) => {
+    if (!name) return null;
+    if (name === query) return { matchType: 'exact', score: SCORES.exact };
+    if (name.startsWith(query)) return { matchType: 'prefix', score: SCORES.prefix };
+    if (name.includes(query)) return { matchType: 'contains', score: SCORES.contains };
+
+    const tolerance = maxTypos(query);
+    if (tolerance === 0) return null;
+
+    // Nom complet ou début du nom mal orthographié ("bulbizare", "pikachuu", "dracau")
+    const distance = Math.min(
+        editDistance(query, name),
+        editDistance(query, name.slice(0, query.length))
+    );
+    if (distance > tolerance) return null;
+    return { matchType: 'fuzzy', score: SCORES.fuzzy - distance * 10 };
+};
+
+/**
+ * Classe les pokémons dont un des noms (anglais, français, japonais, chinois)
+ * correspond à la recherche. Chaque résultat indique la langue qui a matché ;
+ * `total` compte toutes les correspondances, avant la limite.
+ */
+export const searchPokemons = (pokemons, query, { limit = 10 } = {}) => {
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery) return { total: 0, results: [] };
+
+    const results = [];
+    for (const poke of pokemons) {
+        let best = null;
+        for (const language of LANGUAGES) {
+            const name = poke.name?.[language];
+            const match = name && matchName(normalizedQuery, normalize(name));
+            if (match && (!best || match.score > best.score)) {
+                best = { ...match, matchedLanguage: language, matchedName: name };
+            }
+        }
+        if (best) results.push({ ...best, pokemon: poke });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.pokemon.id - b.pokemon.id);
+    return { total: results.length, results: results.slice(0, limit) };
+};
@@ -0,0 +1,89 @@
+import { STATS } from './constants.js';
+import { toKey } from './types.js';
+
+export const MAX_IV = 31;
+export const MAX_EV = 252;
+export const MAX_TOTAL_EV = 510;
+
+const NATURE_BONUS = 1.1;
+const NATURE_MALUS = 0.9;
+
+// Stats influencées par la nature, dans l'ordre de la table des natures
+const NATURE_STATS = ['Attack', 'Defense', 'Speed', 'SpecialAttack', 'SpecialDefense'];
+
+// Ligne : stat augmentée, colonne : stat diminuée (diagonale = natures neutres)
+const NATURE_TABLE = [
+    ['Hardy', 'Lonely', 'Brave', 'Adamant', 'Naughty'],
+    ['Bold', 'Docile', 'Relaxed', 'Impish', 'Lax'],
+    ['Timid', 'Hasty', 'Serious', 'Jolly', 'Naive'],
+    ['Modest', 'Mild', 'Quiet', 'Bashful', 'Rash'],
+    ['Calm', 'Gentle', 'Sassy', 'Careful', 'Quirky']
+];
+
+// Noms français acceptés en entrée
+export const FRENCH_NATURES = {
+    Hardy: 'Hardi', Lonely: 'Solo', Brave: 'Brave', Adamant: 'Rigide', Naughty: 'Mauvais',
+    Bold: 'Assuré', Docile: 'Docile', Relaxed: 'Relax', Impish: 'Malin', Lax: 'Lâche',
+    Timid: 'Timide', Hasty: 'Pressé', Serious: 'Sérieux', Jolly: 'Jovial', Naive: 'Naïf',
+    Modest: 'Modeste', Mild: 'Doux', Quiet: 'Discret', Bashful: 'Pudique', Rash: 'Foufou',
+    Calm: 'Calme', Gentle: 'Gentil', Sassy: 'Malpoli', Careful: 'Prudent', Quirky: 'Bizarre'
+};
+
+// Les 25 natures : { name: { increased, decreased } } (null pour une nature neutre)
+export const NATURES = Object.fromEntries(NATURE_TABLE.flatMap((row, up) => row.map((name, down) => [
+    name,
+    up === down
+        ? { increased: null, decreased: null }
+        : { increased: NATURE_STATS[up], decreased: NATURE_STATS[down] }
+])));
+
+export const DEFAULT_NATURE = 'Hardy';
+
+const NATURE_ALIASES = new Map(Object.keys(NATURES).flatMap((name) => [[toKey(name), name], [toKey(FRENCH_NATURES[name]), name]]));
+
+// Retrouve la nature canonique à partir de son nom anglais ou français
+// (casse et accents ignorés, comme pour les types)
+export const findNature = (value) => NATURE_ALIASES.get(toKey(value)) || null;
+
+// Total des stats de base, null si une stat manque (projection partielle)
+export const computeBaseStatTotal = (base) => (
+    STATS.every((stat) => typeof base?.[stat] === 'number')
+        ? STATS.reduce((sum, stat) => sum + base[stat], 0)
+        : null
+);
+
+const natureMultiplier = (nature, stat) => {
+    const { increased, decreased } = NATURES[nature];
+    if (stat === increased) return NATURE_BONUS;
+    if (stat === decreased) return NATURE_MALUS;
+    return 1;
+};
+
+// Formules des jeux depuis la 3e génération (les PV ne dépendent pas de la nature)
+const computeStat = (stat, base, { level, iv, ev, multiplier }) => {
+    const scaled = Math.floor(((2 * base + iv + Math.floor(ev / 4)) * level) / 100);
+    if (stat === 'HP') return scaled + level + 10;
+    return Math.floor((scaled + 5) * multiplier);
+};
+
+/**
+ * Stats réelles d'un pokémon au niveau donné. `ivs` et `evs` associent une
+ * valeur à chaque stat (0 si absente) ; la nature est un nom canonique.
+ */
+export const computeStats = (base, { level, ivs = {}, evs = {}, nature = DEFAULT_NATURE }) => Object.fromEntries(
+    STATS.map((stat) => [stat, computeStat(stat, base[stat], {
+        level,
+        iv: ivs[stat] ?? 0,
+        ev: evs[stat] ?? 0,
+        multiplier: natureMultiplier(nature, stat)
+    })])
+);
+
+/**
+ * Plage de chaque stat au niveau donné : du minimum (IV et EV à 0, nature
+ * défavorable) au maximum (IV 31, 252 EV, nature favorable).
+ */
+export const computeStatRanges = (base, level) => Object.fromEntries(STATS.map((stat) => [stat, {
+    min: computeStat(stat, base[stat], { level, iv: 0, ev: 0, multiplier: stat === 'HP' ? 1 : NATURE_MALUS }),
+    max: computeStat(stat, base[stat], { level, iv: MAX_IV, ev: MAX_EV, multiplier: stat === 'HP' ? 1 : NATURE_BONUS })
+}]));
@@ -0,0 +1,55 @@
+import { STATS } from './constants.js';
+import { TYPES, TYPE_CHART, getEffectiveness } from './types.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pour chaque type d'attaque : nombre de membres faibles, résistants ou immunisés
+const defensiveSummary = (members) => Object.fromEntries(TYPES.map((attack) => {
+    const multipliers = members.map((member) => getEffectiveness(attack, member.type));
+    const weak = multipliers.filter((m) => m > 1).length;
+    const resistant = multipliers.filter((m) => m > 0 && m < 1).length;
+    const immune = multipliers.filter((m) => m === 0).length;
+    return [attack, { weak, resistant, immune }];
+}));
+
+// Types défensifs touchés en super efficace par au moins un type de l'équipe
+const offensiveCoverage = (members) => {
+    const attackTypes = [...new Set(members.flatMap((member) => [...member.type]))];
+    return Object.fromEntries(TYPES.map((defense) => [
+        defense,
+        attackTypes.filter((attack) => TYPE_CHART[attack][defense] > 1)
+    ]));
+};
+
+const averageStats = (members) => {
+    const averages = {};
+    for (const stat of STATS) {
+        averages[stat] = round(members.reduce((sum, member) => sum + member.base[stat], 0) / members.length);
+    }
+    averages.total = round(STATS.reduce((sum, stat) => sum + averages[stat], 0));
+    return averages;
+};
+
+/**
+ * Analyse d'une équipe : faiblesses et résistances cumulées, types
+ * d'attaque non couverts par les types de l'équipe et moyennes des stats.
+ */
+export const analyzeTeam = (members) => {
+    if (members.length === 0) {
+        return { size: 0, defense: {}, weaknesses: [], resistances: [], coverage: {}, uncovered: [...TYPES], averageStats: null };
+    }
+
+    const defense = defensiveSummary(members);
+    const coverage = offensiveCoverage(members);
+
+    return {
+        size: members.length,
+        defense,
+        // Types d'attaque qui touchent plus de membres qu'ils n'en trouvent résistants
+        weaknesses: TYPES.filter((type) => defense[type].weak > defense[type].resistant + defense[type].immune),
+        resistances: TYPES.filter((type) => defense[type].resistant + defense[type].immune > defense[type].weak),
+        coverage,
+        uncovered: TYPES.filter((type) => coverage[type].length === 0),
+        averageStats: averageStats(members)
+    };
+};
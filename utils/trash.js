@@ -0,0 +1,36 @@
+import pokemon from '../schema/pokemon.js';
+import revision from '../schema/revision.js';
+import { removePokemonImages } from './images.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date à partir de laquelle un pokémon supprimé peut être purgé
+export const purgeDate = (deletedAt, retentionDays) => new Date(deletedAt.getTime() + retentionDays * DAY);
+
+// Pokémons supprimés depuis plus de `retentionDays` jours
+export const expiredTrashFilter = (retentionDays, now = Date.now()) => ({
+    deletedAt: { $ne: null, $lte: new Date(now - retentionDays * DAY) }
+});
+
+/**
+ * Supprime définitivement les pokémons restés dans la corbeille au-delà de la
+ * durée de rétention, ainsi que leur historique et leurs images (ou les archive).
+ * Avec `dryRun`, seule la liste des pokémons concernés est renvoyée.
+ */
+export const purgeTrash = async ({ retentionDays, archive = false, dryRun = false }) => {
+    const expired = await pokemon.find(expiredTrashFilter(retentionDays)).sort({ deletedAt: 1 });
+    const purged = [];
+
+    for (const poke of expired) {
+        if (dryRun) {
+            purged.push({ id: poke.id, deletedAt: poke.deletedAt });
+            continue;
+        }
+        await pokemon.deleteOne({ _id: poke._id });
+        await revision.deleteMany({ pokemonId: poke.id });
+        const images = await removePokemonImages(poke.id, { archive });
+        purged.push({ id: poke.id, deletedAt: poke.deletedAt, images });
+    }
+
+    return purged;
+};
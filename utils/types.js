@@ -0,0 +1,78 @@
+// Les 18 types canoniques (une icône par type dans assets/types)
+export const TYPES = [
+    'Normal', 'Fire', 'Water', 'Electric', 'Grass', 'Ice',
+    'Fighting', 'Poison', 'Ground', 'Flying', 'Psychic', 'Bug',
+    'Rock', 'Ghost', 'Dragon', 'Dark', 'Steel', 'Fairy'
+];
+
+// Nombre maximal de types par pokémon
+export const MAX_TYPES = 2;
+
+// Multiplicateurs attaque -> défense différents de x1 (table depuis la 6e génération)
+const SPECIAL_MATCHUPS = {
+    Normal: { Rock: 0.5, Ghost: 0, Steel: 0.5 },
+    Fire: { Fire: 0.5, Water: 0.5, Grass: 2, Ice: 2, Bug: 2, Rock: 0.5, Dragon: 0.5, Steel: 2 },
+    Water: { Fire: 2, Water: 0.5, Grass: 0.5, Ground: 2, Rock: 2, Dragon: 0.5 },
+    Electric: { Water: 2, Electric: 0.5, Grass: 0.5, Ground: 0, Flying: 2, Dragon: 0.5 },
+    Grass: { Fire: 0.5, Water: 2, Grass: 0.5, Poison: 0.5, Ground: 2, Flying: 0.5, Bug: 0.5, Rock: 2, Dragon: 0.5, Steel: 0.5 },
+    Ice: { Fire: 0.5, Water: 0.5, Grass: 2, Ice: 0.5, Ground: 2, Flying: 2, Dragon: 2, Steel: 0.5 },
+    Fighting: { Normal: 2, Ice: 2, Poison: 0.5, Flying: 0.5, Psychic: 0.5, Bug: 0.5, Rock: 2, Ghost: 0, Dark: 2, Steel: 2, Fairy: 0.5 },
+    Poison: { Grass: 2, Poison: 0.5, Ground: 0.5, Rock: 0.5, Ghost: 0.5, Steel: 0, Fairy: 2 },
+    Ground: { Fire: 2, Electric: 2, Grass: 0.5, Poison: 2, Flying: 0, Bug: 0.5, Rock: 2, Steel: 2 },
+    Flying: { Electric: 0.5, Grass: 2, Fighting: 2, Bug: 2, Rock: 0.5, Steel: 0.5 },
+    Psychic: { Fighting: 2, Poison: 2, Psychic: 0.5, Dark: 0, Steel: 0.5 },
+    Bug: { Fire: 0.5, Grass: 2, Fighting: 0.5, Poison: 0.5, Flying: 0.5, Psychic: 2, Ghost: 0.5, Dark: 2, Steel: 0.5, Fairy: 0.5 },
+    Rock: { Fire: 2, Ice: 2, Fighting: 0.5, Ground: 0.5, Flying: 2, Bug: 2, Steel: 0.5 },
+    Ghost: { Normal: 0, Psychic: 2, Ghost: 2, Dark: 0.5 },
+    Dragon: { Dragon: 2, Steel: 0.5, Fairy: 0 },
+    Dark: { Fighting: 0.5, Psychic: 2, Ghost: 2, Dark: 0.5, Fairy: 0.5 },
+    Steel: { Fire: 0.5, Water: 0.5, Electric: 0.5, Ice: 2, Rock: 2, Steel: 0.5, Fairy: 2 },
+    Fairy: { Fire: 0.5, Fighting: 2, Poison: 0.5, Dragon: 2, Dark: 2, Steel: 0.5 }
+};
+
+// Matrice complète TYPE_CHART[attaque][défense]
+export const TYPE_CHART = Object.fromEntries(TYPES.map((attack) => [
+    attack,
+    Object.fromEntries(TYPES.map((defense) => [defense, SPECIAL_MATCHUPS[attack][defense] ?? 1]))
+]));
+
+// Libellés des multiplicateurs possibles contre un pokémon à un ou deux types
+const MULTIPLIER_LABELS = new Map([[4, 'x4'], [2, 'x2'], [1, 'x1'], [0.5, 'x0.5'], [0.25, 'x0.25'], [0, 'x0']]);
+
+// Noms français acceptés en entrée
+export const FRENCH_TYPES = {
+    Normal: 'Normal', Fire: 'Feu', Water: 'Eau', Electric: 'Électrik', Grass: 'Plante', Ice: 'Glace',
+    Fighting: 'Combat', Poison: 'Poison', Ground: 'Sol', Flying: 'Vol', Psychic: 'Psy', Bug: 'Insecte',
+    Rock: 'Roche', Ghost: 'Spectre', Dragon: 'Dragon', Dark: 'Ténèbres', Steel: 'Acier', Fairy: 'Fée'
+};
+
+// Casse et accents ignorés : "FIRE", "feu", "electrik" ou "Ténèbres"
+export const toKey = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+const TYPE_ALIASES = new Map(TYPES.flatMap((type) => [[toKey(type), type], [toKey(FRENCH_TYPES[type]), type]]));
+
+// Retrouve le type canonique à partir de son nom anglais ou français
+export const findType = (value) => TYPE_ALIASES.get(toKey(value)) || null;
+
+export const getTypeIconPath = (type) => `/assets/types/${type.toUpperCase()}.png`;
+
+// Multiplicateur d'une attaque contre un ou plusieurs types défensifs
+export const getEffectiveness = (attackType, defenseTypes) => defenseTypes
+    .reduce((multiplier, defense) => multiplier * (TYPE_CHART[attackType]?.[defense] ?? 1), 1);
+
+/**
+ * Profil défensif d'un pokémon : multiplicateur reçu pour chaque type
+ * d'attaque, et types d'attaque regroupés par multiplicateur (x4 ... x0).
+ */
+export const getDefensiveProfile = (defenseTypes) => {
+    const multipliers = {};
+    const groups = Object.fromEntries([...MULTIPLIER_LABELS.values()].map((label) => [label, []]));
+
+    for (const attack of TYPES) {
+        const multiplier = getEffectiveness(attack, defenseTypes);
+        multipliers[attack] = multiplier;
+        groups[MULTIPLIER_LABELS.get(multiplier)].push(attack);
+    }
+
+    return { multipliers, groups };
+};
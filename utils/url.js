@@ -0,0 +1,12 @@
+import config from '../config.js';
+
+// URL de base publique : celle configurée, sinon celle de la requête entrante
+export const getBaseUrl = (req) => config.publicBaseUrl || `${req.protocol}://${req.host}`;
+
+// Chemin relatif stocké en base (/assets/...) -> URL absolue pour la réponse
+export const toAbsoluteUrl = (req, value) => {
+    if (!value || /^https?:\/\//i.test(value)) return value;
+    return `${getBaseUrl(req)}${value.startsWith('/') ? '' : '/'}${value}`;
+};
+
+export const pokemonImagePath = (id) => `/assets/pokemons/${id}.png`;
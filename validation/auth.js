@@ -0,0 +1,32 @@
+import { z } from 'zod';
+import { ROLES } from '../schema/user.js';
+import { MIN_PASSWORD_LENGTH } from '../utils/auth.js';
+
+// bcrypt ignore tout ce qui dépasse 72 octets
+const MAX_PASSWORD_LENGTH = 72;
+
+const username = z.string().trim().min(3).max(30)
+    .regex(/^[a-zA-Z0-9_.-]+$/, "Username may only contain letters, digits, '_', '.' and '-'");
+
+export const registerSchema = {
+    body: z.strictObject({
+        username,
+        password: z.string().min(MIN_PASSWORD_LENGTH).max(MAX_PASSWORD_LENGTH)
+    })
+};
+
+export const loginSchema = {
+    body: z.strictObject({
+        username: z.string().trim().min(1),
+        password: z.string().min(1)
+    })
+};
+
+export const refreshSchema = {
+    body: z.strictObject({ refreshToken: z.string().min(1) })
+};
+
+export const setRoleSchema = {
+    params: z.object({ username }),
+    body: z.strictObject({ role: z.enum(ROLES) })
+};
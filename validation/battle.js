@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { DEFAULT_MOVE_POWER, MAX_MOVES } from '../utils/battle.js';
+import { DEFAULT_LEVEL, MAX_LEVEL, MIN_LEVEL } from '../utils/constants.js';
+import { pokemonId, typeName } from './common.js';
+
+const move = z.strictObject({
+    name: z.string().trim().min(1).max(50).optional(),
+    type: typeName,
+    category: z.enum(['physical', 'special']).default('physical'),
+    power: z.number().int().min(1).max(250).default(DEFAULT_MOVE_POWER),
+    accuracy: z.number().int().min(1).max(100).default(100)
+});
+
+const combatant = z.strictObject({
+    id: pokemonId,
+    level: z.number().int().min(MIN_LEVEL).max(MAX_LEVEL).default(DEFAULT_LEVEL),
+    moves: z.array(move).min(1).max(MAX_MOVES).optional()
+});
+
+export const battleSchema = {
+    body: z.strictObject({
+        pokemon1: combatant,
+        pokemon2: combatant,
+        seed: z.union([z.number(), z.string().min(1).max(100)]).optional()
+    })
+};
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { findType } from '../utils/types.js';
+import { STAT_MAX, STAT_MIN } from '../utils/constants.js';
+
+export const stat = z.coerce.number().int().min(STAT_MIN).max(STAT_MAX);
+
+export const pokemonId = z.coerce.number().int().positive();
+
+export const idParams = z.object({ id: pokemonId });
+
+// Champs de pagination des listes (?page=2&limit=50), à étendre avec les filtres de la route
+export const pagination = ({ maxLimit = 100, defaultLimit = 20 } = {}) => ({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(maxLimit).default(defaultLimit)
+});
+
+export const objectId = z.string().refine((value) => mongoose.isValidObjectId(value), 'Invalid id');
+
+export const objectIdParams = z.object({ id: objectId });
+
+// Nom de type anglais ou français, converti en type canonique
+export const typeName = z.string()
+    .refine((value) => findType(value), { error: (issue) => `Unknown type "${issue.input}"` })
+    .transform((value) => findType(value));
+
+// URL d'image distante : seuls http et https sont acceptés
+export const imageUrl = z.url({ protocol: /^https?$/, error: 'Must be an http(s) URL' });
+
+// Paramètre de requête booléen (?dryRun=true), faux par défaut
+export const booleanParam = z.enum(['true', 'false']).default('false').transform((value) => value === 'true');
+
+// Paramètre de requête répété ou séparé par des virgules (?type=a,b ou ?type=a&type=b)
+export const listParam = z.union([z.string(), z.array(z.string())]).optional();
+
+/**
+ * Champ pouvant arriver sous forme de chaîne JSON (formulaires multipart) :
+ * la chaîne est décodée avant validation, une erreur de champ est renvoyée
+ * si elle est mal formée.
+ */
+export const jsonField = (schema) => z.preprocess((value, ctx) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        ctx.addIssue({ code: 'custom', message: 'Invalid JSON' });
+        return z.NEVER;
+    }
+}, schema);
+
+export const nonEmpty = (schema) => schema.refine(
+    (value) => Object.keys(value).length > 0,
+    'Request body is empty or missing'
+);
@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { MOVE_CATEGORIES } from '../schema/move.js';
+import { LEARN_METHODS } from '../schema/pokemon.js';
+import { idParams, pagination, typeName } from './common.js';
+
+export const listMovesSchema = {
+    query: z.object({
+        ...pagination({ maxLimit: 200, defaultLimit: 50 }),
+        type: typeName.optional(),
+        category: z.enum(MOVE_CATEGORIES).optional()
+    })
+};
+
+export const moveIdSchema = { params: idParams };
+
+export const pokemonMovesSchema = {
+    params: idParams,
+    query: z.object({
+        method: z.enum(LEARN_METHODS).optional()
+    })
+};
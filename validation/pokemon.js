@@ -0,0 +1,218 @@
+import { z } from 'zod';
+import { DEFAULT_LEVEL, LANGUAGES, MAX_LEVEL, MIN_LEVEL, STATS } from '../utils/constants.js';
+import { MAX_TYPES } from '../utils/types.js';
+import { EVOLUTION_METHODS, MAX_ABILITIES } from '../schema/pokemon.js';
+import { DEFAULT_NATURE, MAX_EV, MAX_IV, MAX_TOTAL_EV, findNature } from '../utils/stats.js';
+import { booleanParam, idParams, imageUrl, jsonField, listParam, nonEmpty, objectId, pagination, pokemonId, stat, typeName } from './common.js';
+
+const DEFAULT_STAT = 50;
+
+const nameField = z.string().trim().min(1).max(50);
+
+const types = z.array(typeName)
+    .min(1)
+    .max(MAX_TYPES)
+    .refine((values) => new Set(values).size === values.length, 'A pokemon cannot have the same type twice');
+
+const names = z.strictObject({
+    english: nameField.optional(),
+    japanese: nameField.optional(),
+    chinese: nameField.optional(),
+    french: nameField.optional()
+});
+
+// Évolution vers un autre pokémon : niveau requis pour "level", objet pour "stone"
+const evolution = z.strictObject({
+    id: pokemonId,
+    method: z.enum(EVOLUTION_METHODS),
+    level: z.coerce.number().int().min(1).max(100).optional(),
+    item: z.string().trim().min(1).max(50).optional()
+})
+    .refine((value) => value.method !== 'level' || value.level !== undefined, { error: 'A level evolution requires a level', path: ['level'] })
+    .refine((value) => value.method !== 'stone' || value.item !== undefined, { error: 'A stone evolution requires an item', path: ['item'] });
+
+const evolutions = z.array(evolution)
+    .max(10)
+    .refine((values) => new Set(values.map((value) => value.id)).size === values.length, 'A pokemon cannot evolve twice into the same pokemon');
+
+// Texte dans une ou plusieurs langues du pokédex
+const localizedText = (max) => z.strictObject(
+    Object.fromEntries(LANGUAGES.map((lang) => [lang, z.string().trim().min(1).max(max).optional()]))
+);
+
+const abilities = z.array(z.strictObject({
+    name: localizedText(50).extend({ english: nameField }),
+    hidden: z.boolean().default(false)
+}))
+    .max(MAX_ABILITIES)
+    .refine((values) => values.filter((value) => value.hidden).length <= 1, 'A pokemon cannot have more than one hidden ability');
+
+// Profil du pokédex : talents, taille (m), poids (kg), catégorie et description
+const profile = {
+    abilities,
+    height: z.coerce.number().min(0.1).max(100),
+    weight: z.coerce.number().min(0.1).max(10000),
+    category: localizedText(50),
+    flavorText: localizedText(500)
+};
+
+const baseStats = (schema) => z.strictObject(Object.fromEntries(STATS.map((name) => [name, schema])));
+
+// Toutes les stats sont facultatives à la création (50 par défaut)
+const createBase = baseStats(stat.default(DEFAULT_STAT));
+const updateBase = baseStats(stat.optional());
+
+export const listPokemonsSchema = {
+    query: z.object({
+        ...pagination(),
+        type: listParam,
+        typeMatch: z.enum(['any', 'all']).optional(),
+        stats: listParam,
+        sort: listParam,
+        fields: listParam
+    })
+};
+
+export const searchPokemonsSchema = {
+    query: z.object({
+        q: z.string().trim().min(1).max(100),
+        limit: z.coerce.number().int().min(1).max(50).default(10)
+    })
+};
+
+export const pokemonIdSchema = { params: idParams };
+
+export const pokemonNameSchema = {
+    params: z.object({ name: nameField })
+};
+
+// Les champs name, type et base peuvent arriver en JSON dans un formulaire multipart
+export const createPokemonSchema = {
+    body: z.strictObject({
+        name: jsonField(names.extend({ french: nameField })),
+        type: jsonField(types),
+        base: jsonField(createBase),
+        abilities: jsonField(profile.abilities).optional(),
+        height: profile.height.optional(),
+        weight: profile.weight.optional(),
+        category: jsonField(profile.category).optional(),
+        flavorText: jsonField(profile.flavorText).optional(),
+        evolutions: jsonField(evolutions).optional(),
+        image: imageUrl.optional()
+    })
+};
+
+// L'image ne se change que via /pokemons/:id/image (vérification et versionnage)
+export const updatePokemonSchema = {
+    params: idParams,
+    body: nonEmpty(z.strictObject({
+        name: names.optional(),
+        type: types.optional(),
+        base: updateBase.optional(),
+        abilities: profile.abilities.optional(),
+        height: profile.height.optional(),
+        weight: profile.weight.optional(),
+        category: profile.category.optional(),
+        flavorText: profile.flavorText.optional(),
+        evolutions: evolutions.optional()
+    }))
+};
+
+/**
+ * IV ou EV par stat : "31" pour toutes les stats ou "HP:31,Speed:0" (les
+ * stats absentes gardent la valeur par défaut).
+ */
+const statSpread = (max, fallback) => z.string().trim().optional().transform((value, ctx) => {
+    const spread = Object.fromEntries(STATS.map((name) => [name, fallback]));
+    if (value === undefined) return spread;
+    if (/^\d+$/.test(value)) {
+        STATS.forEach((name) => { spread[name] = Number(value); });
+    } else {
+        for (const entry of value.split(',').map((item) => item.trim())) {
+            const match = entry.match(/^([A-Za-z]+)\s*[:=]\s*(\d+)$/);
+            const name = match && STATS.find((statName) => statName.toLowerCase() === match[1].toLowerCase());
+            if (!name) {
+                ctx.addIssue({ code: 'custom', message: `Invalid entry "${entry}" (expected e.g. HP:${max} with one of ${STATS.join(', ')})` });
+                return z.NEVER;
+            }
+            spread[name] = Number(match[2]);
+        }
+    }
+    const invalid = STATS.filter((name) => spread[name] > max);
+    if (invalid.length > 0) {
+        ctx.addIssue({ code: 'too_big', maximum: max, origin: 'number', message: `${invalid.join(', ')} cannot exceed ${max}` });
+        return z.NEVER;
+    }
+    return spread;
+});
+
+// Par défaut : IV parfaits (31), aucun EV et nature neutre
+export const pokemonStatsSchema = {
+    params: idParams,
+    query: z.object({
+        level: z.coerce.number().int().min(MIN_LEVEL).max(MAX_LEVEL).default(DEFAULT_LEVEL),
+        ivs: statSpread(MAX_IV, MAX_IV),
+        evs: statSpread(MAX_EV, 0).refine(
+            (spread) => Object.values(spread).reduce((sum, value) => sum + value, 0) <= MAX_TOTAL_EV,
+            `EV total cannot exceed ${MAX_TOTAL_EV}`
+        ),
+        nature: z.string()
+            .refine((value) => findNature(value), { error: (issue) => `Unknown nature "${issue.input}"` })
+            .transform((value) => findNature(value))
+            .default(DEFAULT_NATURE),
+        ranges: booleanParam
+    })
+};
+
+export const historySchema = {
+    params: idParams,
+    query: z.object(pagination())
+};
+
+export const revertPokemonSchema = {
+    params: z.object({ id: pokemonId, revisionId: objectId })
+};
+
+// Opérations JSON Patch (RFC 6902), chemins au format JSON Pointer (/name/japanese, /type/1)
+const pointer = z.string().refine((value) => value === '' || value.startsWith('/'), 'Must be a JSON pointer');
+// `value` est obligatoire pour add, replace et test, mais peut valoir null
+const patchValue = z.custom((value) => value !== undefined, 'Missing value');
+const patchOperation = z.discriminatedUnion('op', [
+    z.strictObject({ op: z.literal('add'), path: pointer, value: patchValue }),
+    z.strictObject({ op: z.literal('remove'), path: pointer }),
+    z.strictObject({ op: z.literal('replace'), path: pointer, value: patchValue }),
+    z.strictObject({ op: z.literal('move'), from: pointer, path: pointer }),
+    z.strictObject({ op: z.literal('copy'), from: pointer, path: pointer }),
+    z.strictObject({ op: z.literal('test'), path: pointer, value: patchValue })
+]);
+
+export const jsonPatchSchema = {
+    params: idParams,
+    body: z.array(patchOperation).min(1).max(100)
+};
+
+export const mergePatchSchema = {
+    params: idParams,
+    body: z.record(z.string(), z.unknown(), 'Merge patch must be a JSON object')
+};
+
+// Document obtenu après un patch (sans l'image), validé en entier avant l'enregistrement
+export const patchedPokemonSchema = z.strictObject({
+    name: names.extend({ french: nameField }),
+    type: types,
+    base: baseStats(stat),
+    abilities: profile.abilities.default([]),
+    height: profile.height.optional(),
+    weight: profile.weight.optional(),
+    category: profile.category.optional(),
+    flavorText: profile.flavorText.optional(),
+    evolutions: evolutions.default([])
+});
+
+// Multipart (champ imageFile) ou JSON { image: "https://..." }
+export const replaceImageSchema = {
+    params: idParams,
+    body: z.strictObject({
+        image: imageUrl.optional()
+    })
+};
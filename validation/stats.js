@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { RANKED_STATS } from '../utils/aggregates.js';
+import { BASE_STAT_TOTAL_FIELD } from '../utils/constants.js';
+import { typeName } from './common.js';
+
+// Nom de stat sans tenir compte de la casse ("attack", "basestattotal")
+const rankedStat = z.string()
+    .refine((value) => RANKED_STATS.some((stat) => stat.toLowerCase() === value.toLowerCase()), {
+        error: (issue) => `Unknown stat "${issue.input}" (expected one of ${RANKED_STATS.join(', ')})`
+    })
+    .transform((value) => RANKED_STATS.find((stat) => stat.toLowerCase() === value.toLowerCase()));
+
+export const statsSummarySchema = {
+    query: z.object({
+        type: typeName.optional(),
+        bucketSize: z.coerce.number().int().min(10).max(500).default(100)
+    })
+};
+
+export const statsTopSchema = {
+    query: z.object({
+        stat: rankedStat.default(BASE_STAT_TOTAL_FIELD),
+        type: typeName.optional(),
+        n: z.coerce.number().int().min(1).max(100).default(10)
+    })
+};
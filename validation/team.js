@@ -0,0 +1,24 @@
+import { z } from 'zod';
+import { MAX_TEAM_SIZE } from '../schema/team.js';
+import { nonEmpty, objectId, objectIdParams, pokemonId } from './common.js';
+
+// Le propriétaire n'est pas modifiable : c'est l'utilisateur authentifié
+const teamFields = {
+    name: z.string().trim().min(1).max(50),
+    pokemons: z.array(pokemonId).max(MAX_TEAM_SIZE)
+};
+
+export const listTeamsSchema = {
+    query: z.object({ owner: objectId.optional() })
+};
+
+export const teamIdSchema = { params: objectIdParams };
+
+export const createTeamSchema = {
+    body: z.strictObject({ ...teamFields, pokemons: teamFields.pokemons.default([]) })
+};
+
+export const updateTeamSchema = {
+    params: objectIdParams,
+    body: nonEmpty(z.strictObject(teamFields).partial())
+};
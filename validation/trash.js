@@ -0,0 +1,15 @@
+import { z } from 'zod';
+import { booleanParam, pagination } from './common.js';
+
+export const listTrashSchema = {
+    query: z.object(pagination())
+};
+
+// olderThanDays remplace la durée de rétention configurée
+export const purgeTrashSchema = {
+    query: z.object({
+        olderThanDays: z.coerce.number().int().min(0).optional(),
+        archive: booleanParam,
+        dryRun: booleanParam
+    })
+};